@@ -1,38 +1,81 @@
 /********************************************************
  * Constants / Utilities
  ********************************************************/
-const ALLOWED_STATUS = ["open", "in_progress", "closed"];
+const ALLOWED_PRIORITY = ["low", "medium", "high", "urgent"];
+const DEFAULT_PRIORITY = "medium";
+const LABEL_MAX_LENGTH = 30;
+const LABELS_MAX = 10;
 const LS_KEYS = {
   SESSION: "ticketapp_session",
   USERS: "ticketapp_users",
   TICKETS: "ticketapp_tickets",
+  BACKUP: "ticketapp_backup",
+  OUTBOX: "ticketapp_outbox", // ticket writes waiting to sync
+  SYNC: "ticketapp_sync", // cross-tab messages when BroadcastChannel is missing
+  LOCALE: "ticketapp_locale", // last chosen language, used before sign-in
 };
 
-const MSG_SESSION_EXPIRED =
-  "Your session has expired — please log in again.";
-const MSG_LOAD_ERROR = "Failed to load tickets. Please retry.";
-const MSG_DELETE_ERROR = "Failed to delete ticket. Please retry.";
+// record collections handled by the storage adapter
+const COLLECTIONS = {
+  USERS: "users",
+  TICKETS: "tickets",
+  COMMENTS: "comments",
+  AUDIT: "audit",
+  META: "meta", // bookkeeping such as the schema version
+};
+
+// Which storage backend the Tickets and Auth APIs talk to.
+// Override before app.js loads, e.g.
+//   <script>window.TICKETAPP_STORAGE = { backend: "rest" };</script>
+const STORAGE_CONFIG = {
+  backend: "local", // "local" | "indexeddb" | "rest"
+  restBaseUrl: "http://localhost:8787/api",
+  indexedDBName: "ticketapp",
+  attachmentsDBName: "ticketapp_attachments", // IndexedDB, for every backend
+  ...(window.TICKETAPP_STORAGE || {}),
+};
+
+// message catalog keys (see Internationalization)
+const MSG_SESSION_EXPIRED = "errors.sessionExpired";
+const MSG_LOAD_ERROR = "errors.loadTickets";
+const MSG_DELETE_ERROR = "errors.deleteTicket";
+const MSG_MOVE_ERROR = "errors.moveTicket";
+const MSG_CORRUPT_DATA = "errors.corruptData";
 
+// Its password is published in the README, so it never gets more than the
+// default role; the first admin is whoever signs up while there is none.
 const TEST_USER = {
   email: "test@ticketapp.test",
   password: "password123",
+  role: "requester",
 };
 
-// helpers for storage
-function readJSON(key, fallback) {
+// helpers for storage (localStorage unless another Storage area is given)
+function readJSON(key, fallback, area = window.localStorage) {
   try {
-    const raw = window.localStorage.getItem(key);
+    const raw = area.getItem(key);
     if (!raw) return fallback;
     return JSON.parse(raw);
   } catch {
     return fallback;
   }
 }
-function writeJSON(key, val) {
-  window.localStorage.setItem(key, JSON.stringify(val));
+function writeJSON(key, val, area = window.localStorage) {
+  area.setItem(key, JSON.stringify(val));
 }
-function removeKey(key) {
-  window.localStorage.removeItem(key);
+function removeKey(key, area = window.localStorage) {
+  area.removeItem(key);
+}
+
+// saves `text` as a file through a temporary download link
+function downloadFile(filename, text, type) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
 }
 
 // toast helpers (screenreader-friendly)
@@ -45,884 +88,8186 @@ function toastAssertive(msg) {
   if (el) el.textContent = msg;
 }
 
+// visible toast with an "Undo" button; the message is also read out politely
+const UNDO_TOAST_MS = 8000;
+let undoToastTimer = null;
+let undoToastAction = null;
+
+function showUndoToast(msg, onUndo) {
+  const el = document.getElementById("undo-toast");
+  if (!el) return;
+  clearTimeout(undoToastTimer);
+  undoToastAction = onUndo;
+  document.getElementById("undo-toast-message").textContent = msg;
+  el.classList.remove("hidden");
+  toastPolite(tr("toast.undoAvailable", { message: msg }));
+  undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+}
+function hideUndoToast() {
+  const el = document.getElementById("undo-toast");
+  if (el) el.classList.add("hidden");
+  clearTimeout(undoToastTimer);
+  undoToastAction = null;
+}
+
 /********************************************************
- * Auth API
+ * Internationalization
  ********************************************************/
-function ensureSeedUser() {
-  const users = readJSON(LS_KEYS.USERS, []);
-  const exists = users.some(
-    (u) =>
-      u.email?.toLowerCase() === TEST_USER.email.toLowerCase() &&
-      u.password === TEST_USER.password
+// UI text comes from the message catalogs in locales/*.js, which register
+// themselves on window.TICKETAPP_LOCALES before app.js loads:
+//   TICKETAPP_LOCALES.ar = { name: "العربية", dir: "rtl", messages: {...} }
+// Messages use ICU syntax: {name} placeholders, and
+//   {count, plural, =0 {none} one {# ticket} other {# tickets}}
+//   {kind, select, response {…} other {…}}
+// A key missing from the current locale falls back to English, then to
+// the key itself. The chosen locale is kept in LS_KEYS.LOCALE and on the
+// signed-in user's record.
+const LOCALES = window.TICKETAPP_LOCALES || {};
+const DEFAULT_LOCALE = "en";
+const SUPPORTED_LOCALES = Object.keys(LOCALES).length
+  ? Object.keys(LOCALES)
+  : [DEFAULT_LOCALE];
+
+// "ar-EG" -> "ar" when only the base language ships; null if unsupported
+function supportedLocale(tag) {
+  if (!tag) return null;
+  const lower = String(tag).toLowerCase();
+  return (
+    SUPPORTED_LOCALES.find((l) => l.toLowerCase() === lower) ||
+    SUPPORTED_LOCALES.find((l) => l.toLowerCase() === lower.split("-")[0]) ||
+    null
+  );
+}
+
+let currentLocale =
+  supportedLocale(readJSON(LS_KEYS.LOCALE, null)) ||
+  supportedLocale(navigator.language) ||
+  DEFAULT_LOCALE;
+
+function localeDir(locale = currentLocale) {
+  return LOCALES[locale]?.dir === "rtl" ? "rtl" : "ltr";
+}
+
+function hasMessage(key) {
+  return (
+    LOCALES[currentLocale]?.messages?.[key] !== undefined ||
+    LOCALES[DEFAULT_LOCALE]?.messages?.[key] !== undefined
   );
-  if (!exists) {
-    writeJSON(LS_KEYS.USERS, [...users, TEST_USER]);
+}
+
+function tr(key, values) {
+  const pattern =
+    LOCALES[currentLocale]?.messages?.[key] ??
+    LOCALES[DEFAULT_LOCALE]?.messages?.[key] ??
+    key;
+  return formatMessage(pattern, values);
+}
+
+function formatNumber(n, locale = currentLocale) {
+  return new Intl.NumberFormat(locale).format(n);
+}
+
+// ["a", "b", "c"] -> "a, b, and c" ("a, b, or c" with "disjunction")
+function formatList(items, type = "conjunction") {
+  return new Intl.ListFormat(currentLocale, { type }).format(items);
+}
+
+// Expands an ICU-style `pattern` (see above) with `values`. Numbers are
+// formatted for the locale; `#` in a plural branch is the count.
+function formatMessage(pattern, values = {}, locale = currentLocale) {
+  let pos = 0;
+  const skipSpace = () => {
+    while (/\s/.test(pattern[pos] || "")) pos++;
+  };
+
+  // text up to the "}" that closes the current branch
+  function text(count) {
+    let out = "";
+    while (pos < pattern.length && pattern[pos] !== "}") {
+      const ch = pattern[pos];
+      if (ch === "{") {
+        out += argument(count);
+      } else {
+        const hash = ch === "#" && count !== undefined;
+        out += hash ? formatNumber(count, locale) : ch;
+        pos++;
+      }
+    }
+    return out;
+  }
+
+  // {name}, {name, plural, ...} or {name, select, ...}
+  function argument(count) {
+    const head = pattern
+      .slice(pos + 1)
+      .match(/^\s*(\w+)\s*(?:,\s*(plural|select)\s*,)?\s*/);
+    if (!head) {
+      pos++;
+      return "{";
+    }
+    pos += 1 + head[0].length;
+    const [, name, type] = head;
+    const value = values[name];
+    if (!type) {
+      pos++; // "}"
+      if (value === undefined || value === null) return "";
+      return typeof value === "number"
+        ? formatNumber(value, locale)
+        : String(value);
+    }
+    const branches = {};
+    for (;;) {
+      skipSpace();
+      const selector = pattern.slice(pos).match(/^(=?[\w-]+)\s*\{/);
+      if (!selector) break;
+      pos += selector[0].length;
+      branches[selector[1]] = text(type === "plural" ? value : count);
+      pos++; // "}"
+    }
+    pos++; // "}"
+    let key = String(value);
+    if (type === "plural") {
+      key =
+        branches[`=${value}`] !== undefined
+          ? `=${value}`
+          : new Intl.PluralRules(locale).select(Number(value));
+    }
+    return branches[key] ?? branches.other ?? "";
   }
+
+  return text();
 }
 
-function signup({ email, password }) {
-  ensureSeedUser();
+// "3 hours ago", "in 2 days", "yesterday"... for a date near `now`
+const RELATIVE_TIME_UNITS = [
+  ["year", 365 * 24 * 60 * 60 * 1000],
+  ["month", 30 * 24 * 60 * 60 * 1000],
+  ["week", 7 * 24 * 60 * 60 * 1000],
+  ["day", 24 * 60 * 60 * 1000],
+  ["hour", 60 * 60 * 1000],
+  ["minute", 60 * 1000],
+];
 
-  if (!email || !password) {
-    return {
-      ok: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "Email and password are required.",
-        details: {
-          fields: {
-            email: !email ? "Required" : undefined,
-            password: !password ? "Required" : undefined,
-          },
-        },
-      },
-    };
+function formatRelativeTime(date, now = Date.now()) {
+  const diff = new Date(date).getTime() - now;
+  const rtf = new Intl.RelativeTimeFormat(currentLocale, { numeric: "auto" });
+  for (const [unit, ms] of RELATIVE_TIME_UNITS) {
+    if (Math.abs(diff) >= ms) return rtf.format(Math.round(diff / ms), unit);
   }
-  if (password.length < 6) {
-    return {
-      ok: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "Password must be at least 6 characters.",
-        details: { fields: { password: "Too short" } },
-      },
-    };
+  return rtf.format(0, "second");
+}
+
+// Text from a config entry (workflow status, SLA policy...): its `prop`,
+// or the catalog message named by `${prop}Key` so built-ins follow the
+// language, e.g. { labelKey: "status.open" }.
+function configText(entry, prop) {
+  const key = entry?.[`${prop}Key`];
+  return key ? tr(key) : entry?.[prop];
+}
+
+// Static text in index.html: data-i18n="key" sets the text, and
+// data-i18n-attr="placeholder:key;aria-label:key" sets attributes.
+function translatePage(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = tr(el.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+    el.dataset.i18nAttr.split(";").forEach((pair) => {
+      const [attr, key] = pair.split(":").map((s) => s.trim());
+      if (attr && key) el.setAttribute(attr, tr(key));
+    });
+  });
+  document.documentElement.lang = currentLocale;
+  document.documentElement.dir = localeDir();
+  document.title = tr("app.title");
+}
+
+/********************************************************
+ * Safe HTML rendering
+ ********************************************************/
+// Markup goes through safeHtml`` so every interpolated value is escaped unless
+// it is itself safeHtml`` output (or an array of it). setHtml() and appendHtml()
+// only accept that markup, so a raw string can't reach innerHTML by mistake.
+class HtmlMarkup {
+  constructor(markup) {
+    this.markup = markup;
   }
+  toString() {
+    return this.markup;
+  }
+}
 
-  const users = readJSON(LS_KEYS.USERS, []);
-  const existsEmail = users.some(
-    (u) => u.email?.toLowerCase() === email.toLowerCase()
-  );
-  if (existsEmail) {
-    return {
-      ok: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "That email is already registered.",
-        details: { fields: { email: "Already in use" } },
-      },
-    };
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+// null, undefined and false render nothing
+function htmlValue(value) {
+  if (value instanceof HtmlMarkup) return value.markup;
+  if (Array.isArray(value)) return value.map(htmlValue).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+function safeHtml(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += htmlValue(value) + strings[i + 1];
+  });
+  return new HtmlMarkup(markup);
+}
+
+function assertHtmlMarkup(markup) {
+  if (!(markup instanceof HtmlMarkup)) {
+    throw new TypeError("Markup must be built with safeHtml``.");
   }
+}
 
-  writeJSON(LS_KEYS.USERS, [...users, { email, password }]);
-  writeJSON(LS_KEYS.SESSION, { email });
-  return { ok: true, user: { email } };
+function setHtml(el, markup) {
+  assertHtmlMarkup(markup);
+  el.innerHTML = markup.markup;
 }
 
-function login({ email, password }) {
-  ensureSeedUser();
+function appendHtml(el, markup) {
+  assertHtmlMarkup(markup);
+  el.insertAdjacentHTML("beforeend", markup.markup);
+}
 
-  if (!email || !password) {
-    return {
-      ok: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "Email and password are required.",
-        details: {
-          fields: {
-            email: !email ? "Required" : undefined,
-            password: !password ? "Required" : undefined,
-          },
-        },
-      },
-    };
+/********************************************************
+ * Markdown
+ ********************************************************/
+// A small Markdown subset for ticket descriptions: ATX headings, bullet and
+// numbered lists, fenced code blocks, paragraphs, `code`, **bold**, *em*
+// and [links](url). The output is always passed through sanitizeHtml().
+const MARKDOWN_FORMATS = ["plain", "markdown"];
+const MD_FENCE = /^\s*```/;
+const MD_HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_INLINE_TOKEN = /`([^`]+)`|\[([^\]]+)\]\(([^()\s]+)\)/g;
+
+// tag -> attributes it may keep; anything else is unwrapped to its text
+const SANITIZER_ALLOWED = {
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  p: [],
+  br: [],
+  ul: [],
+  ol: [],
+  li: [],
+  pre: [],
+  code: [],
+  strong: [],
+  em: [],
+  a: ["href"],
+};
+// removed together with their content
+const SANITIZER_DROPPED = ["script", "style", "template", "iframe", "object"];
+const SAFE_URL_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+function markdownEmphasis(escaped) {
+  return escaped
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w*])[*_](?=\S)(.+?)[*_](?![\w*])/g, "$1<em>$2</em>");
+}
+
+function markdownInline(text) {
+  let out = "";
+  let last = 0;
+  for (const match of text.matchAll(MD_INLINE_TOKEN)) {
+    const [token, code, label, url] = match;
+    out += markdownEmphasis(escapeHtml(text.slice(last, match.index)));
+    out +=
+      code !== undefined
+        ? `<code>${escapeHtml(code)}</code>`
+        : `<a href="${escapeHtml(url)}">${markdownEmphasis(
+            escapeHtml(label)
+          )}</a>`;
+    last = match.index + token.length;
   }
+  return out + markdownEmphasis(escapeHtml(text.slice(last)));
+}
 
-  const users = readJSON(LS_KEYS.USERS, []);
-  const found = users.find(
-    (u) =>
-      u.email?.toLowerCase() === email.toLowerCase() &&
-      u.password === password
+function isMarkdownBlockStart(line) {
+  return (
+    MD_FENCE.test(line) || MD_HEADING.test(line) || MD_LIST_ITEM.test(line)
   );
-  if (!found) {
-    return {
-      ok: false,
-      error: {
-        code: "AUTH_ERROR",
-        message: "Invalid email or password.",
-        details: {
-          fields: {
-            email: "Invalid credentials",
-            password: "Invalid credentials",
-          },
-        },
-      },
-    };
+}
+
+// Markdown source -> HTML string (every piece of text escaped)
+function markdownToHtml(source) {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+    } else if (MD_FENCE.test(line)) {
+      const code = [];
+      for (i++; i < lines.length && !MD_FENCE.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      i++; // the closing fence, if there is one
+      out.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+    } else if (MD_HEADING.test(line)) {
+      const [, hashes, text] = line.match(MD_HEADING);
+      const tag = `h${hashes.length}`;
+      out.push(`<${tag}>${markdownInline(text)}</${tag}>`);
+      i++;
+    } else if (MD_LIST_ITEM.test(line)) {
+      const ordered = /\d/.test(line.match(MD_LIST_ITEM)[1]);
+      const items = [];
+      for (; i < lines.length; i++) {
+        const item = lines[i].match(MD_LIST_ITEM);
+        if (!item || /\d/.test(item[1]) !== ordered) break;
+        items.push(`<li>${markdownInline(item[2])}</li>`);
+      }
+      const tag = ordered ? "ol" : "ul";
+      out.push(`<${tag}>${items.join("")}</${tag}>`);
+    } else {
+      const para = [];
+      for (; i < lines.length; i++) {
+        if (!lines[i].trim() || isMarkdownBlockStart(lines[i])) break;
+        para.push(lines[i].trim());
+      }
+      out.push(`<p>${markdownInline(para.join("\n"))}</p>`);
+    }
   }
+  return out.join("");
+}
 
-  writeJSON(LS_KEYS.SESSION, { email: found.email });
-  return { ok: true, user: { email: found.email } };
+// absolute http(s) / mailto URL for `href`, or null for anything else
+// (javascript:, data:, ...)
+function safeUrl(href) {
+  try {
+    const url = new URL(href, window.location.href);
+    return SAFE_URL_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
 }
 
-function logout() {
-  removeKey(LS_KEYS.SESSION);
+function sanitizeNode(parent) {
+  [...parent.childNodes].forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+    const tag = node.tagName.toLowerCase();
+    if (SANITIZER_DROPPED.includes(tag)) {
+      node.remove();
+      return;
+    }
+    sanitizeNode(node);
+    if (!SANITIZER_ALLOWED[tag]) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+    [...node.attributes].forEach((attr) => {
+      if (!SANITIZER_ALLOWED[tag].includes(attr.name)) {
+        node.removeAttribute(attr.name);
+      }
+    });
+    if (tag === "a") {
+      const href = safeUrl(node.getAttribute("href"));
+      if (href) {
+        node.setAttribute("href", href);
+        node.setAttribute("rel", "noopener noreferrer nofollow");
+        node.setAttribute("target", "_blank");
+      } else {
+        node.removeAttribute("href");
+      }
+    }
+  });
 }
 
-function getSession() {
-  const s = readJSON(LS_KEYS.SESSION, null);
-  if (!s || !s.email) return null;
-  return s;
+// Parses `markup` inertly (a <template> runs no scripts and loads no
+// images) and keeps only the allow-listed tags, attributes and URLs.
+function sanitizeHtml(markup) {
+  const template = document.createElement("template");
+  template.innerHTML = markup;
+  sanitizeNode(template.content);
+  return template.content;
+}
+
+function renderMarkdown(source) {
+  return sanitizeHtml(markdownToHtml(source));
+}
+
+// Fills `el` with a ticket description: Markdown when the ticket opted in,
+// otherwise the text as typed.
+function renderDescription(el, description, format) {
+  const markdown = format === "markdown";
+  el.classList.toggle("markdown", markdown);
+  el.classList.toggle("whitespace-pre-wrap", !markdown);
+  if (!description) {
+    el.textContent = tr("ticket.noDescription");
+  } else if (markdown) {
+    el.replaceChildren(renderMarkdown(description));
+  } else {
+    el.textContent = description;
+  }
+}
+
+// Description as one line of plain text, for the card previews
+function descriptionPreview(t) {
+  if (!t.description) return tr("ticket.noDescription");
+  if (t.descriptionFormat !== "markdown") return t.description;
+  const blocks = renderMarkdown(t.description).querySelectorAll(
+    "h1, h2, h3, h4, h5, h6, p, li, pre"
+  );
+  return [...blocks].map((block) => block.textContent).join(" ");
 }
 
 /********************************************************
- * Tickets API
+ * Ticket workflow
  ********************************************************/
-const FAILURE_RATE = 0; // set >0 to simulate random network errors
+// Statuses in board / dashboard order, the moves allowed between them and
+// the fields a move needs. `final` statuses count as resolved; `tone`
+// colours the badge of statuses that styles.css has no class for. Labels
+// and hints are plain text, or catalog keys given as labelKey / hintKey.
+// Override before app.js loads, e.g.
+//   <script>window.TICKETAPP_WORKFLOW = { statuses: [...], ... };</script>
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { id: "open", labelKey: "status.open", hintKey: "status.openHint" },
+    {
+      id: "in_progress",
+      labelKey: "status.in_progress",
+      hintKey: "status.in_progressHint",
+    },
+    {
+      id: "closed",
+      labelKey: "status.closed",
+      hintKey: "status.closedHint",
+      final: true,
+    },
+  ],
+  initial: "open",
+  transitions: {
+    open: ["in_progress", "closed"],
+    in_progress: ["open", "closed"],
+    closed: ["open"],
+  },
+  // a rule without `from` or `to` matches any status on that side
+  requirements: [
+    { to: "closed", field: "resolution" },
+    { from: "closed", field: "reopenReason" },
+  ],
+  fields: {
+    resolution: { labelKey: "workflow.resolution", maxLength: 500 },
+    reopenReason: { labelKey: "workflow.reopenReason", maxLength: 500 },
+  },
+};
+const WORKFLOW = window.TICKETAPP_WORKFLOW || DEFAULT_WORKFLOW;
+const ALLOWED_STATUS = WORKFLOW.statuses.map((s) => s.id);
+const WORKFLOW_FIELDS = Object.keys(WORKFLOW.fields || {});
 
-function validateTicketFields({ title, status, description }) {
-  if (!title || !title.trim()) {
-    return {
-      ok: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "Title is required.",
-        details: { fields: { title: "Title is required." } },
-      },
-    };
-  }
-  if (!ALLOWED_STATUS.includes(status)) {
+function workflowStatus(id) {
+  return WORKFLOW.statuses.find((s) => s.id === id) || null;
+}
+
+function statusLabel(id) {
+  return configText(workflowStatus(id), "label") || id;
+}
+
+function isFinalStatus(id) {
+  return Boolean(workflowStatus(id)?.final);
+}
+
+function workflowFieldLabel(field) {
+  return configText(WORKFLOW.fields?.[field], "label") || field;
+}
+
+// Where a ticket in `from` may go next, staying put included. A new
+// ticket (`from` null) starts in the initial status or one step from it.
+function nextStatuses(from) {
+  const start = from || WORKFLOW.initial;
+  const next = WORKFLOW.transitions[start] || [];
+  return ALLOWED_STATUS.filter((s) => s === start || next.includes(s));
+}
+
+// Workflow fields the move from `from` to `to` needs
+function requiredTransitionFields(from, to) {
+  if (from === to) return [];
+  const fields = WORKFLOW.requirements
+    .filter((r) => (!r.from || r.from === from) && (!r.to || r.to === to))
+    .map((r) => r.field);
+  return [...new Set(fields)];
+}
+
+// Checks a status change against the workflow; `values` holds the
+// workflow fields entered for it (e.g. { resolution }).
+function validateStatusChange(from, to, values = {}) {
+  if (!nextStatuses(from).includes(to)) {
+    const message = from
+      ? tr("workflow.invalidMove", {
+          from: statusLabel(from),
+          to: statusLabel(to),
+        })
+      : tr("workflow.invalidStart", { to: statusLabel(to) });
     return {
       ok: false,
       error: {
         code: "VALIDATION_ERROR",
-        message: "Status is invalid.",
-        details: {
-          fields: {
-            status: "Must be open, in_progress, or closed.",
-          },
-        },
+        message,
+        details: { fields: { status: message } },
       },
     };
   }
-  if (description && description.length > 500) {
+  const fields = {};
+  requiredTransitionFields(from, to).forEach((field) => {
+    const value = (values[field] || "").trim();
+    const max = WORKFLOW.fields?.[field]?.maxLength;
+    if (!value) {
+      fields[field] = tr("validation.required", {
+        field: workflowFieldLabel(field),
+      });
+    } else if (max && value.length > max) {
+      fields[field] = tr("validation.tooLong", { max });
+    }
+  });
+  if (Object.keys(fields).length) {
     return {
       ok: false,
       error: {
         code: "VALIDATION_ERROR",
-        message: "Description cannot exceed 500 characters.",
-        details: {
-          fields: {
-            description: "Too long (max 500 chars)",
-          },
-        },
+        message: Object.values(fields)[0],
+        details: { fields },
       },
     };
   }
   return { ok: true };
 }
 
-function fetchTickets() {
-  if (Math.random() < FAILURE_RATE) {
-    return {
-      ok: false,
-      error: {
-        code: "NETWORK_ERROR",
-        message: "Failed to load tickets. Please retry.",
-      },
-    };
+// What a move stores besides the status: its workflow fields, trimmed,
+// `respondedAt` when it first leaves the initial status, and `closedAt`
+// when it enters or leaves a final status.
+function transitionPatch(from, to, values = {}) {
+  const patch = {};
+  requiredTransitionFields(from, to).forEach((field) => {
+    patch[field] = values[field].trim();
+  });
+  if (from === WORKFLOW.initial && to !== from) {
+    patch.respondedAt = new Date().toISOString();
   }
-  const arr = readJSON(LS_KEYS.TICKETS, []);
-  return { ok: true, tickets: Array.isArray(arr) ? arr : [] };
+  if (isFinalStatus(to) && !isFinalStatus(from)) {
+    patch.closedAt = new Date().toISOString();
+  } else if (!isFinalStatus(to) && isFinalStatus(from)) {
+    patch.closedAt = null;
+  }
+  return patch;
 }
 
-function createTicket({ title, description, status }) {
-  const check = validateTicketFields({ title, status, description });
-  if (!check.ok) return check;
-
-  const now = new Date().toISOString();
-  const all = readJSON(LS_KEYS.TICKETS, []);
-
-  const newTicket = {
-    id: crypto.randomUUID ? crypto.randomUUID() : String(Date.now()),
-    title: title.trim(),
-    description: description?.trim() || "",
-    status,
-    createdAt: now,
-    updatedAt: now,
-  };
+/********************************************************
+ * SLA policies
+ ********************************************************/
+// Promised response and resolution times, in hours. The first policy whose
+// `priority` and `status` lists (when given) include the ticket applies.
+// A policy is named by `name`, or by the catalog key in `nameKey`.
+// Replace with window.TICKETAPP_SLA_POLICIES before app.js loads.
+const DEFAULT_SLA_POLICIES = [
+  {
+    nameKey: "sla.policyUrgent",
+    priority: ["urgent"],
+    responseHours: 1,
+    resolutionHours: 8,
+  },
+  {
+    nameKey: "sla.policyHigh",
+    priority: ["high"],
+    responseHours: 4,
+    resolutionHours: 24,
+  },
+  { nameKey: "sla.policyStandard", responseHours: 8, resolutionHours: 72 },
+];
+const SLA_POLICIES = window.TICKETAPP_SLA_POLICIES || DEFAULT_SLA_POLICIES;
+const SLA_AT_RISK_SHARE = 0.25; // at risk once a quarter of the time is left
+const HOUR_MS = 60 * 60 * 1000;
 
-  writeJSON(LS_KEYS.TICKETS, [newTicket, ...all]);
-  return { ok: true, ticket: newTicket };
+function slaPolicyFor(ticket) {
+  const priority = ticket.priority || DEFAULT_PRIORITY;
+  return (
+    SLA_POLICIES.find(
+      (p) =>
+        (!p.priority || p.priority.includes(priority)) &&
+        (!p.status || p.status.includes(ticket.status))
+    ) || null
+  );
 }
 
-function updateTicket({ id, title, description, status }) {
-  const check = validateTicketFields({ title, status, description });
-  if (!check.ok) return check;
-  if (!id) {
-    return {
-      ok: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "Missing ticket ID.",
-      },
-    };
+// The targets still running for a ticket, both timed from `createdAt`:
+// "response" until it leaves the initial status, "resolution" until it
+// reaches a final one.
+function slaTargets(ticket, now = Date.now()) {
+  const policy = slaPolicyFor(ticket);
+  if (!policy || isFinalStatus(ticket.status)) return [];
+  const start = new Date(ticket.createdAt).getTime();
+  const targets = [];
+  const add = (kind, hours) => {
+    if (!(hours > 0)) return;
+    const dueAt = start + hours * HOUR_MS;
+    const left = dueAt - now;
+    const state =
+      left < 0
+        ? "breached"
+        : left <= hours * HOUR_MS * SLA_AT_RISK_SHARE
+        ? "at_risk"
+        : "ok";
+    targets.push({ policy, kind, dueAt: new Date(dueAt), state });
+  };
+  if (ticket.status === WORKFLOW.initial && !ticket.respondedAt) {
+    add("response", policy.responseHours);
   }
-
-  const all = readJSON(LS_KEYS.TICKETS, []);
-  const next = all.map((t) =>
-    t.id === id
-      ? {
-          ...t,
-          title: title.trim(),
-          description: description?.trim() || "",
-          status,
-          updatedAt: new Date().toISOString(),
-        }
-      : t
-  );
-  writeJSON(LS_KEYS.TICKETS, next);
-  return { ok: true };
+  add("resolution", policy.resolutionHours);
+  return targets;
 }
 
-function deleteTicket(id) {
-  if (Math.random() < FAILURE_RATE) {
-    return {
-      ok: false,
-      error: {
-        code: "NETWORK_ERROR",
-        message: MSG_DELETE_ERROR,
-      },
-    };
-  }
-  const all = readJSON(LS_KEYS.TICKETS, []);
-  const next = all.filter((t) => t.id !== id);
-  writeJSON(LS_KEYS.TICKETS, next);
-  return { ok: true };
+// The target to show for a ticket: a breached one, else the next due
+function slaStatus(ticket, now = Date.now()) {
+  const targets = slaTargets(ticket, now);
+  return (
+    targets.find((t) => t.state === "breached") ||
+    targets.sort((a, b) => a.dueAt - b.dueAt)[0] ||
+    null
+  );
 }
 
 /********************************************************
- * DOM refs / runtime state
+ * Storage adapters
  ********************************************************/
-let currentUser = null;
-let currentTickets = [];
-let editingTicketId = null;
-let deleteTargetId = null;
-
-// page sections
-const pages = {
-  landing: document.getElementById("page-landing"),
-  login: document.getElementById("page-login"),
-  signup: document.getElementById("page-signup"),
-  dashboard: document.getElementById("page-dashboard"),
-  tickets: document.getElementById("page-tickets"),
+// Every adapter exposes the same async, collection-based interface:
+//   list(collection, { signal })   -> Promise<record[]>  (newest first)
+//   get(collection, key)           -> Promise<record | null>
+//   insert(collection, record)     -> Promise<record>    (prepends)
+//   update(collection, key, patch) -> Promise<record | null>
+//   remove(collection, key)        -> Promise<boolean>
+//   replaceAll(collection, records) -> Promise<record[]> (restore / reset)
+//   updateMany(collection, [{ key, patch }]) -> Promise<record[]>
+//     all or nothing: a missing key (NOT_FOUND) or a failed write leaves
+//     every record as it was (REST can only try; see its adapter).
+// Records are plain JSON objects. Users are keyed by `email`, everything
+// else by `id`. Adapters throw a StorageError on failure; the APIs below
+// turn that into the usual `{ ok: false, error }` result.
+const RECORD_KEYS = {
+  [COLLECTIONS.USERS]: "email",
 };
 
-// navbar area
-const navAuthState = document.getElementById("nav-auth-state");
+function recordKey(collection) {
+  return RECORD_KEYS[collection] || "id";
+}
 
-// dashboard refs
-const dashErr = document.getElementById("dashboard-load-error");
-const dashStats = document.getElementById("dashboard-stats");
+function sameKey(collection, a, b) {
+  if (collection === COLLECTIONS.USERS) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+  }
+  return a === b;
+}
 
-// tickets page refs
-const ticketsErrorWrap = document.getElementById("tickets-error");
+class StorageError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "StorageError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function missingRecordsError(keys) {
+  return new StorageError("NOT_FOUND", tr("errors.recordsMissing"), {
+    keys,
+  });
+}
+
+// localStorage: one JSON array per collection (the original layout).
+// Unreadable entries raise CORRUPT_DATA rather than reading as empty, so
+// the app can offer recovery instead of looking like the data is gone.
+function createLocalStorageAdapter() {
+  const lsKey = (collection) => `ticketapp_${collection}`;
+  const readAll = (collection) => {
+    const raw = window.localStorage.getItem(lsKey(collection));
+    if (!raw) return [];
+    let arr = null;
+    try {
+      arr = JSON.parse(raw);
+    } catch {
+      arr = null;
+    }
+    if (!Array.isArray(arr)) {
+      throw new StorageError("CORRUPT_DATA", tr("errors.unreadable"), {
+        key: lsKey(collection),
+      });
+    }
+    return arr;
+  };
+  const writeAll = (collection, arr) => {
+    try {
+      writeJSON(lsKey(collection), arr);
+    } catch (err) {
+      throw new StorageError("STORAGE_ERROR", tr("errors.saveFailed"), {
+        cause: err?.message,
+      });
+    }
+  };
+  const keyOf = (collection) => recordKey(collection);
+
+  return {
+    name: "local",
+    async list(collection) {
+      return readAll(collection);
+    },
+    async get(collection, key) {
+      const k = keyOf(collection);
+      return (
+        readAll(collection).find((r) => sameKey(collection, r[k], key)) ||
+        null
+      );
+    },
+    async insert(collection, record) {
+      writeAll(collection, [record, ...readAll(collection)]);
+      return record;
+    },
+    async update(collection, key, patch) {
+      const k = keyOf(collection);
+      let updated = null;
+      const next = readAll(collection).map((r) => {
+        if (!sameKey(collection, r[k], key)) return r;
+        updated = { ...r, ...patch };
+        return updated;
+      });
+      if (updated) writeAll(collection, next);
+      return updated;
+    },
+    async remove(collection, key) {
+      const k = keyOf(collection);
+      const all = readAll(collection);
+      const next = all.filter((r) => !sameKey(collection, r[k], key));
+      writeAll(collection, next);
+      return next.length !== all.length;
+    },
+    async replaceAll(collection, records) {
+      writeAll(collection, records);
+      return records;
+    },
+    async updateMany(collection, changes) {
+      const k = keyOf(collection);
+      const all = readAll(collection);
+      const updated = changes.map(({ key, patch }) => {
+        const idx = all.findIndex((r) => sameKey(collection, r[k], key));
+        if (idx === -1) throw missingRecordsError([key]);
+        all[idx] = { ...all[idx], ...patch };
+        return all[idx];
+      });
+      writeAll(collection, all); // one write, so it lands whole or not at all
+      return updated;
+    },
+  };
+}
+
+// IndexedDB plumbing shared by the records adapter and the attachment store
+const toIDBStorageError = (err) =>
+  new StorageError("STORAGE_ERROR", tr("errors.idbFailed"), {
+    cause: err?.message || String(err),
+  });
+
+const idbRequest = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// Returns openDB() for `dbName`; the connection is opened once and reused.
+// `upgrade(db)` creates the object stores on first use.
+function idbOpener(dbName, upgrade) {
+  let dbPromise = null;
+  return function openDB() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new StorageError("STORAGE_ERROR", tr("errors.idbMissing")));
+        return;
+      }
+      const req = window.indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(toIDBStorageError(req.error));
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+    return dbPromise;
+  };
+}
+
+// Runs fn(store) in one transaction and resolves with its result once the
+// transaction has committed.
+function idbTransaction(openDB, storeName, mode, fn) {
+  return openDB().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const store = tx.objectStore(storeName);
+        let result;
+        Promise.resolve(fn(store)).then((r) => {
+          result = r;
+        }, reject);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(toIDBStorageError(tx.error));
+        tx.onabort = () => reject(toIDBStorageError(tx.error));
+      })
+  );
+}
+
+// IndexedDB: a single "records" store keyed by [collection, key] with a
+// `seq` counter so list() can return newest-first like localStorage does.
+function createIndexedDBAdapter({ dbName }) {
+  const STORE = "records";
+  const openDB = idbOpener(dbName, (db) => {
+    const store = db.createObjectStore(STORE, {
+      keyPath: ["collection", "key"],
+    });
+    store.createIndex("by_collection", "collection");
+  });
+  const request = (mode, fn) => idbTransaction(openDB, STORE, mode, fn);
+  const wrap = idbRequest;
+
+  // users are looked up case-insensitively, so normalize their key
+  const normKey = (collection, key) =>
+    collection === COLLECTIONS.USERS ? String(key).toLowerCase() : key;
+
+  return {
+    name: "indexeddb",
+    async list(collection) {
+      const rows = await request("readonly", (store) =>
+        wrap(store.index("by_collection").getAll(collection))
+      );
+      return rows.sort((a, b) => b.seq - a.seq).map((row) => row.value);
+    },
+    async get(collection, key) {
+      const row = await request("readonly", (store) =>
+        wrap(store.get([collection, normKey(collection, key)]))
+      );
+      return row ? row.value : null;
+    },
+    async insert(collection, record) {
+      const key = normKey(collection, record[recordKey(collection)]);
+      await request("readwrite", (store) =>
+        wrap(store.put({ collection, key, seq: Date.now(), value: record }))
+      );
+      return record;
+    },
+    async update(collection, key, patch) {
+      return request("readwrite", async (store) => {
+        const id = [collection, normKey(collection, key)];
+        const row = await wrap(store.get(id));
+        if (!row) return null;
+        row.value = { ...row.value, ...patch };
+        await wrap(store.put(row));
+        return row.value;
+      });
+    },
+    async remove(collection, key) {
+      return request("readwrite", async (store) => {
+        const id = [collection, normKey(collection, key)];
+        const row = await wrap(store.get(id));
+        if (!row) return false;
+        await wrap(store.delete(id));
+        return true;
+      });
+    },
+    async replaceAll(collection, records) {
+      await request("readwrite", async (store) => {
+        const index = store.index("by_collection");
+        const keys = await wrap(index.getAllKeys(collection));
+        await Promise.all(keys.map((k) => wrap(store.delete(k))));
+        // records are newest first, so count seq down from now
+        const now = Date.now();
+        await Promise.all(
+          records.map((record, i) => {
+            const key = normKey(collection, record[recordKey(collection)]);
+            return wrap(
+              store.put({ collection, key, seq: now - i, value: record })
+            );
+          })
+        );
+      });
+      return records;
+    },
+    // one readwrite transaction: every row is read before anything is
+    // written, and a failed put aborts the whole transaction
+    async updateMany(collection, changes) {
+      return request("readwrite", async (store) => {
+        const ids = changes.map(({ key }) => [
+          collection,
+          normKey(collection, key),
+        ]);
+        const rows = await Promise.all(ids.map((id) => wrap(store.get(id))));
+        const missing = changes.filter((c, i) => !rows[i]).map((c) => c.key);
+        if (missing.length) throw missingRecordsError(missing);
+        rows.forEach((row, i) => {
+          row.value = { ...row.value, ...changes[i].patch };
+        });
+        await Promise.all(rows.map((row) => wrap(store.put(row))));
+        return rows.map((row) => row.value);
+      });
+    },
+  };
+}
+
+// REST: JSON over HTTP against `baseUrl`. Contract (see mock-server.js):
+//   GET    {base}/{collection}        -> 200 [record, ...] newest first
+//   GET    {base}/{collection}/{key}  -> 200 record | 404
+//   POST   {base}/{collection}        -> 201 record (body: record)
+//   PATCH  {base}/{collection}/{key}  -> 200 record | 404 (body: patch)
+//   DELETE {base}/{collection}/{key}  -> 204 | 404
+// Errors use `{ error: { code, message, details } }` bodies.
+function createRestAdapter({ baseUrl }) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const url = (collection, key) =>
+    key === undefined
+      ? `${root}/${collection}`
+      : `${root}/${collection}/${encodeURIComponent(key)}`;
+
+  async function send(method, target, body, signal) {
+    let res;
+    try {
+      res = await fetch(target, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal,
+      });
+    } catch (err) {
+      if (err?.name === "AbortError") {
+        throw new StorageError("ABORTED", tr("errors.cancelled"));
+      }
+      throw new StorageError("NETWORK_ERROR", tr("errors.unreachable"), {
+        cause: err?.message,
+      });
+    }
+    if (res.status === 404) return null;
+    if (res.status === 204) return true;
+
+    let payload = null;
+    try {
+      payload = await res.json();
+    } catch {
+      payload = null;
+    }
+    if (!res.ok) {
+      const e = payload?.error || {};
+      throw new StorageError(
+        e.code || "SERVER_ERROR",
+        e.message || tr("errors.serverStatus", { status: String(res.status) }),
+        e.details
+      );
+    }
+    return payload;
+  }
+
+  return {
+    name: "rest",
+    async list(collection, { signal } = {}) {
+      const arr = await send("GET", url(collection), undefined, signal);
+      return Array.isArray(arr) ? arr : [];
+    },
+    async get(collection, key) {
+      return send("GET", url(collection, key));
+    },
+    async insert(collection, record) {
+      return send("POST", url(collection), record);
+    },
+    async update(collection, key, patch) {
+      return send("PATCH", url(collection, key), patch);
+    },
+    async remove(collection, key) {
+      return (await send("DELETE", url(collection, key))) === true;
+    },
+    // no bulk endpoint: delete everything, then re-create oldest first
+    async replaceAll(collection, records) {
+      const k = recordKey(collection);
+      const existing = await this.list(collection);
+      for (const r of existing) {
+        await send("DELETE", url(collection, r[k]));
+      }
+      for (const r of [...records].reverse()) {
+        await send("POST", url(collection), r);
+      }
+      return records;
+    },
+    // no bulk endpoint either: PATCH one by one and, if any request fails,
+    // PATCH the ones already written back to what they were. An undo that
+    // fails too doesn't stop the rest; its key is reported in the original
+    // error's details as `notRolledBack`.
+    async updateMany(collection, changes) {
+      const originals = [];
+      for (const { key } of changes) {
+        originals.push(await send("GET", url(collection, key)));
+      }
+      const missing = changes.filter((c, i) => !originals[i]).map((c) => c.key);
+      if (missing.length) throw missingRecordsError(missing);
+
+      const updated = [];
+      try {
+        for (const { key, patch } of changes) {
+          const record = await send("PATCH", url(collection, key), patch);
+          if (!record) throw missingRecordsError([key]);
+          updated.push(record);
+        }
+      } catch (err) {
+        const notRolledBack = [];
+        for (let i = updated.length - 1; i >= 0; i--) {
+          const { key, patch } = changes[i];
+          const undo = {};
+          for (const field of Object.keys(patch)) {
+            undo[field] = field in originals[i] ? originals[i][field] : null;
+          }
+          try {
+            await send("PATCH", url(collection, key), undo);
+          } catch {
+            notRolledBack.push(key);
+          }
+        }
+        if (notRolledBack.length) {
+          err.details = { ...err.details, notRolledBack };
+        }
+        throw err;
+      }
+      return updated;
+    },
+  };
+}
+
+function createStorageAdapter(config) {
+  if (config.backend === "indexeddb") {
+    return createIndexedDBAdapter({ dbName: config.indexedDBName });
+  }
+  if (config.backend === "rest") {
+    return createRestAdapter({ baseUrl: config.restBaseUrl });
+  }
+  return createLocalStorageAdapter();
+}
+
+const storage = createStorageAdapter(STORAGE_CONFIG);
+
+// Attachments are Blobs, which only IndexedDB can hold, so they get their
+// own database whichever backend stores the tickets. Records are keyed by
+// `id`, indexed by `ticketId` and get a `seq` to keep them in upload order.
+function createAttachmentStore({ dbName }) {
+  const STORE = "attachments";
+  const openDB = idbOpener(dbName, (db) => {
+    const store = db.createObjectStore(STORE, { keyPath: "id" });
+    store.createIndex("by_ticket", "ticketId");
+  });
+  const request = (mode, fn) => idbTransaction(openDB, STORE, mode, fn);
+
+  return {
+    // oldest first, in the order they were attached
+    async listByTicket(ticketId) {
+      const rows = await request("readonly", (store) =>
+        idbRequest(store.index("by_ticket").getAll(ticketId))
+      );
+      return rows.sort((a, b) => a.seq - b.seq);
+    },
+    async get(id) {
+      const row = await request("readonly", (store) =>
+        idbRequest(store.get(id))
+      );
+      return row || null;
+    },
+    // all records in one transaction, so a failed put saves none of them
+    async insertMany(records) {
+      const now = Date.now();
+      const rows = records.map((r, i) => ({ ...r, seq: now + i }));
+      await request("readwrite", (store) =>
+        Promise.all(rows.map((row) => idbRequest(store.put(row))))
+      );
+      return rows;
+    },
+    async remove(id) {
+      return request("readwrite", async (store) => {
+        const row = await idbRequest(store.get(id));
+        if (!row) return false;
+        await idbRequest(store.delete(id));
+        return true;
+      });
+    },
+    async removeByTicket(ticketId) {
+      return request("readwrite", async (store) => {
+        const index = store.index("by_ticket");
+        const keys = await idbRequest(index.getAllKeys(ticketId));
+        await Promise.all(keys.map((k) => idbRequest(store.delete(k))));
+        return keys.length;
+      });
+    },
+  };
+}
+
+const attachmentStore = createAttachmentStore({
+  dbName: STORAGE_CONFIG.attachmentsDBName,
+});
+
+// adapter failure -> API error result
+function storageFailure(err, message) {
+  return {
+    ok: false,
+    error: {
+      code: err?.code || "STORAGE_ERROR",
+      message: message || err?.message || tr("errors.storage"),
+      details: err?.details,
+    },
+  };
+}
+
+/********************************************************
+ * Schema migrations
+ ********************************************************/
+// The schema version lives in the "meta" collection beside the data it
+// describes. runMigrations() runs at startup: it applies every migration
+// newer than the stored version, in order, after snapshotting the data to
+// LS_KEYS.BACKUP. Append new migrations here; never edit shipped ones.
+const SCHEMA_META_ID = "schema";
+const DATA_COLLECTIONS = [
+  COLLECTIONS.USERS,
+  COLLECTIONS.TICKETS,
+  COLLECTIONS.COMMENTS,
+  COLLECTIONS.AUDIT,
+];
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Give every ticket a priority, labels and a due date",
+    async up() {
+      const tickets = await storage.list(COLLECTIONS.TICKETS);
+      for (const t of tickets) {
+        if (t.priority && Array.isArray(t.labels) && "dueDate" in t) continue;
+        await storage.update(COLLECTIONS.TICKETS, t.id, {
+          priority: t.priority || DEFAULT_PRIORITY,
+          labels: Array.isArray(t.labels) ? t.labels : [],
+          dueDate: t.dueDate || null,
+        });
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Store an explicit role on every user",
+    async up() {
+      const users = await storage.list(COLLECTIONS.USERS);
+      for (const u of users) {
+        if (u.role === roleOf(u)) continue;
+        await storage.update(COLLECTIONS.USERS, u.email, { role: roleOf(u) });
+      }
+    },
+  },
+  {
+    version: 3,
+    description: "Record when resolved tickets were closed",
+    async up() {
+      const tickets = await storage.list(COLLECTIONS.TICKETS);
+      const events = await storage.list(COLLECTIONS.AUDIT);
+      for (const t of tickets) {
+        if (t.closedAt || !isFinalStatus(t.status)) continue;
+        // the latest audited move into a final status, if there is one
+        const closedAt = events
+          .filter(
+            (e) => e.ticketId === t.id && isFinalStatus(e.changes?.status?.to)
+          )
+          .map((e) => e.at)
+          .sort()
+          .pop();
+        await storage.update(COLLECTIONS.TICKETS, t.id, {
+          closedAt: closedAt || t.updatedAt || t.createdAt,
+        });
+      }
+    },
+  },
+  {
+    version: 4,
+    description: "Give tickets filed before ownership to the first admin",
+    async up() {
+      const users = await storage.list(COLLECTIONS.USERS);
+      // with no admin yet, the seeded test account created on first sign-in
+      const owner =
+        users.find((u) => roleOf(u) === "admin")?.email || TEST_USER.email;
+      const tickets = await storage.list(COLLECTIONS.TICKETS);
+      for (const t of tickets) {
+        if (t.createdBy) continue;
+        await storage.update(COLLECTIONS.TICKETS, t.id, {
+          createdBy: owner,
+          reporter: t.reporter || owner,
+        });
+      }
+    },
+  },
+  {
+    version: 5,
+    description: "Demote the seeded test account, whose password is public",
+    async up() {
+      const user = await storage.get(COLLECTIONS.USERS, TEST_USER.email);
+      if (user && user.role !== TEST_USER.role) {
+        await storage.update(COLLECTIONS.USERS, user.email, {
+          role: TEST_USER.role,
+        });
+      }
+    },
+  },
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function readSchemaVersion() {
+  const meta = await storage.get(COLLECTIONS.META, SCHEMA_META_ID);
+  return Number(meta?.version) || 0;
+}
+
+async function writeSchemaVersion(version) {
+  const patch = { version, migratedAt: new Date().toISOString() };
+  const updated = await storage.update(COLLECTIONS.META, SCHEMA_META_ID, patch);
+  if (!updated) {
+    await storage.insert(COLLECTIONS.META, { id: SCHEMA_META_ID, ...patch });
+  }
+}
+
+// Reads every data collection, which also surfaces CORRUPT_DATA early.
+async function snapshotCollections() {
+  const data = {};
+  for (const c of DATA_COLLECTIONS) data[c] = await storage.list(c);
+  return data;
+}
+
+function readSchemaBackup() {
+  const backup = readJSON(LS_KEYS.BACKUP, null);
+  return backup && typeof backup.data === "object" ? backup : null;
+}
+
+async function runMigrations() {
+  try {
+    const from = await readSchemaVersion();
+    if (from > SCHEMA_VERSION) {
+      return {
+        ok: false,
+        error: {
+          code: "SCHEMA_TOO_NEW",
+          message: tr("errors.schemaTooNew"),
+        },
+      };
+    }
+    const data = await snapshotCollections();
+    const pending = MIGRATIONS.filter((m) => m.version > from);
+    if (!pending.length) return { ok: true, version: from, migrated: 0 };
+
+    if (Object.values(data).some((records) => records.length)) {
+      try {
+        writeJSON(LS_KEYS.BACKUP, {
+          createdAt: new Date().toISOString(),
+          backend: storage.name,
+          fromVersion: from,
+          toVersion: SCHEMA_VERSION,
+          data,
+        });
+      } catch (err) {
+        throw new StorageError("BACKUP_FAILED", tr("errors.backupFailed"), {
+          cause: err?.message,
+        });
+      }
+    }
+    for (const migration of pending) {
+      await migration.up();
+      await writeSchemaVersion(migration.version);
+    }
+    return { ok: true, version: SCHEMA_VERSION, migrated: pending.length };
+  } catch (err) {
+    const message =
+      err?.code === "CORRUPT_DATA"
+        ? tr(MSG_CORRUPT_DATA)
+        : err?.code === "BACKUP_FAILED"
+        ? err.message
+        : tr("errors.migrationFailed");
+    return storageFailure(err, message);
+  }
+}
+
+// Puts back the data saved before the last migration (and its version,
+// so the migrations run again on the next start).
+async function restoreSchemaBackup() {
+  const backup = readSchemaBackup();
+  if (!backup) {
+    return {
+      ok: false,
+      error: { code: "NOT_FOUND", message: tr("errors.noBackup") },
+    };
+  }
+  try {
+    for (const c of DATA_COLLECTIONS) {
+      await storage.replaceAll(c, backup.data[c] || []);
+    }
+    await storage.replaceAll(COLLECTIONS.META, [
+      { id: SCHEMA_META_ID, version: backup.fromVersion || 0 },
+    ]);
+    return { ok: true };
+  } catch (err) {
+    return storageFailure(err, tr("errors.restoreFailed"));
+  }
+}
+
+// Empties only the collections that can't be read; the rest is untouched.
+async function resetUnreadableCollections() {
+  const reset = [];
+  try {
+    for (const c of [...DATA_COLLECTIONS, COLLECTIONS.META]) {
+      try {
+        await storage.list(c);
+      } catch (err) {
+        if (err?.code !== "CORRUPT_DATA") throw err;
+        await storage.replaceAll(c, []);
+        reset.push(c);
+      }
+    }
+    return { ok: true, reset };
+  } catch (err) {
+    return storageFailure(err, tr("errors.resetFailed"));
+  }
+}
+
+/********************************************************
+ * Cross-tab messaging
+ ********************************************************/
+// Writes announce themselves to other open tabs, e.g.
+//   { type: "tickets", id }  { type: "comments", ticketId }
+//   { type: "logout", email }
+// over a BroadcastChannel, or a storage event on LS_KEYS.SYNC where
+// BroadcastChannel isn't available. A tab never hears its own messages.
+const TAB_ID = crypto.randomUUID ? crypto.randomUUID() : String(Math.random());
+const syncChannel =
+  "BroadcastChannel" in window ? new BroadcastChannel("ticketapp") : null;
+
+function broadcastChange(message) {
+  const payload = { ...message, from: TAB_ID, at: Date.now() };
+  try {
+    if (syncChannel) {
+      syncChannel.postMessage(payload);
+    } else {
+      writeJSON(LS_KEYS.SYNC, payload);
+    }
+  } catch {
+    // other tabs just catch up on their next load
+  }
+}
+
+function listenForTabChanges(handler) {
+  const receive = (payload) => {
+    if (payload && payload.from !== TAB_ID) handler(payload);
+  };
+  if (syncChannel) {
+    syncChannel.addEventListener("message", (e) => receive(e.data));
+  }
+  window.addEventListener("storage", (e) => {
+    if (e.key === LS_KEYS.SYNC && e.newValue) {
+      receive(readJSON(LS_KEYS.SYNC, null));
+    } else if (e.key === LS_KEYS.SESSION) {
+      handler({ type: "session" });
+    }
+  });
+}
+
+/********************************************************
+ * Auth API
+ ********************************************************/
+// password hashing (PBKDF2 via WebCrypto). Each user record stores its own
+// salt and iteration count, so PASSWORD_ITERATIONS can be raised later and
+// older records are re-hashed on their next successful login.
+const PASSWORD_ITERATIONS = 600000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BITS = 256;
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function base64ToBytes(str) {
+  return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+async function derivePasswordHash(password, salt, iterations) {
+  if (!window.crypto?.subtle) {
+    throw new StorageError(
+      "CRYPTO_UNAVAILABLE",
+      tr("errors.cryptoUnavailable")
+    );
+  }
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    keyMaterial,
+    PASSWORD_HASH_BITS
+  );
+  return new Uint8Array(bits);
+}
+
+// -> { passwordHash, passwordSalt, passwordIterations } for a user record
+async function createPasswordRecord(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+  const hash = await derivePasswordHash(password, salt, PASSWORD_ITERATIONS);
+  return {
+    passwordHash: bytesToBase64(hash),
+    passwordSalt: bytesToBase64(salt),
+    passwordIterations: PASSWORD_ITERATIONS,
+  };
+}
+
+// compares every byte regardless of where the first mismatch is
+function constantTimeEqual(a, b) {
+  const len = Math.max(a.length, b.length);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < len; i++) {
+    diff |= (a[i] ?? 0) ^ (b[i] ?? 0);
+  }
+  return diff === 0;
+}
+
+// Checks `password` against a user record. Legacy records still holding a
+// plaintext `password` verify too, but are flagged for re-hashing.
+async function verifyPassword(user, password) {
+  if (user?.passwordHash && user.passwordSalt) {
+    const iterations = user.passwordIterations || PASSWORD_ITERATIONS;
+    const hash = await derivePasswordHash(
+      password,
+      base64ToBytes(user.passwordSalt),
+      iterations
+    );
+    return {
+      ok: constantTimeEqual(hash, base64ToBytes(user.passwordHash)),
+      needsRehash: iterations < PASSWORD_ITERATIONS,
+    };
+  }
+  if (typeof user?.password === "string") {
+    const enc = new TextEncoder();
+    return {
+      ok: constantTimeEqual(enc.encode(user.password), enc.encode(password)),
+      needsRehash: true,
+    };
+  }
+  // unknown user: burn the same work so timing doesn't reveal the miss
+  await derivePasswordHash(
+    password,
+    new Uint8Array(PASSWORD_SALT_BYTES),
+    PASSWORD_ITERATIONS
+  );
+  return { ok: false, needsRehash: false };
+}
+
+async function ensureSeedUser() {
+  const existing = await storage.get(COLLECTIONS.USERS, TEST_USER.email);
+  if (existing) {
+    // seeded before roles existed
+    if (!existing.role) {
+      await storage.update(COLLECTIONS.USERS, TEST_USER.email, {
+        role: TEST_USER.role,
+      });
+    }
+    return;
+  }
+  await storage.insert(COLLECTIONS.USERS, {
+    email: TEST_USER.email,
+    role: TEST_USER.role,
+    ...(await createPasswordRecord(TEST_USER.password)),
+  });
+}
+
+async function signup({ email, password }) {
+  try {
+    await ensureSeedUser();
+  } catch (err) {
+    return storageFailure(err, tr("auth.storeUnreachable"));
+  }
+
+  if (!email || !password) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("auth.credentialsRequired"),
+        details: {
+          fields: {
+            email: !email ? tr("validation.requiredShort") : undefined,
+            password: !password ? tr("validation.requiredShort") : undefined,
+          },
+        },
+      },
+    };
+  }
+  if (password.length < 6) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("auth.passwordTooShort", { min: 6 }),
+        details: { fields: { password: tr("validation.tooShort") } },
+      },
+    };
+  }
+
+  let existsEmail;
+  try {
+    existsEmail = !!(await storage.get(COLLECTIONS.USERS, email));
+  } catch (err) {
+    return storageFailure(err, tr("auth.storeUnreachable"));
+  }
+  if (existsEmail) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("auth.emailTaken"),
+        details: { fields: { email: tr("auth.emailInUse") } },
+      },
+    };
+  }
+
+  let role = DEFAULT_ROLE;
+  try {
+    // bootstraps the first admin, since the seeded account never is one
+    const users = await storage.list(COLLECTIONS.USERS);
+    if (!users.some((u) => roleOf(u) === "admin")) role = "admin";
+    await storage.insert(COLLECTIONS.USERS, {
+      email,
+      role,
+      locale: currentLocale, // the language they signed up in
+      ...(await createPasswordRecord(password)),
+    });
+  } catch (err) {
+    return storageFailure(err, tr("auth.signupFailed"));
+  }
+  createSession({ email, role });
+  return { ok: true, user: { email, role } };
+}
+
+async function login({ email, password, remember = false }) {
+  try {
+    await ensureSeedUser();
+  } catch (err) {
+    return storageFailure(err, tr("auth.storeUnreachable"));
+  }
+
+  if (!email || !password) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("auth.credentialsRequired"),
+        details: {
+          fields: {
+            email: !email ? tr("validation.requiredShort") : undefined,
+            password: !password ? tr("validation.requiredShort") : undefined,
+          },
+        },
+      },
+    };
+  }
+
+  let user, check;
+  try {
+    user = await storage.get(COLLECTIONS.USERS, email);
+    check = await verifyPassword(user, password);
+  } catch (err) {
+    return storageFailure(err, tr("auth.storeUnreachable"));
+  }
+  const found = user && check.ok ? user : null;
+  if (!found) {
+    return {
+      ok: false,
+      error: {
+        code: "AUTH_ERROR",
+        message: tr("auth.invalidLogin"),
+        details: {
+          fields: {
+            email: tr("auth.invalidCredentials"),
+            password: tr("auth.invalidCredentials"),
+          },
+        },
+      },
+    };
+  }
+
+  if (check.needsRehash) {
+    // transparent migration: plaintext / weaker records become fresh hashes
+    try {
+      await storage.update(COLLECTIONS.USERS, found.email, {
+        password: null,
+        ...(await createPasswordRecord(password)),
+      });
+    } catch {
+      // keep the old record; we'll try again on the next login
+    }
+  }
+
+  const sessionUser = { email: found.email, role: roleOf(found) };
+  createSession(sessionUser, { remember });
+  return { ok: true, user: sessionUser, locale: found.locale || null };
+}
+
+function logout() {
+  const email = getSession()?.email || null;
+  clearSession();
+  broadcastChange({ type: "logout", email });
+}
+
+// sessions: opaque token + issue/expiry times. "Remember me" sessions live
+// in localStorage and survive restarts; the rest use sessionStorage. Both
+// end after a stretch without activity: SESSION_IDLE_TIMEOUT_MS, or the
+// longer SESSION_REMEMBER_IDLE_TIMEOUT_MS for remembered ones.
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SESSION_REMEMBER_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const SESSION_REMEMBER_IDLE_TIMEOUT_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_THROTTLE_MS = 30 * 1000;
+let sessionWasUnreadable = false; // explains the next "please log in" toast
+
+function sessionArea(remember) {
+  return remember ? window.localStorage : window.sessionStorage;
+}
+
+// `role` is cached for rendering only; the APIs re-read it from storage
+function createSession({ email, role }, { remember = false } = {}) {
+  const now = Date.now();
+  const ttl = remember ? SESSION_REMEMBER_TTL_MS : SESSION_TTL_MS;
+  const session = {
+    token: bytesToBase64(crypto.getRandomValues(new Uint8Array(32))),
+    email,
+    role,
+    issuedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl).toISOString(),
+    lastActiveAt: new Date(now).toISOString(),
+    remember: !!remember,
+  };
+  clearSession();
+  writeJSON(LS_KEYS.SESSION, session, sessionArea(remember));
+  return session;
+}
+
+function clearSession() {
+  removeKey(LS_KEYS.SESSION, window.sessionStorage);
+  removeKey(LS_KEYS.SESSION, window.localStorage);
+}
+
+// Unlike readJSON, an unreadable session isn't quietly treated as absent:
+// it is removed, and the user is told why they have to sign in again.
+function readSessionEntry(area) {
+  const raw = area.getItem(LS_KEYS.SESSION);
+  if (!raw) return null;
+  let s = null;
+  try {
+    s = JSON.parse(raw);
+  } catch {
+    s = null;
+  }
+  if (s && typeof s === "object") return s;
+  clearSession();
+  sessionWasUnreadable = true;
+  toastAssertive(tr("errors.sessionUnreadable"));
+  return null;
+}
+
+function getSession() {
+  const s =
+    readSessionEntry(window.sessionStorage) ||
+    readSessionEntry(window.localStorage);
+  if (!s) return null;
+
+  // legacy `{ email }` sessions carry no token and are no longer honored
+  const now = Date.now();
+  const idleLimit = s.remember
+    ? SESSION_REMEMBER_IDLE_TIMEOUT_MS
+    : SESSION_IDLE_TIMEOUT_MS;
+  const valid =
+    s.email &&
+    s.token &&
+    now < Date.parse(s.expiresAt) &&
+    now - Date.parse(s.lastActiveAt) < idleLimit;
+  if (!valid) {
+    clearSession();
+    return null;
+  }
+  return s;
+}
+
+// keeps the cached role in sync after an admin changes it
+function setSessionRole(role) {
+  const s = getSession();
+  if (!s) return;
+  writeJSON(LS_KEYS.SESSION, { ...s, role }, sessionArea(s.remember));
+}
+
+// records user activity for the idle timeout (throttled)
+function touchSession() {
+  const s = getSession();
+  if (!s) return;
+  const now = Date.now();
+  if (now - Date.parse(s.lastActiveAt) < SESSION_TOUCH_THROTTLE_MS) return;
+  writeJSON(
+    LS_KEYS.SESSION,
+    { ...s, lastActiveAt: new Date(now).toISOString() },
+    sessionArea(s.remember)
+  );
+}
+
+/********************************************************
+ * Permissions
+ ********************************************************/
+// requester: opens tickets (with attachments) and comments on their own,
+//            but can't edit them once filed
+// agent:     sees every ticket and moves status on any of them
+// admin:     everything, plus deleting tickets and managing users
+const ROLES = ["requester", "agent", "admin"];
+const DEFAULT_ROLE = "requester";
+
+const ROLE_PERMISSIONS = {
+  requester: ["ticket:create"],
+  agent: [
+    "ticket:create",
+    "ticket:view:any",
+    "ticket:edit:own",
+    "ticket:status",
+    "tickets:import",
+  ],
+  admin: [
+    "ticket:create",
+    "ticket:view:any",
+    "ticket:edit:own",
+    "ticket:edit:any",
+    "ticket:status",
+    "ticket:delete",
+    "tickets:import",
+    "tickets:import:owners", // keep createdBy / reporter from the file
+    "users:manage",
+  ],
+};
+
+function roleOf(user) {
+  return ROLES.includes(user?.role) ? user.role : DEFAULT_ROLE;
+}
+
+function roleLabel(role) {
+  return tr(`role.${role}`);
+}
+
+function hasPermission(user, permission) {
+  if (!user) return false;
+  return ROLE_PERMISSIONS[roleOf(user)].includes(permission);
+}
+
+function sameEmail(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// Ownership: `createdBy` is the account that filed the ticket, `reporter`
+// who it was filed for (defaults to the creator), `assignee` who works it.
+// Migration 4 gives tickets saved before ownership existed to an admin; a
+// ticket with no `createdBy` is nobody's own.
+function isTicketOwner(ticket, user) {
+  return (
+    sameEmail(ticket.createdBy, user.email) ||
+    sameEmail(ticket.assignee, user.email)
+  );
+}
+
+function canViewTicket(ticket, user) {
+  if (hasPermission(user, "ticket:view:any")) return true;
+  return isTicketOwner(ticket, user) || sameEmail(ticket.reporter, user?.email);
+}
+
+function canEditTicket(ticket, user) {
+  if (hasPermission(user, "ticket:edit:any")) return true;
+  return hasPermission(user, "ticket:edit:own") && isTicketOwner(ticket, user);
+}
+
+function canChangeStatus(user) {
+  return hasPermission(user, "ticket:status");
+}
+
+// a status change alone (with its workflow fields) needs only this
+function canMoveTicket(ticket, user) {
+  return canChangeStatus(user) && canViewTicket(ticket, user);
+}
+
+function canDeleteTicket(ticket, user) {
+  return hasPermission(user, "ticket:delete");
+}
+
+// The signed-in user as the storage layer knows them. Roles are read from
+// the user record on every call, so a role change applies immediately.
+async function resolveActor() {
+  const email = getSession()?.email;
+  if (!email) return null;
+  const user = await storage.get(COLLECTIONS.USERS, email);
+  if (!user) return null;
+  return { email: user.email, role: roleOf(user) };
+}
+
+// comments can only be edited or deleted by whoever wrote them
+function isCommentAuthor(comment, user) {
+  return !!user && sameEmail(comment?.author, user.email);
+}
+
+function notSignedInResult() {
+  return {
+    ok: false,
+    error: { code: "AUTH_ERROR", message: tr(MSG_SESSION_EXPIRED) },
+  };
+}
+
+function forbiddenResult(message) {
+  return { ok: false, error: { code: "FORBIDDEN", message } };
+}
+
+/********************************************************
+ * Users API (admin)
+ ********************************************************/
+async function fetchUsers() {
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    if (!hasPermission(actor, "users:manage")) {
+      return forbiddenResult(tr("users.adminsOnly"));
+    }
+    const users = await storage.list(COLLECTIONS.USERS);
+    return {
+      ok: true,
+      users: users
+        .map((u) => ({ email: u.email, role: roleOf(u) }))
+        .sort((a, b) => a.email.localeCompare(b.email)),
+    };
+  } catch (err) {
+    return storageFailure(err, tr("users.loadFailed"));
+  }
+}
+
+// Anyone signed in may pick an assignee, so this only exposes emails.
+async function fetchAssignees() {
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const users = await storage.list(COLLECTIONS.USERS);
+    return {
+      ok: true,
+      emails: users.map((u) => u.email).sort((a, b) => a.localeCompare(b)),
+    };
+  } catch (err) {
+    return storageFailure(err, tr("users.loadFailed"));
+  }
+}
+
+async function updateUserRole({ email, role }) {
+  if (!ROLES.includes(role)) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("users.roleInvalid"),
+        details: { fields: { role: tr("users.roleChoices") } },
+      },
+    };
+  }
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    if (!hasPermission(actor, "users:manage")) {
+      return forbiddenResult(tr("users.adminsOnly"));
+    }
+    const target = await storage.get(COLLECTIONS.USERS, email);
+    if (!target) {
+      return {
+        ok: false,
+        error: { code: "NOT_FOUND", message: tr("users.notFound") },
+      };
+    }
+    if (roleOf(target) === "admin" && role !== "admin") {
+      const users = await storage.list(COLLECTIONS.USERS);
+      const admins = users.filter((u) => roleOf(u) === "admin");
+      if (admins.length <= 1) {
+        return forbiddenResult(tr("users.lastAdmin"));
+      }
+    }
+    await storage.update(COLLECTIONS.USERS, target.email, { role });
+    return { ok: true, user: { email: target.email, role } };
+  } catch (err) {
+    return storageFailure(err, tr("users.roleFailed"));
+  }
+}
+
+// Saves the signed-in user's language on their record, so it follows
+// them to other browsers.
+async function updateUserLocale(locale) {
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("locale.unsupported"),
+        details: { fields: { locale: tr("locale.unsupported") } },
+      },
+    };
+  }
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    await storage.update(COLLECTIONS.USERS, actor.email, { locale });
+    return { ok: true, locale };
+  } catch (err) {
+    return storageFailure(err, tr("locale.saveFailed"));
+  }
+}
+
+/********************************************************
+ * Tickets API
+ ********************************************************/
+const FAILURE_RATE = 0; // set >0 to simulate random network errors
+const LATENCY_MS = 0; // set >0 to simulate a slow network (base delay)
+const LATENCY_JITTER_MS = 0; // extra random delay on top of LATENCY_MS
+
+// Waits LATENCY_MS + up to LATENCY_JITTER_MS; rejects if `signal` aborts.
+function simulateLatency(signal) {
+  const ms = LATENCY_MS + Math.random() * LATENCY_JITTER_MS;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new StorageError("ABORTED", tr("errors.cancelled")));
+      return;
+    }
+    if (ms <= 0) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new StorageError("ABORTED", tr("errors.cancelled")));
+      },
+      { once: true }
+    );
+  });
+}
+
+// "a, b" or ["a", "b"] -> trimmed, de-duplicated (case-insensitive) list
+function normalizeLabels(labels) {
+  const list = Array.isArray(labels) ? labels : String(labels || "").split(",");
+  const seen = new Set();
+  return list
+    .map((l) => String(l).trim())
+    .filter((l) => {
+      const key = l.toLowerCase();
+      if (!l || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Due dates are calendar days ("YYYY-MM-DD"), not instants.
+function isValidDueDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(value);
+}
+
+// priority, labels and dueDate are only checked when given, so callers
+// that don't touch them (e.g. the board) leave them alone on update.
+// Passing `from` (the current status, null for a new ticket) also checks
+// the move against the workflow, with `workflowFields` as its fields.
+function validateTicketFields({
+  title,
+  status,
+  description,
+  descriptionFormat,
+  priority,
+  labels,
+  dueDate,
+  from,
+  workflowFields,
+}) {
+  // every failing field is reported at once; the message is the full
+  // sentence when only one failed
+  const fields = {};
+  const messages = [];
+  const fail = (field, message, short = message) => {
+    fields[field] = short;
+    messages.push(message);
+  };
+
+  if (!title || !title.trim()) {
+    fail("title", tr("validation.titleRequired"));
+  }
+  if (!ALLOWED_STATUS.includes(status)) {
+    fail(
+      "status",
+      tr("validation.statusInvalid"),
+      tr("validation.mustBeOneOf", {
+        choices: formatList(ALLOWED_STATUS.map(statusLabel), "disjunction"),
+      })
+    );
+  } else if (from !== undefined) {
+    const move = validateStatusChange(from, status, workflowFields);
+    if (!move.ok) {
+      Object.assign(fields, move.error.details.fields);
+      messages.push(...Object.values(move.error.details.fields));
+    }
+  }
+  if (description && description.length > 500) {
+    fail(
+      "description",
+      tr("validation.descriptionTooLong", { max: 500 }),
+      tr("validation.tooLong", { max: 500 })
+    );
+  }
+  if (
+    descriptionFormat !== undefined &&
+    !MARKDOWN_FORMATS.includes(descriptionFormat)
+  ) {
+    fail(
+      "descriptionFormat",
+      tr("validation.formatInvalid"),
+      tr("validation.formatChoices")
+    );
+  }
+  if (priority !== undefined && !ALLOWED_PRIORITY.includes(priority)) {
+    fail(
+      "priority",
+      tr("validation.priorityInvalid"),
+      tr("validation.mustBeOneOf", {
+        choices: formatList(ALLOWED_PRIORITY.map(priorityLabel), "disjunction"),
+      })
+    );
+  }
+  if (labels !== undefined) {
+    const list = normalizeLabels(labels);
+    if (list.length > LABELS_MAX) {
+      fail(
+        "labels",
+        tr("validation.tooManyLabels", { max: LABELS_MAX }),
+        tr("validation.tooManyLabelsShort", { max: LABELS_MAX })
+      );
+    } else if (list.some((l) => l.length > LABEL_MAX_LENGTH)) {
+      fail(
+        "labels",
+        tr("validation.labelTooLong", { max: LABEL_MAX_LENGTH }),
+        tr("validation.labelTooLongShort", { max: LABEL_MAX_LENGTH })
+      );
+    }
+  }
+  if (dueDate && !isValidDueDate(dueDate)) {
+    fail(
+      "dueDate",
+      tr("validation.dueDateInvalid"),
+      tr("validation.dueDateFormat")
+    );
+  }
+
+  if (!messages.length) return { ok: true };
+  return {
+    ok: false,
+    error: {
+      code: "VALIDATION_ERROR",
+      message: messages.length === 1 ? messages[0] : tr("validation.fixFields"),
+      details: { fields },
+    },
+  };
+}
+
+// The tickets fetchTickets would return, for background checks: no
+// simulated latency or failures and no comment counts.
+async function listVisibleTickets() {
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const all = (await storage.list(COLLECTIONS.TICKETS)) || [];
+    return {
+      ok: true,
+      tickets: all.filter((t) => !isTrashed(t) && canViewTicket(t, actor)),
+    };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_LOAD_ERROR));
+  }
+}
+
+// assignee must be a registered account (or empty)
+async function validateAssignee(assignee) {
+  if (!assignee) return { ok: true };
+  const user = await storage.get(COLLECTIONS.USERS, assignee);
+  if (user) return { ok: true, email: user.email };
+  return {
+    ok: false,
+    error: {
+      code: "VALIDATION_ERROR",
+      message: tr("validation.assigneeUnknown"),
+      details: {
+        fields: { assignee: tr("validation.assigneeNoUser") },
+      },
+    },
+  };
+}
+
+async function fetchTickets({ signal } = {}) {
+  let actor;
+  try {
+    await simulateLatency(signal);
+    actor = await resolveActor();
+  } catch (err) {
+    return storageFailure(err);
+  }
+  if (!actor) return notSignedInResult();
+
+  if (Math.random() < FAILURE_RATE) {
+    return {
+      ok: false,
+      error: {
+        code: "NETWORK_ERROR",
+        message: tr(MSG_LOAD_ERROR),
+      },
+    };
+  }
+  try {
+    const arr = await storage.list(COLLECTIONS.TICKETS, { signal });
+    if (signal?.aborted) {
+      throw new StorageError("ABORTED", tr("errors.cancelled"));
+    }
+    const all = Array.isArray(arr) ? arr : [];
+    const tickets = all.filter((t) => !isTrashed(t) && canViewTicket(t, actor));
+    const commentCounts = await countCommentsByTicket(tickets, { signal });
+    return { ok: true, tickets, commentCounts };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_LOAD_ERROR));
+  }
+}
+
+// Single ticket by id. Tickets the actor may not see are reported as
+// NOT_FOUND so a pasted link doesn't reveal that they exist.
+async function fetchTicket(id, { signal } = {}) {
+  try {
+    await simulateLatency(signal);
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const ticket = id ? await storage.get(COLLECTIONS.TICKETS, id) : null;
+    if (signal?.aborted) {
+      throw new StorageError("ABORTED", tr("errors.cancelled"));
+    }
+    if (!ticket || isTrashed(ticket) || !canViewTicket(ticket, actor)) {
+      return {
+        ok: false,
+        error: { code: "NOT_FOUND", message: tr("ticket.notFound") },
+      };
+    }
+    return { ok: true, ticket };
+  } catch (err) {
+    return storageFailure(err, tr("ticket.loadFailed"));
+  }
+}
+
+// `id` is optional; the outbox passes the one its placeholder already
+// shows, so a retried create can't add the same ticket twice.
+async function createTicket({
+  id,
+  title,
+  description,
+  descriptionFormat = "plain",
+  status,
+  assignee,
+  priority = DEFAULT_PRIORITY,
+  labels = [],
+  dueDate = null,
+  workflowFields = {},
+}) {
+  const check = validateTicketFields({
+    title,
+    status,
+    description,
+    descriptionFormat,
+    priority,
+    labels,
+    dueDate,
+    from: null,
+    workflowFields,
+  });
+  if (!check.ok) return check;
+
+  await simulateLatency();
+  let actor, assigneeCheck;
+  try {
+    actor = await resolveActor();
+    assigneeCheck = await validateAssignee(assignee?.trim());
+  } catch (err) {
+    return storageFailure(err, tr("ticket.createFailed"));
+  }
+  if (!actor) return notSignedInResult();
+  if (!hasPermission(actor, "ticket:create")) {
+    return forbiddenResult(tr("ticket.createForbidden"));
+  }
+  if (status !== WORKFLOW.initial && !canChangeStatus(actor)) {
+    return forbiddenResult(tr("ticket.startStatusForbidden"));
+  }
+  if (!assigneeCheck.ok) return assigneeCheck;
+  if (Math.random() < FAILURE_RATE) {
+    return {
+      ok: false,
+      error: {
+        code: "NETWORK_ERROR",
+        message: tr("ticket.createFailed"),
+      },
+    };
+  }
+  if (id) {
+    try {
+      const existing = await storage.get(COLLECTIONS.TICKETS, id);
+      if (existing && sameEmail(existing.createdBy, actor.email)) {
+        return { ok: true, ticket: existing };
+      }
+      if (existing) {
+        return {
+          ok: false,
+          error: { code: "CONFLICT", message: tr("ticket.idTaken") },
+        };
+      }
+    } catch (err) {
+      return storageFailure(err, tr("ticket.createFailed"));
+    }
+  }
+  const now = new Date().toISOString();
+
+  const newTicket = {
+    id: id || (crypto.randomUUID ? crypto.randomUUID() : String(Date.now())),
+    title: title.trim(),
+    description: description?.trim() || "",
+    descriptionFormat,
+    status,
+    priority,
+    labels: normalizeLabels(labels),
+    dueDate: dueDate || null,
+    createdBy: actor.email,
+    reporter: actor.email,
+    assignee: assigneeCheck.email || null,
+    ...transitionPatch(null, status, workflowFields),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    const saved = await storage.insert(COLLECTIONS.TICKETS, newTicket);
+    await recordTicketEvent("created", saved || newTicket, actor);
+    broadcastChange({ type: "tickets", id: newTicket.id });
+    return { ok: true, ticket: saved || newTicket };
+  } catch (err) {
+    return storageFailure(err, tr("ticket.createFailed"));
+  }
+}
+
+// descriptionFormat, priority, labels, dueDate and assignee are kept when
+// left undefined.
+// Pass `expectedUpdatedAt` (the updatedAt the caller started from) to get
+// a CONFLICT result instead of overwriting someone else's newer change.
+// A status change must follow the workflow; `workflowFields` carries the
+// fields it requires (e.g. { resolution } when closing).
+async function updateTicket({
+  id,
+  title,
+  description,
+  descriptionFormat,
+  status,
+  assignee,
+  priority,
+  labels,
+  dueDate,
+  expectedUpdatedAt,
+  workflowFields = {},
+}) {
+  const check = validateTicketFields({
+    title,
+    status,
+    description,
+    descriptionFormat,
+    priority,
+    labels,
+    dueDate,
+  });
+  if (!check.ok) return check;
+  if (!id) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("ticket.missingId"),
+      },
+    };
+  }
+
+  await simulateLatency();
+  if (Math.random() < FAILURE_RATE) {
+    return {
+      ok: false,
+      error: {
+        code: "NETWORK_ERROR",
+        message: tr("ticket.updateFailed"),
+      },
+    };
+  }
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const existing = await storage.get(COLLECTIONS.TICKETS, id);
+    if (!existing || isTrashed(existing)) {
+      return {
+        ok: false,
+        error: { code: "NOT_FOUND", message: tr("ticket.gone") },
+      };
+    }
+    const canEdit = canEditTicket(existing, actor);
+    if (!canEdit && !canMoveTicket(existing, actor)) {
+      return forbiddenResult(tr("ticket.editForbidden"));
+    }
+    if (expectedUpdatedAt && existing.updatedAt !== expectedUpdatedAt) {
+      return {
+        ok: false,
+        error: {
+          code: "CONFLICT",
+          message: tr("ticket.conflict"),
+          details: { ticket: existing },
+        },
+      };
+    }
+    if (status !== existing.status && !canChangeStatus(actor)) {
+      return forbiddenResult(tr("ticket.statusForbidden"));
+    }
+    const move = validateStatusChange(existing.status, status, workflowFields);
+    if (!move.ok) return move;
+    const patch = {
+      title: title.trim(),
+      description: description?.trim() || "",
+      status,
+      ...transitionPatch(existing.status, status, workflowFields),
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor.email,
+    };
+    // tickets from before Markdown have no format and read as plain text
+    if (
+      descriptionFormat !== undefined &&
+      descriptionFormat !== (existing.descriptionFormat || "plain")
+    ) {
+      patch.descriptionFormat = descriptionFormat;
+    }
+    if (priority !== undefined) patch.priority = priority;
+    if (labels !== undefined) patch.labels = normalizeLabels(labels);
+    if (dueDate !== undefined) patch.dueDate = dueDate || null;
+    if (assignee !== undefined) {
+      const assigneeCheck = await validateAssignee(assignee?.trim());
+      if (!assigneeCheck.ok) return assigneeCheck;
+      patch.assignee = assigneeCheck.email || null;
+    }
+    // agents may move any ticket they can see, but only edit their own
+    const edited = Object.keys(diffTicketFields(existing, patch)).some(
+      (field) =>
+        field in patch && field !== "status" && !WORKFLOW_FIELDS.includes(field)
+    );
+    if (edited && !canEdit) {
+      return forbiddenResult(tr("ticket.editForbidden"));
+    }
+    const ticket = await storage.update(COLLECTIONS.TICKETS, id, patch);
+    const changes = diffTicketFields(existing, ticket);
+    if (Object.keys(changes).length) {
+      await recordTicketEvent("updated", ticket, actor, changes);
+    }
+    broadcastChange({ type: "tickets", id });
+    return { ok: true, ticket };
+  } catch (err) {
+    return storageFailure(err, tr("ticket.updateFailed"));
+  }
+}
+
+// Moves the ticket to the trash; restoreTicket() brings it back and
+// purgeTicket() (or the retention sweep) removes it for good.
+async function deleteTicket(id) {
+  await simulateLatency();
+  if (Math.random() < FAILURE_RATE) {
+    return {
+      ok: false,
+      error: {
+        code: "NETWORK_ERROR",
+        message: tr(MSG_DELETE_ERROR),
+      },
+    };
+  }
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const existing = await storage.get(COLLECTIONS.TICKETS, id);
+    if (!existing || isTrashed(existing)) return { ok: true };
+    if (!canDeleteTicket(existing, actor)) {
+      return forbiddenResult(tr("ticket.deleteForbidden"));
+    }
+    const ticket = await storage.update(COLLECTIONS.TICKETS, id, {
+      deletedAt: new Date().toISOString(),
+      deletedBy: actor.email,
+    });
+    await recordTicketEvent("deleted", existing, actor);
+    broadcastChange({ type: "tickets", id });
+    return { ok: true, ticket };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_DELETE_ERROR));
+  }
+}
+
+/********************************************************
+ * Offline outbox
+ ********************************************************/
+// Ticket writes that failed with a NETWORK_ERROR wait in LS_KEYS.OUTBOX
+// and are replayed in order by flushOutbox(). Each entry looks like
+//   { id, op: "create" | "update" | "delete", ticketId, title, payload,
+//     by, queuedAt, attempts, nextAttemptAt, lastError }
+// and a ticket has at most one: later writes fold into the queued one.
+// Retries back off exponentially, with jitter, up to OUTBOX_MAX_DELAY_MS.
+const OUTBOX_BASE_DELAY_MS = 2 * 1000;
+const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000;
+
+const OUTBOX_OPS = {
+  create: (payload) => createTicket(payload),
+  update: (payload) => updateTicket(payload),
+  delete: (payload) => deleteTicket(payload.id),
+};
+
+function readOutbox() {
+  const entries = readJSON(LS_KEYS.OUTBOX, []);
+  return Array.isArray(entries) ? entries : [];
+}
+
+function writeOutbox(entries) {
+  if (entries.length) {
+    writeJSON(LS_KEYS.OUTBOX, entries);
+  } else {
+    removeKey(LS_KEYS.OUTBOX);
+  }
+  broadcastChange({ type: "outbox" });
+}
+
+// entries queued by the signed-in user; others wait for their owner
+function myOutbox() {
+  const email = getSession()?.email;
+  return email ? readOutbox().filter((e) => sameEmail(e.by, email)) : [];
+}
+
+function queuedWriteFor(ticketId) {
+  return myOutbox().find((e) => e.ticketId === ticketId) || null;
+}
+
+// Delay before retry number `attempts` (1-based): the doubled delay, of
+// which a random half is dropped so retrying tabs don't move in step.
+function outboxBackoff(attempts) {
+  const ceiling = Math.min(
+    OUTBOX_MAX_DELAY_MS,
+    OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1)
+  );
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+function isRetryableFailure(result) {
+  return !result.ok && result.error?.code === "NETWORK_ERROR";
+}
+
+// payload fields as they read on a ticket (undefined means "unchanged")
+function queuedTicketFields(payload) {
+  const fields = {
+    title: payload.title?.trim(),
+    description: payload.description?.trim(),
+    descriptionFormat: payload.descriptionFormat,
+    status: payload.status,
+    priority: payload.priority,
+    labels: payload.labels && normalizeLabels(payload.labels),
+    dueDate:
+      payload.dueDate === undefined ? undefined : payload.dueDate || null,
+    assignee:
+      payload.assignee === undefined ? undefined : payload.assignee || null,
+    ...(payload.workflowFields || {}),
+  };
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+}
+
+// `tickets` as they will read once the user's queued writes have synced:
+// queued creates are added, updates applied and deletes left out.
+function applyOutbox(tickets) {
+  let list = [...tickets];
+  myOutbox().forEach((entry) => {
+    const { op, ticketId, payload } = entry;
+    if (op === "delete") {
+      list = list.filter((t) => t.id !== ticketId);
+    } else if (op === "update") {
+      list = list.map((t) =>
+        t.id === ticketId ? { ...t, ...queuedTicketFields(payload) } : t
+      );
+    } else if (!list.some((t) => t.id === ticketId)) {
+      list.unshift({
+        priority: DEFAULT_PRIORITY,
+        labels: [],
+        dueDate: null,
+        assignee: null,
+        ...queuedTicketFields(payload),
+        id: ticketId,
+        createdBy: entry.by,
+        reporter: entry.by,
+        createdAt: entry.queuedAt,
+        updatedAt: entry.queuedAt,
+      });
+    }
+  });
+  return list;
+}
+
+// Adds a write to the outbox, folding it into the ticket's queued entry:
+// an update merges into a queued create or update, and a delete replaces
+// it (or cancels a create that never reached the server). Returns whether
+// a write for the ticket is still queued.
+function enqueueTicketWrite(op, ticketId, payload, error) {
+  const entries = readOutbox();
+  const by = getSession()?.email || null;
+  const index = entries.findIndex(
+    (e) => e.ticketId === ticketId && sameEmail(e.by, by)
+  );
+  const queued = index === -1 ? null : entries[index];
+  const now = Date.now();
+
+  if (queued && op === "update" && queued.op !== "delete") {
+    const merged = {
+      ...queued.payload,
+      ...Object.fromEntries(
+        Object.entries(payload).filter(([, value]) => value !== undefined)
+      ),
+      // the queued write's starting point still applies
+      expectedUpdatedAt: queued.payload.expectedUpdatedAt,
+      workflowFields: {
+        ...(queued.payload.workflowFields || {}),
+        ...(payload.workflowFields || {}),
+      },
+    };
+    if (queued.op === "create") delete merged.expectedUpdatedAt;
+    entries[index] = { ...queued, title: merged.title, payload: merged };
+  } else if (queued && op === "delete" && queued.op === "create") {
+    entries.splice(index, 1);
+    writeOutbox(entries);
+    return false;
+  } else {
+    const entry = {
+      id: crypto.randomUUID ? crypto.randomUUID() : String(now),
+      op,
+      ticketId,
+      title: payload.title || queued?.title || "",
+      payload,
+      by,
+      queuedAt: new Date(now).toISOString(),
+      attempts: 1,
+      nextAttemptAt: now + outboxBackoff(1),
+      lastError: error?.message || null,
+    };
+    if (queued) {
+      entries[index] = entry;
+    } else {
+      entries.push(entry);
+    }
+  }
+  writeOutbox(entries);
+  return true;
+}
+
+// Runs a ticket write now, or queues it when the network fails (or the
+// ticket already has a write waiting, which it must not overtake). A
+// queued write resolves to { ok: true, queued: true }.
+async function runOrQueue(op, ticketId, payload) {
+  if (!queuedWriteFor(ticketId)) {
+    const result = await OUTBOX_OPS[op](payload);
+    if (!isRetryableFailure(result)) return result;
+    return {
+      ok: true,
+      queued: enqueueTicketWrite(op, ticketId, payload, result.error),
+    };
+  }
+  const queued = enqueueTicketWrite(op, ticketId, payload);
+  return queued ? { ok: true, queued } : { ok: true, discarded: true };
+}
+
+// createTicket() that queues on a network failure
+function createTicketOrQueue(fields) {
+  const id = crypto.randomUUID ? crypto.randomUUID() : String(Date.now());
+  return runOrQueue("create", id, { ...fields, id });
+}
+
+// updateTicket() that queues on a network failure
+function updateTicketOrQueue(fields) {
+  return runOrQueue("update", fields.id, fields);
+}
+
+// deleteTicket() that queues on a network failure. Deleting a ticket whose
+// create is still queued just drops it: { ok: true, discarded: true }.
+function deleteTicketOrQueue(id) {
+  return runOrQueue("delete", id, { id });
+}
+
+// Replays the user's queued writes, oldest first, until one fails to reach
+// the server; that one gets its next attempt scheduled and the rest wait
+// behind it. Unless `force` is set, nothing runs before the first entry is
+// due. Writes the server rejects (e.g. CONFLICT) are dropped and reported.
+// Resolves to { synced: [ticketId], failed: [{ entry, error }] }.
+let outboxFlush = null;
+
+function flushOutbox({ force = false } = {}) {
+  if (!outboxFlush) {
+    const drain = () => drainOutbox(force);
+    // one tab at a time, where the browser can arrange it
+    const run = navigator.locks
+      ? navigator.locks.request(LS_KEYS.OUTBOX, drain)
+      : drain();
+    outboxFlush = run.finally(() => {
+      outboxFlush = null;
+    });
+  }
+  return outboxFlush;
+}
+
+async function drainOutbox(force) {
+  const report = { synced: [], failed: [] };
+  for (let first = true; ; first = false) {
+    const entry = myOutbox()[0];
+    if (!entry) break;
+    if (first && !force && entry.nextAttemptAt > Date.now()) break;
+
+    const result = await OUTBOX_OPS[entry.op](entry.payload);
+    // re-read: another write may have folded into the entry meanwhile
+    const entries = readOutbox();
+    const index = entries.findIndex((e) => e.id === entry.id);
+    if (isRetryableFailure(result)) {
+      if (index !== -1) {
+        const attempts = entries[index].attempts + 1;
+        entries[index] = {
+          ...entries[index],
+          attempts,
+          nextAttemptAt: Date.now() + outboxBackoff(attempts),
+          lastError: result.error.message,
+        };
+        writeOutbox(entries);
+      }
+      break;
+    }
+    if (index !== -1) {
+      const latest = entries[index];
+      if (
+        result.ok &&
+        entry.op !== "delete" &&
+        JSON.stringify(latest.payload) !== JSON.stringify(entry.payload)
+      ) {
+        // what was folded in still has to be sent, as an update
+        entries[index] = {
+          ...latest,
+          op: "update",
+          payload: {
+            ...latest.payload,
+            expectedUpdatedAt: result.ticket?.updatedAt,
+          },
+        };
+      } else {
+        entries.splice(index, 1);
+      }
+      writeOutbox(entries);
+    }
+    if (result.ok) {
+      report.synced.push(entry.ticketId);
+    } else {
+      report.failed.push({ entry, error: result.error });
+    }
+  }
+  return report;
+}
+
+/********************************************************
+ * Trash API
+ ********************************************************/
+// Days a deleted ticket stays restorable before it is purged.
+// Override with window.TICKETAPP_TRASH_RETENTION_DAYS before app.js loads.
+const TRASH_RETENTION_DAYS =
+  Number(window.TICKETAPP_TRASH_RETENTION_DAYS) > 0
+    ? Number(window.TICKETAPP_TRASH_RETENTION_DAYS)
+    : 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MSG_TRASH_ERROR = "trash.updateFailed";
+const TRASH_ACTOR = { email: "system", role: "admin" };
+
+function isTrashed(ticket) {
+  return Boolean(ticket && ticket.deletedAt);
+}
+
+// When a trashed ticket is due to be purged
+function trashPurgeAt(ticket) {
+  return new Date(
+    new Date(ticket.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS
+  );
+}
+
+function trashNotFoundResult() {
+  return {
+    ok: false,
+    error: { code: "NOT_FOUND", message: tr("trash.notInTrash") },
+  };
+}
+
+// Trashed tickets, most recently deleted first
+async function fetchTrash({ signal } = {}) {
+  try {
+    await simulateLatency(signal);
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    if (!hasPermission(actor, "ticket:delete")) {
+      return forbiddenResult(tr("trash.openForbidden"));
+    }
+    const all = (await storage.list(COLLECTIONS.TICKETS, { signal })) || [];
+    if (signal?.aborted) {
+      throw new StorageError("ABORTED", tr("errors.cancelled"));
+    }
+    const tickets = all
+      .filter(isTrashed)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    return { ok: true, tickets };
+  } catch (err) {
+    return storageFailure(err, tr("trash.loadFailed"));
+  }
+}
+
+async function restoreTicket(id) {
+  await simulateLatency();
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const existing = id ? await storage.get(COLLECTIONS.TICKETS, id) : null;
+    if (!isTrashed(existing)) return trashNotFoundResult();
+    if (!canDeleteTicket(existing, actor)) {
+      return forbiddenResult(tr("trash.restoreForbidden"));
+    }
+    const ticket = await storage.update(COLLECTIONS.TICKETS, id, {
+      deletedAt: null,
+      deletedBy: null,
+    });
+    await recordTicketEvent("restored", ticket, actor);
+    broadcastChange({ type: "tickets", id });
+    return { ok: true, ticket };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_TRASH_ERROR));
+  }
+}
+
+// Permanently removes a trashed ticket together with its comments and
+// attachments. Trashed tickets keep their files so a restore gets them back.
+async function purgeTicket(id, { actor: sweeper = null } = {}) {
+  await simulateLatency();
+  try {
+    const actor = sweeper || (await resolveActor());
+    if (!actor) return notSignedInResult();
+    const existing = id ? await storage.get(COLLECTIONS.TICKETS, id) : null;
+    if (!isTrashed(existing)) return trashNotFoundResult();
+    if (!canDeleteTicket(existing, actor)) {
+      return forbiddenResult(tr("ticket.deleteForbidden"));
+    }
+    await storage.remove(COLLECTIONS.TICKETS, id);
+    await removeCommentsForTicket(id);
+    await attachmentStore.removeByTicket(id);
+    await recordTicketEvent("purged", existing, actor);
+    broadcastChange({ type: "tickets", id });
+    return { ok: true };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_TRASH_ERROR));
+  }
+}
+
+// Purges every ticket whose retention period is over. Runs at startup,
+// so it acts as the system rather than the signed-in user.
+async function purgeExpiredTrash(now = new Date()) {
+  try {
+    const all = (await storage.list(COLLECTIONS.TICKETS)) || [];
+    const expired = all.filter((t) => isTrashed(t) && trashPurgeAt(t) <= now);
+    for (const t of expired) {
+      const result = await purgeTicket(t.id, { actor: TRASH_ACTOR });
+      if (!result.ok) return result;
+    }
+    return { ok: true, purged: expired.length };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_TRASH_ERROR));
+  }
+}
+
+/********************************************************
+ * Bulk actions API
+ ********************************************************/
+// Bulk changes go through storage.updateMany, so either every ticket is
+// changed or none is. Permissions are checked for all of them first.
+const MSG_BULK_ERROR = "bulk.updateFailed";
+
+function bulkSelectionError(message) {
+  return { ok: false, error: { code: "VALIDATION_ERROR", message } };
+}
+
+// Loads every selected ticket; NOT_FOUND lists the ids that are gone.
+async function loadBulkTickets(ids) {
+  const tickets = [];
+  const missing = [];
+  for (const id of ids) {
+    const ticket = await storage.get(COLLECTIONS.TICKETS, id);
+    if (!ticket || isTrashed(ticket)) missing.push(id);
+    else tickets.push(ticket);
+  }
+  if (missing.length) {
+    return {
+      ok: false,
+      error: {
+        code: "NOT_FOUND",
+        message: tr("bulk.missing"),
+        details: { ids: missing },
+      },
+    };
+  }
+  return { ok: true, tickets };
+}
+
+// `workflowFields` apply to every ticket whose move requires them
+async function bulkUpdateTicketStatus(ids, status, workflowFields = {}) {
+  if (!ids?.length) return bulkSelectionError(tr("bulk.noneSelected"));
+  if (!ALLOWED_STATUS.includes(status)) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("validation.fixFields"),
+        details: { fields: { status: tr("bulk.chooseStatus") } },
+      },
+    };
+  }
+  await simulateLatency();
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    if (!canChangeStatus(actor)) {
+      return forbiddenResult(tr("ticket.statusForbidden"));
+    }
+    const loaded = await loadBulkTickets(ids);
+    if (!loaded.ok) return loaded;
+    const blocked = loaded.tickets.filter((t) => !canMoveTicket(t, actor));
+    if (blocked.length) {
+      return {
+        ok: false,
+        error: {
+          code: "FORBIDDEN",
+          message: tr("bulk.editForbidden"),
+          details: { ids: blocked.map((t) => t.id) },
+        },
+      };
+    }
+    const stuck = loaded.tickets.filter(
+      (t) => !nextStatuses(t.status).includes(status)
+    );
+    if (stuck.length) {
+      return {
+        ok: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: tr("bulk.cantMove", { status: statusLabel(status) }),
+          details: { ids: stuck.map((t) => t.id) },
+        },
+      };
+    }
+    for (const t of loaded.tickets) {
+      const move = validateStatusChange(t.status, status, workflowFields);
+      if (!move.ok) return move;
+    }
+
+    const now = new Date().toISOString();
+    const tickets = await storage.updateMany(
+      COLLECTIONS.TICKETS,
+      loaded.tickets.map((t) => ({
+        key: t.id,
+        patch: {
+          status,
+          ...transitionPatch(t.status, status, workflowFields),
+          updatedAt: now,
+          updatedBy: actor.email,
+        },
+      }))
+    );
+    for (const [i, ticket] of tickets.entries()) {
+      const changes = diffTicketFields(loaded.tickets[i], ticket);
+      if (Object.keys(changes).length) {
+        await recordTicketEvent("updated", ticket, actor, changes);
+      }
+    }
+    broadcastChange({ type: "tickets" });
+    return { ok: true, tickets };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_BULK_ERROR));
+  }
+}
+
+// Moves every selected ticket to the trash, like deleteTicket()
+async function bulkDeleteTickets(ids) {
+  if (!ids?.length) return bulkSelectionError(tr("bulk.noneSelected"));
+  await simulateLatency();
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    if (!hasPermission(actor, "ticket:delete")) {
+      return forbiddenResult(tr("ticket.deleteForbidden"));
+    }
+    const loaded = await loadBulkTickets(ids);
+    if (!loaded.ok) return loaded;
+
+    const patch = {
+      deletedAt: new Date().toISOString(),
+      deletedBy: actor.email,
+    };
+    const tickets = await storage.updateMany(
+      COLLECTIONS.TICKETS,
+      loaded.tickets.map((t) => ({ key: t.id, patch }))
+    );
+    for (const ticket of loaded.tickets) {
+      await recordTicketEvent("deleted", ticket, actor);
+    }
+    broadcastChange({ type: "tickets" });
+    return { ok: true, tickets };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_BULK_ERROR));
+  }
+}
+
+/********************************************************
+ * Audit history API
+ ********************************************************/
+// Fields whose before/after values are kept on "updated" events
+const AUDITED_FIELDS = [
+  "title",
+  "description",
+  "descriptionFormat",
+  "status",
+  "priority",
+  "assignee",
+  "labels",
+  "dueDate",
+  ...WORKFLOW_FIELDS,
+];
+const RECENT_ACTIVITY_LIMIT = 10;
+
+// missing, "" and [] all mean "not set"
+function auditValue(value) {
+  if (value === undefined || value === "") return null;
+  if (Array.isArray(value) && !value.length) return null;
+  return value;
+}
+
+// { field: { from, to } } for every audited field that changed
+function diffTicketFields(before, after) {
+  const changes = {};
+  AUDITED_FIELDS.forEach((field) => {
+    const from = auditValue(before?.[field]);
+    const to = auditValue(after?.[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+// Events keep a small snapshot of the ticket so the feed can still name
+// (and permission-check) tickets that were deleted since.
+async function recordTicketEvent(action, ticket, actor, changes = null) {
+  const event = {
+    id: crypto.randomUUID ? crypto.randomUUID() : String(Date.now()),
+    ticketId: ticket.id,
+    action,
+    actor: actor.email,
+    at: new Date().toISOString(),
+    changes,
+    ticket: {
+      title: ticket.title,
+      createdBy: ticket.createdBy || null,
+      reporter: ticket.reporter || null,
+      assignee: ticket.assignee || null,
+    },
+  };
+  try {
+    await storage.insert(COLLECTIONS.AUDIT, event);
+  } catch {
+    // best effort: the change itself is already saved
+  }
+}
+
+function newestEventsFirst(events) {
+  return [...events].sort((a, b) => b.at.localeCompare(a.at));
+}
+
+async function fetchTicketHistory(ticketId, { signal } = {}) {
+  try {
+    await simulateLatency(signal);
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const ticket = ticketId
+      ? await storage.get(COLLECTIONS.TICKETS, ticketId)
+      : null;
+    if (!ticket || isTrashed(ticket) || !canViewTicket(ticket, actor)) {
+      return {
+        ok: false,
+        error: { code: "NOT_FOUND", message: tr("ticket.notFound") },
+      };
+    }
+    const all = (await storage.list(COLLECTIONS.AUDIT, { signal })) || [];
+    if (signal?.aborted) {
+      throw new StorageError("ABORTED", tr("errors.cancelled"));
+    }
+    const events = all.filter((e) => e.ticketId === ticketId);
+    return { ok: true, events: newestEventsFirst(events) };
+  } catch (err) {
+    return storageFailure(err, tr("history.loadFailed"));
+  }
+}
+
+// Latest events across every ticket the actor may see
+async function fetchRecentActivity({
+  signal,
+  limit = RECENT_ACTIVITY_LIMIT,
+} = {}) {
+  try {
+    await simulateLatency(signal);
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const all = (await storage.list(COLLECTIONS.AUDIT, { signal })) || [];
+    const tickets = (await storage.list(COLLECTIONS.TICKETS, { signal })) || [];
+    if (signal?.aborted) {
+      throw new StorageError("ABORTED", tr("errors.cancelled"));
+    }
+    // access follows the ticket as it is now (an unassigned user loses its
+    // events); the snapshot only decides for tickets deleted since
+    const current = new Map(tickets.map((t) => [t.id, t]));
+    const visible = all.filter((e) =>
+      canViewTicket(current.get(e.ticketId) || e.ticket || {}, actor)
+    );
+    return { ok: true, events: newestEventsFirst(visible).slice(0, limit) };
+  } catch (err) {
+    return storageFailure(err, tr("activity.loadFailed"));
+  }
+}
+
+/********************************************************
+ * Comments API
+ ********************************************************/
+const COMMENT_MAX_LENGTH = 1000;
+const MSG_COMMENT_ERROR = "comments.saveFailed";
+
+function validateCommentFields({ body }) {
+  if (!body || !body.trim()) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("comments.empty"),
+        details: { fields: { body: tr("comments.empty") } },
+      },
+    };
+  }
+  if (body.length > COMMENT_MAX_LENGTH) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tr("comments.tooLong", { max: COMMENT_MAX_LENGTH }),
+        details: {
+          fields: {
+            body: tr("validation.tooLong", { max: COMMENT_MAX_LENGTH }),
+          },
+        },
+      },
+    };
+  }
+  return { ok: true };
+}
+
+function commentNotFoundResult() {
+  return {
+    ok: false,
+    error: { code: "NOT_FOUND", message: tr("comments.notFound") },
+  };
+}
+
+// { [ticketId]: count } for the ticket cards, limited to `tickets` (the
+// ones the actor can see) so other tickets' counts don't leak out
+async function countCommentsByTicket(tickets, { signal } = {}) {
+  const visible = new Set(tickets.map((t) => t.id));
+  const comments = (await storage.list(COLLECTIONS.COMMENTS, { signal })) || [];
+  const counts = {};
+  comments.forEach((c) => {
+    if (!visible.has(c.ticketId)) return;
+    counts[c.ticketId] = (counts[c.ticketId] || 0) + 1;
+  });
+  return counts;
+}
+
+async function removeCommentsForTicket(ticketId) {
+  const comments = (await storage.list(COLLECTIONS.COMMENTS)) || [];
+  for (const c of comments) {
+    if (c.ticketId === ticketId) {
+      await storage.remove(COLLECTIONS.COMMENTS, c.id);
+    }
+  }
+}
+
+// The ticket a comment or attachment hangs off, or a NOT_FOUND result when
+// the actor can't see it (same rule as fetchTicket).
+async function visibleTicketFor(ticketId, actor) {
+  const ticket = ticketId
+    ? await storage.get(COLLECTIONS.TICKETS, ticketId)
+    : null;
+  if (ticket && !isTrashed(ticket) && canViewTicket(ticket, actor)) {
+    return { ok: true, ticket };
+  }
+  return {
+    ok: false,
+    error: { code: "NOT_FOUND", message: tr("ticket.notFound") },
+  };
+}
+
+// Oldest first, so the thread reads top to bottom.
+async function fetchComments(ticketId, { signal } = {}) {
+  try {
+    await simulateLatency(signal);
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const access = await visibleTicketFor(ticketId, actor);
+    if (!access.ok) return access;
+    const all = (await storage.list(COLLECTIONS.COMMENTS, { signal })) || [];
+    if (signal?.aborted) {
+      throw new StorageError("ABORTED", tr("errors.cancelled"));
+    }
+    const comments = all
+      .filter((c) => c.ticketId === ticketId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return { ok: true, comments };
+  } catch (err) {
+    return storageFailure(err, tr("comments.loadFailed"));
+  }
+}
+
+async function addComment({ ticketId, body }) {
+  const check = validateCommentFields({ body });
+  if (!check.ok) return check;
+
+  await simulateLatency();
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const access = await visibleTicketFor(ticketId, actor);
+    if (!access.ok) return access;
+
+    const now = new Date().toISOString();
+    const comment = {
+      id: crypto.randomUUID ? crypto.randomUUID() : String(Date.now()),
+      ticketId,
+      body: body.trim(),
+      author: actor.email,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const saved = await storage.insert(COLLECTIONS.COMMENTS, comment);
+    broadcastChange({ type: "comments", ticketId });
+    return { ok: true, comment: saved || comment };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_COMMENT_ERROR));
+  }
+}
+
+async function updateComment({ id, body }) {
+  const check = validateCommentFields({ body });
+  if (!check.ok) return check;
+
+  await simulateLatency();
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const existing = id ? await storage.get(COLLECTIONS.COMMENTS, id) : null;
+    if (!existing) return commentNotFoundResult();
+    if (!isCommentAuthor(existing, actor)) {
+      return forbiddenResult(tr("comments.editForbidden"));
+    }
+    const comment = await storage.update(COLLECTIONS.COMMENTS, id, {
+      body: body.trim(),
+      updatedAt: new Date().toISOString(),
+    });
+    broadcastChange({ type: "comments", ticketId: existing.ticketId });
+    return { ok: true, comment };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_COMMENT_ERROR));
+  }
+}
+
+async function deleteComment(id) {
+  await simulateLatency();
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const existing = id ? await storage.get(COLLECTIONS.COMMENTS, id) : null;
+    if (!existing) return { ok: true };
+    if (!isCommentAuthor(existing, actor)) {
+      return forbiddenResult(tr("comments.deleteForbidden"));
+    }
+    await storage.remove(COLLECTIONS.COMMENTS, id);
+    broadcastChange({ type: "comments", ticketId: existing.ticketId });
+    return { ok: true };
+  } catch (err) {
+    return storageFailure(err, tr("comments.deleteFailed"));
+  }
+}
+
+/********************************************************
+ * Attachments API
+ ********************************************************/
+const ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024; // per file
+const TICKET_ATTACHMENTS_MAX_BYTES = 20 * 1024 * 1024; // per ticket
+const MSG_ATTACHMENT_ERROR = "attachments.saveFailed";
+
+// e.g. "512 byte", "3.4 MB", in the current locale
+function formatBytes(bytes) {
+  const units = ["byte", "kilobyte", "megabyte", "gigabyte"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return new Intl.NumberFormat(currentLocale, {
+    style: "unit",
+    unit: units[unit],
+    unitDisplay: "short",
+    maximumFractionDigits: unit && value < 10 ? 1 : 0,
+  }).format(value);
+}
+
+// Checks new `files` against the size limits, given the bytes the ticket
+// already holds. details.files lists each file that is too large.
+function validateAttachmentFiles(files, existingBytes = 0) {
+  const tooLarge = files
+    .filter((f) => f.size > ATTACHMENT_MAX_BYTES)
+    .map((f) => ({
+      name: f.name,
+      size: f.size,
+      message: tr("attachments.fileTooLarge", {
+        name: f.name,
+        limit: formatBytes(ATTACHMENT_MAX_BYTES),
+      }),
+    }));
+  if (tooLarge.length) {
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: tooLarge[0].message,
+        details: {
+          fields: {
+            attachments: tr("attachments.perFileLimit", {
+              limit: formatBytes(ATTACHMENT_MAX_BYTES),
+            }),
+          },
+          files: tooLarge,
+          limit: ATTACHMENT_MAX_BYTES,
+        },
+      },
+    };
+  }
+  const total = files.reduce((sum, f) => sum + f.size, existingBytes);
+  if (total > TICKET_ATTACHMENTS_MAX_BYTES) {
+    const message = tr("attachments.totalLimit", {
+      limit: formatBytes(TICKET_ATTACHMENTS_MAX_BYTES),
+    });
+    return {
+      ok: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message,
+        details: {
+          fields: { attachments: message },
+          totalBytes: total,
+          limit: TICKET_ATTACHMENTS_MAX_BYTES,
+        },
+      },
+    };
+  }
+  return { ok: true };
+}
+
+function attachmentNotFoundResult() {
+  return {
+    ok: false,
+    error: { code: "NOT_FOUND", message: tr("attachments.notFound") },
+  };
+}
+
+// Attachments of a ticket (each with its `blob`), oldest first
+async function fetchAttachments(ticketId, { signal } = {}) {
+  try {
+    await simulateLatency(signal);
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const access = await visibleTicketFor(ticketId, actor);
+    if (!access.ok) return access;
+    const attachments = await attachmentStore.listByTicket(ticketId);
+    if (signal?.aborted) {
+      throw new StorageError("ABORTED", tr("errors.cancelled"));
+    }
+    return { ok: true, attachments };
+  } catch (err) {
+    return storageFailure(err, tr("attachments.loadFailed"));
+  }
+}
+
+// Stores `files` (File or Blob objects with a name) on the ticket, all or
+// none of them.
+async function addAttachments(ticketId, files) {
+  await simulateLatency();
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const access = await visibleTicketFor(ticketId, actor);
+    if (!access.ok) return access;
+    // whoever filed the ticket can attach files, e.g. from the create form
+    if (
+      !canEditTicket(access.ticket, actor) &&
+      !sameEmail(access.ticket.createdBy, actor.email)
+    ) {
+      return forbiddenResult(tr("attachments.addForbidden"));
+    }
+    const existing = await attachmentStore.listByTicket(ticketId);
+    const existingBytes = existing.reduce((sum, a) => sum + a.size, 0);
+    const check = validateAttachmentFiles(files, existingBytes);
+    if (!check.ok) return check;
+
+    const now = new Date().toISOString();
+    const attachments = files.map((file, i) => ({
+      id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${i}`,
+      ticketId,
+      name: file.name || "attachment",
+      type: file.type || "application/octet-stream",
+      size: file.size,
+      blob: file,
+      createdAt: now,
+      createdBy: actor.email,
+    }));
+    const saved = await attachmentStore.insertMany(attachments);
+    broadcastChange({ type: "attachments", ticketId });
+    return { ok: true, attachments: saved };
+  } catch (err) {
+    return storageFailure(err, tr(MSG_ATTACHMENT_ERROR));
+  }
+}
+
+async function removeAttachment(id) {
+  await simulateLatency();
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    const existing = id ? await attachmentStore.get(id) : null;
+    if (!existing) return attachmentNotFoundResult();
+    const access = await visibleTicketFor(existing.ticketId, actor);
+    if (!access.ok) return access;
+    if (!canEditTicket(access.ticket, actor)) {
+      return forbiddenResult(tr("attachments.removeForbidden"));
+    }
+    await attachmentStore.remove(id);
+    broadcastChange({ type: "attachments", ticketId: existing.ticketId });
+    return { ok: true };
+  } catch (err) {
+    return storageFailure(err, tr("attachments.removeFailed"));
+  }
+}
+
+/********************************************************
+ * Import / export API
+ ********************************************************/
+// Columns of an export, in order, ending with the workflow fields. Imports
+// read the same names (CSV headers are matched case-insensitively) and
+// ignore anything else.
+const TICKET_EXPORT_FIELDS = [
+  "id",
+  "title",
+  "description",
+  "descriptionFormat",
+  "status",
+  "priority",
+  "assignee",
+  "labels",
+  "dueDate",
+  "reporter",
+  "createdBy",
+  "createdAt",
+  "updatedAt",
+  ...WORKFLOW_FIELDS,
+];
+const IMPORT_DUPLICATE_MODES = ["skip", "overwrite", "reid"];
+
+const importId = (row) =>
+  crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${row}`;
+
+function importFileError(message) {
+  return { ok: false, error: { code: "VALIDATION_ERROR", message } };
+}
+
+function ticketsToJSON(tickets) {
+  const rows = tickets.map((t) =>
+    Object.fromEntries(TICKET_EXPORT_FIELDS.map((f) => [f, t[f] ?? null]))
+  );
+  const file = {
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    tickets: rows,
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+// Cells a spreadsheet would run as a formula; exports prefix them with '
+// and imports drop it again.
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+// RFC 4180: CRLF line breaks; fields with a comma, quote or line break are
+// quoted, and quotes inside them doubled.
+function csvField(value) {
+  let text = Array.isArray(value) ? value.join(", ") : String(value ?? "");
+  if (CSV_FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function ticketsToCSV(tickets) {
+  const lines = [TICKET_EXPORT_FIELDS.join(",")];
+  tickets.forEach((t) => {
+    lines.push(TICKET_EXPORT_FIELDS.map((f) => csvField(t[f])).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+// undoes csvField's formula guard
+function csvCellText(cell) {
+  return cell?.startsWith("'") && CSV_FORMULA_START.test(cell.slice(1))
+    ? cell.slice(1)
+    : cell;
+}
+
+// -> string[][]; throws on an unterminated quoted field
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+  const src = text.replace(/^\uFEFF/, "");
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (quoted) throw new Error(tr("import.csvUnclosedQuote"));
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // blank lines carry no record
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+// File text -> { ok, rows: [{ row, data }] } with raw field values
+function parseTicketsFile(text, format) {
+  if (format === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      return importFileError(tr("import.invalidJson"));
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.tickets;
+    if (!Array.isArray(list)) {
+      return importFileError(tr("import.notAList"));
+    }
+    return {
+      ok: true,
+      rows: list.map((data, i) => ({
+        row: i + 1,
+        data: data && typeof data === "object" ? data : {},
+      })),
+    };
+  }
+
+  let records;
+  try {
+    records = parseCSV(text);
+  } catch (err) {
+    return importFileError(tr("import.csvUnreadable", { reason: err.message }));
+  }
+  if (!records.length) return importFileError(tr("import.csvEmpty"));
+  const header = records[0].map((h) => h.trim().toLowerCase());
+  const columns = TICKET_EXPORT_FIELDS.map((f) => [
+    f,
+    header.indexOf(f.toLowerCase()),
+  ]).filter(([, idx]) => idx !== -1);
+  if (!columns.some(([f]) => f === "title")) {
+    return importFileError(tr("import.csvNoTitle"));
+  }
+  const rows = records.slice(1).map((cells, i) => ({
+    row: i + 1,
+    cells,
+    data: Object.fromEntries(
+      columns.map(([f, idx]) => [f, csvCellText(cells[idx])])
+    ),
+  }));
+  // spreadsheets like to leave rows of empty cells at the end
+  return {
+    ok: true,
+    rows: rows
+      .filter(({ cells }) => cells.some((c) => c.trim() !== ""))
+      .map(({ row, data }) => ({ row, data })),
+  };
+}
+
+const importText = (v) =>
+  v === null || v === undefined ? "" : String(v).trim();
+
+// Raw row -> { ticket, workflowFields, errors }. Runs the same
+// validateTicketFields and validateAssignee checks as the form, including
+// the workflow move from `from` (the overwritten ticket's status, or null
+// for a new ticket); errors use their details.fields.
+async function checkImportRow(data, from = null) {
+  const text = importText;
+  const ticket = {
+    id: text(data.id) || null,
+    title: text(data.title),
+    description: text(data.description),
+    descriptionFormat: text(data.descriptionFormat) || "plain",
+    status: text(data.status) || WORKFLOW.initial,
+    priority: text(data.priority) || DEFAULT_PRIORITY,
+    labels: normalizeLabels(data.labels),
+    dueDate: text(data.dueDate) || null,
+    assignee: text(data.assignee) || null,
+    reporter: text(data.reporter) || null,
+    createdBy: text(data.createdBy) || null,
+    createdAt: text(data.createdAt) || null,
+    updatedAt: text(data.updatedAt) || null,
+  };
+  const workflowFields = Object.fromEntries(
+    WORKFLOW_FIELDS.map((f) => [f, text(data[f])])
+  );
+  const errors = {};
+  const check = validateTicketFields({ ...ticket, from, workflowFields });
+  if (!check.ok) Object.assign(errors, check.error.details?.fields);
+  const assigneeCheck = await validateAssignee(ticket.assignee);
+  if (assigneeCheck.ok) {
+    ticket.assignee = assigneeCheck.email || null;
+  } else {
+    Object.assign(errors, assigneeCheck.error.details.fields);
+  }
+  ["createdAt", "updatedAt"].forEach((f) => {
+    if (ticket[f] && Number.isNaN(Date.parse(ticket[f]))) {
+      errors[f] = tr("validation.dateInvalid");
+    }
+  });
+  return { ticket, workflowFields, errors };
+}
+
+// Validates every row and flags IDs that already exist (or repeat within
+// the file), without writing anything. A row whose ID exists is checked as
+// a move from that ticket's status, as an overwrite would be.
+async function previewTicketsImport(rows) {
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    if (!hasPermission(actor, "tickets:import")) {
+      return forbiddenResult(tr("import.forbidden"));
+    }
+    const existing = await storage.list(COLLECTIONS.TICKETS);
+    const statuses = new Map(existing.map((t) => [t.id, t.status]));
+    const ids = new Set(statuses.keys());
+    const preview = [];
+    for (const { row, data } of rows) {
+      const from = statuses.get(importText(data.id)) ?? null;
+      const { ticket, errors } = await checkImportRow(data, from);
+      const duplicate = !!ticket.id && ids.has(ticket.id);
+      if (ticket.id) ids.add(ticket.id);
+      preview.push({ row, ticket, errors, duplicate });
+    }
+    return { ok: true, rows: preview };
+  } catch (err) {
+    return storageFailure(err, tr("import.checkFailed"));
+  }
+}
+
+// Writes the valid rows of a preview. `onDuplicate` decides what happens
+// to rows whose ID is taken: "skip", "overwrite" or "reid" (new ID).
+async function importTickets(previewRows, { onDuplicate = "skip" } = {}) {
+  if (!IMPORT_DUPLICATE_MODES.includes(onDuplicate)) {
+    return importFileError(tr("import.unknownDuplicateMode"));
+  }
+  const summary = { imported: 0, overwritten: 0, skipped: 0, rejected: [] };
+  try {
+    const actor = await resolveActor();
+    if (!actor) return notSignedInResult();
+    if (!hasPermission(actor, "tickets:import")) {
+      return forbiddenResult(tr("import.forbidden"));
+    }
+    const keepOwners = hasPermission(actor, "tickets:import:owners");
+    const now = new Date().toISOString();
+    for (const { row, data } of previewRows) {
+      const fileId = importText(data.id);
+      const existing = fileId
+        ? await storage.get(COLLECTIONS.TICKETS, fileId)
+        : null;
+      if (existing && onDuplicate === "skip") {
+        summary.skipped++;
+        continue;
+      }
+      // an overwrite moves the existing ticket; anything else starts anew
+      const overwriting = !!existing && onDuplicate === "overwrite";
+      const from = overwriting ? existing.status : null;
+      // re-check: the data may have changed since the preview
+      const { ticket, workflowFields, errors } = await checkImportRow(
+        data,
+        from
+      );
+      if (Object.keys(errors).length) {
+        summary.rejected.push({ row, errors });
+        continue;
+      }
+      // owners come from the file only for admins; otherwise an overwrite
+      // keeps the ticket's and a new ticket belongs to the importer
+      const owner = (field) =>
+        (keepOwners && ticket[field]) ||
+        (overwriting && existing[field]) ||
+        actor.email;
+      const record = {
+        ...ticket,
+        id: ticket.id || importId(row),
+        reporter: owner("reporter"),
+        createdBy: owner("createdBy"),
+        createdAt: ticket.createdAt || now,
+        updatedAt: ticket.updatedAt || now,
+        ...transitionPatch(from, ticket.status, workflowFields),
+      };
+
+      if (overwriting) {
+        if (!canEditTicket(existing, actor)) {
+          summary.rejected.push({
+            row,
+            errors: { id: tr("import.overwriteForbidden") },
+          });
+          continue;
+        }
+        const { id, ...patch } = record;
+        const saved = await storage.update(COLLECTIONS.TICKETS, id, patch);
+        const changes = diffTicketFields(existing, saved);
+        await recordTicketEvent("updated", saved, actor, changes);
+        summary.overwritten++;
+      } else {
+        if (existing) record.id = importId(row);
+        await storage.insert(COLLECTIONS.TICKETS, record);
+        await recordTicketEvent("created", record, actor);
+        summary.imported++;
+      }
+    }
+  } catch (err) {
+    return {
+      ...storageFailure(err, tr("import.stopped")),
+      summary,
+    };
+  } finally {
+    if (summary.imported || summary.overwritten) {
+      broadcastChange({ type: "tickets" });
+    }
+  }
+  return { ok: true, summary };
+}
+
+/********************************************************
+ * DOM refs / runtime state
+ ********************************************************/
+let currentUser = null;
+let currentTickets = [];
+let commentCounts = {}; // ticket id -> number of comments, for the cards
+let editingTicketId = null;
+let editingTicketBase = null; // the ticket as it was when the form opened
+let formAttachments = []; // the edited ticket's saved attachments
+let removedAttachmentIds = new Set(); // saved ones to remove on submit
+let pendingAttachments = []; // files picked in the form, stored on submit
+let confirmModalAction = null; // runs when the delete / confirm modal is OK'd
+let confirmModalCancel = null; // runs when it is dismissed instead
+let selectedTicketIds = new Set(); // bulk selection on the tickets page
+let selectionAnchorId = null; // last clicked checkbox, for shift-click ranges
+let ticketFormSaving = false;
+let currentRoute = null;
+let ticketQuery = null; // set from the #/tickets query string
+let previousRoute = null;
+
+// page sections
+const pages = {
+  landing: document.getElementById("page-landing"),
+  login: document.getElementById("page-login"),
+  signup: document.getElementById("page-signup"),
+  dashboard: document.getElementById("page-dashboard"),
+  tickets: document.getElementById("page-tickets"),
+  board: document.getElementById("page-board"),
+  ticketDetail: document.getElementById("page-ticket-detail"),
+  adminUsers: document.getElementById("page-admin-users"),
+  trash: document.getElementById("page-trash"),
+  notFound: document.getElementById("page-not-found"),
+  recovery: document.getElementById("page-recovery"),
+};
+
+// navbar area
+const navAuthState = document.getElementById("nav-auth-state");
+const syncStatusBtn = document.getElementById("sync-status");
+const localeSelect = document.getElementById("locale-select");
+
+// dashboard refs
+const dashErr = document.getElementById("dashboard-load-error");
+const dashStats = document.getElementById("dashboard-stats");
+const dashActivity = document.getElementById("dashboard-activity");
+const dashActivityEmpty = document.getElementById("dashboard-activity-empty");
+
+// dashboard analytics refs
+const analyticsControls = document.getElementById("analytics-controls");
+const analyticsFrom = document.getElementById("analytics-from");
+const analyticsTo = document.getElementById("analytics-to");
+const analyticsBucket = document.getElementById("analytics-bucket");
+const analyticsError = document.getElementById("analytics-error");
+const analyticsTimeToClose = document.getElementById("analytics-time-to-close");
+const chartCreatedClosed = document.getElementById("chart-created-closed");
+const chartAging = document.getElementById("chart-aging");
+
+// tickets page refs
+const ticketsErrorWrap = document.getElementById("tickets-error");
 const ticketsErrorText = document.getElementById("tickets-error-text");
 const ticketsRetryBtn = document.getElementById("tickets-retry");
 const ticketsEmpty = document.getElementById("tickets-empty");
 const ticketsList = document.getElementById("tickets-list");
+const ticketsCount = document.getElementById("tickets-count");
+
+// tickets toolbar refs
+const ticketsToolbar = document.getElementById("tickets-toolbar");
+const ticketsSearch = document.getElementById("tickets-search");
+const ticketsStatusFilter = document.getElementById("tickets-status-filter");
+const ticketsSort = document.getElementById("tickets-sort");
+const ticketsCreatedFrom = document.getElementById("tickets-created-from");
+const ticketsCreatedTo = document.getElementById("tickets-created-to");
+const ticketsUpdatedFrom = document.getElementById("tickets-updated-from");
+const ticketsUpdatedTo = document.getElementById("tickets-updated-to");
+
+// import / export refs
+const exportCsvBtn = document.getElementById("btn-export-csv");
+const exportJsonBtn = document.getElementById("btn-export-json");
+const importBtn = document.getElementById("btn-import");
+const importPanel = document.getElementById("tickets-import");
+const importTitle = document.getElementById("tickets-import-title");
+const importFileInput = document.getElementById("import-file");
+const importFileErr = document.getElementById("import-file-error");
+const importPreview = document.getElementById("import-preview");
+const importPreviewSummary = document.getElementById("import-preview-summary");
+const importPreviewRows = document.getElementById("import-preview-rows");
+const importReport = document.getElementById("import-report");
+const importConfirmBtn = document.getElementById("import-confirm");
+const importCloseBtn = document.getElementById("import-close");
+
+// bulk action refs
+const bulkBar = document.getElementById("tickets-bulk");
+const selectAllBox = document.getElementById("tickets-select-all");
+const bulkCount = document.getElementById("tickets-bulk-count");
+const bulkStatusSelect = document.getElementById("bulk-status");
+const bulkStatusBtn = document.getElementById("bulk-status-apply");
+const bulkExportCsvBtn = document.getElementById("bulk-export-csv");
+const bulkExportJsonBtn = document.getElementById("bulk-export-json");
+const bulkDeleteBtn = document.getElementById("bulk-delete");
+const bulkClearBtn = document.getElementById("bulk-clear");
+
+const newTicketBtn = document.getElementById("btn-new-ticket");
+const formWrapper = document.getElementById("ticket-form-wrapper");
+const formEl = document.getElementById("ticket-form");
+const ticketIdInput = document.getElementById("ticket-id");
+const titleInput = document.getElementById("ticket-title");
+const descInput = document.getElementById("ticket-description");
+const markdownCheckbox = document.getElementById("ticket-markdown");
+const descWriteTab = document.getElementById("ticket-desc-tab-write");
+const descPreviewTab = document.getElementById("ticket-desc-tab-preview");
+const descWritePanel = document.getElementById("ticket-desc-panel-write");
+const descPreview = document.getElementById("ticket-desc-preview");
+const statusSelect = document.getElementById("ticket-status");
+const assigneeSelect = document.getElementById("ticket-assignee");
+const prioritySelect = document.getElementById("ticket-priority");
+const labelsInput = document.getElementById("ticket-labels");
+const dueInput = document.getElementById("ticket-due");
+const workflowFieldsWrap = document.getElementById("ticket-workflow-fields");
+
+const titleErr = document.getElementById("ticket-title-error");
+const descErr = document.getElementById("ticket-desc-error");
+const statusErr = document.getElementById("ticket-status-error");
+const assigneeErr = document.getElementById("ticket-assignee-error");
+const priorityErr = document.getElementById("ticket-priority-error");
+const labelsErr = document.getElementById("ticket-labels-error");
+const dueErr = document.getElementById("ticket-due-error");
+const dropzone = document.getElementById("ticket-dropzone");
+const filesInput = document.getElementById("ticket-files");
+const formAttachmentsList = document.getElementById("ticket-attachments-list");
+const formAttachmentsHelp = document.getElementById("ticket-attachments-help");
+const attachmentsErr = document.getElementById("ticket-attachments-error");
+
+const topFormError = document.getElementById("ticket-form-top-error");
+const conflictBox = document.getElementById("ticket-conflict");
+const conflictMessage = document.getElementById("ticket-conflict-message");
+const conflictFields = document.getElementById("ticket-conflict-fields");
+const conflictOverwriteBtn = document.getElementById(
+  "ticket-conflict-overwrite"
+);
+const conflictReloadBtn = document.getElementById("ticket-conflict-reload");
+const submitBtn = document.getElementById("ticket-submit");
+const cancelBtn = document.getElementById("ticket-cancel");
+const ticketFormTitle = document.getElementById("ticket-form-title");
+const ticketFormDesc = document.getElementById("ticket-form-desc");
+
+// recovery screen refs
+const recoveryTitle = document.getElementById("recovery-title");
+const recoveryMessage = document.getElementById("recovery-message");
+const recoveryBackupInfo = document.getElementById("recovery-backup");
+const recoveryDownloadBtn = document.getElementById("recovery-download");
+const recoveryRestoreBtn = document.getElementById("recovery-restore");
+const recoveryResetBtn = document.getElementById("recovery-reset");
+const recoveryRetryBtn = document.getElementById("recovery-retry");
+
+// board refs
+const boardError = document.getElementById("board-error");
+const boardColumns = document.getElementById("board-columns");
+
+// ticket detail refs
+const ticketDetail = document.getElementById("ticket-detail");
+const ticketDetailError = document.getElementById("ticket-detail-error");
+const ticketDetailTitle = document.getElementById("ticket-detail-title");
+const ticketDetailMeta = document.getElementById("ticket-detail-meta");
+const ticketDetailStatus = document.getElementById("ticket-detail-status");
+const ticketDetailEdit = document.getElementById("ticket-detail-edit");
+const ticketDetailDesc = document.getElementById("ticket-detail-description");
+const ticketDetailFields = document.getElementById("ticket-detail-fields");
+const ticketDetailHistory = document.getElementById("ticket-detail-history");
+
+// ticket attachments refs
+const ticketAttachments = document.getElementById("ticket-attachments");
+const ticketAttachmentsEmpty = document.getElementById(
+  "ticket-attachments-empty"
+);
+const ticketAttachmentsError = document.getElementById(
+  "ticket-attachments-error-view"
+);
+
+// ticket comments refs
+const ticketComments = document.getElementById("ticket-comments");
+const ticketCommentsCount = document.getElementById("ticket-comments-count");
+const ticketCommentsEmpty = document.getElementById("ticket-comments-empty");
+const ticketCommentsError = document.getElementById("ticket-comments-error");
+const commentForm = document.getElementById("comment-form");
+const commentBodyInput = document.getElementById("comment-body");
+const commentBodyErr = document.getElementById("comment-body-error");
+const commentSubmitBtn = document.getElementById("comment-submit");
+
+// 404 refs
+const notFoundTitle = document.getElementById("not-found-title");
+const notFoundMessage = document.getElementById("not-found-message");
+
+// admin users page refs
+const adminUsersError = document.getElementById("admin-users-error");
+const adminUsersBody = document.getElementById("admin-users-body");
+
+// trash page refs
+const trashHelp = document.getElementById("trash-help");
+const trashError = document.getElementById("trash-error");
+const trashEmpty = document.getElementById("trash-empty");
+const trashTable = document.getElementById("trash-table");
+const trashBody = document.getElementById("trash-body");
+
+// login/signup refs
+const loginForm = document.getElementById("login-form");
+const loginEmail = document.getElementById("login-email");
+const loginPassword = document.getElementById("login-password");
+const loginRemember = document.getElementById("login-remember");
+const loginTopError = document.getElementById("login-top-error");
+const loginEmailErr = document.getElementById("login-email-error");
+const loginPwdErr = document.getElementById("login-password-error");
+
+const signupForm = document.getElementById("signup-form");
+const signupEmail = document.getElementById("signup-email");
+const signupPassword = document.getElementById("signup-password");
+const signupTopError = document.getElementById("signup-top-error");
+const signupEmailErr = document.getElementById("signup-email-error");
+const signupPwdErr = document.getElementById("signup-password-error");
+
+// delete modal refs
+const modalOverlay = document.getElementById("delete-modal-overlay");
+const modalPanel = document.getElementById("delete-modal-panel");
+const modalTitle = document.getElementById("confirm-delete-title");
+const deleteName = document.getElementById("delete-ticket-name");
+const deleteRetentionNote = document.getElementById("delete-retention-note");
+const confirmModalFields = document.getElementById("confirm-modal-fields");
+const deleteConfirmBtn = document.getElementById("delete-confirm-btn");
+const deleteCancelBtn = document.getElementById("delete-cancel-btn");
+
+const undoToastBtn = document.getElementById("undo-toast-btn");
+
+// keyboard shortcut help + command palette
+const shortcutsOverlay = document.getElementById("shortcuts-overlay");
+const shortcutsPanel = document.getElementById("shortcuts-panel");
+const shortcutsList = document.getElementById("shortcuts-list");
+const shortcutsCloseBtn = document.getElementById("shortcuts-close-btn");
+const paletteOverlay = document.getElementById("palette-overlay");
+const palettePanel = document.getElementById("palette-panel");
+const paletteInput = document.getElementById("palette-input");
+const paletteList = document.getElementById("palette-list");
+const paletteEmpty = document.getElementById("palette-empty");
+
+/********************************************************
+ * Navbar render
+ ********************************************************/
+function renderNavbar() {
+  if (!navAuthState) return;
+  navAuthState.innerHTML = "";
+  const link = (href, key) => {
+    const text = tr(key);
+    return safeHtml`<a href="${href}" class="text-text-dim hover:text-text">${text}</a>`;
+  };
+
+  if (currentUser) {
+    const role = roleLabel(roleOf(currentUser));
+    const usersLink =
+      hasPermission(currentUser, "users:manage") &&
+      link("#/admin/users", "nav.users");
+    const trashLink =
+      hasPermission(currentUser, "ticket:delete") &&
+      link("#/trash", "nav.trash");
+    setHtml(
+      navAuthState,
+      safeHtml`
+      ${link("#/dashboard", "nav.dashboard")}
+      ${link("#/tickets", "nav.tickets")}
+      ${link("#/board", "nav.board")}
+      ${trashLink}
+      ${usersLink}
+      <span class="hidden sm:inline text-text-dim">${currentUser.email}</span>
+      <span class="hidden sm:inline rounded-pill border border-surface-border px-2 py-0.5 text-[12px] leading-[16px] text-text-dim">${role}</span>
+      <button id="logout-btn"
+        class="rounded-pill bg-white px-3 py-1 text-xs font-medium text-text border border-surface-border hover:bg-surface-subtle">
+        ${tr("nav.logout")}
+      </button>
+    `
+    );
+
+    const logoutBtn = document.getElementById("logout-btn");
+    logoutBtn.addEventListener("click", () => {
+      logout();
+      currentUser = null;
+      toastPolite(tr("toast.signedOut"));
+      window.location.hash = "/"; // go home
+      syncStateFromStorageAndRoute();
+    });
+  } else {
+    setHtml(
+      navAuthState,
+      safeHtml`
+      ${link("#/login", "nav.login")}
+      <a href="#/signup"
+        class="rounded-pill bg-brand-600 px-4 py-2 text-white text-xs font-medium hover:bg-brand-700">
+        ${tr("nav.getStarted")}
+      </a>
+    `
+    );
+  }
+}
+
+/********************************************************
+ * Page helpers
+ ********************************************************/
+function showPage(which) {
+  Object.keys(pages).forEach((key) => {
+    if (!pages[key]) return;
+    pages[key].classList.toggle("hidden", key !== which);
+  });
+}
+
+function formatDate(iso) {
+  if (!iso) return "–";
+  return new Date(iso).toLocaleDateString(currentLocale, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function formatDateTime(iso) {
+  if (!iso) return "–";
+  return new Date(iso).toLocaleString(currentLocale, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+const PRIORITY_TONES = {
+  low: "bg-gray-100 text-gray-700",
+  medium: "bg-blue-50 text-blue-700",
+  high: "bg-amber-100 text-amber-800",
+  urgent: "bg-red-100 text-red-800",
+};
+const CHIP_CLASS =
+  "inline-flex items-center rounded-pill px-2 py-0.5 text-[12px] leading-[16px] font-medium";
+
+function priorityLabel(priority) {
+  const key = `priority.${priority}`;
+  return hasMessage(key) ? tr(key) : priority;
+}
+
+function priorityBadgeClass(priority) {
+  return `${CHIP_CLASS} ${PRIORITY_TONES[priority] || PRIORITY_TONES.medium}`;
+}
+
+const STYLED_STATUSES = ["open", "in_progress", "closed"]; // see styles.css
+const STATUS_TONES = {
+  gray: "bg-gray-100 text-gray-700",
+  green: "bg-green-100 text-green-800",
+  amber: "bg-amber-100 text-amber-800",
+  blue: "bg-blue-50 text-blue-700",
+  purple: "bg-purple-100 text-purple-800",
+  red: "bg-red-100 text-red-800",
+};
+
+// Statuses from a custom workflow get a chip in their `tone`
+function statusBadgeClass(status) {
+  const tone = workflowStatus(status)?.tone;
+  if (!tone && STYLED_STATUSES.includes(status)) {
+    return `badge badge-${status}`;
+  }
+  return `${CHIP_CLASS} ${STATUS_TONES[tone] || STATUS_TONES.gray}`;
+}
+
+// dueDate is a local calendar day, so don't let Date read it as UTC
+function formatDueDate(day) {
+  if (!day) return "–";
+  return formatDate(`${day}T00:00:00`);
+}
+
+function isOverdue(t) {
+  if (!t.dueDate || isFinalStatus(t.status)) return false;
+  return t.dueDate < localDay(new Date());
+}
+
+// Chip text for an SLA target that needs attention, or "" when on track
+function slaChipText(sla, now = Date.now()) {
+  if (!sla || sla.state === "ok") return "";
+  if (sla.state === "breached") return tr("sla.breachedChip", sla);
+  const duration = formatDuration(sla.dueAt - now);
+  return tr("sla.dueChip", { kind: sla.kind, duration });
+}
+
+// "Resolution due 21 Oct 2026, 14:00 (High policy)" for the detail page
+function describeSla(sla) {
+  if (!sla) return tr("common.none");
+  return tr("sla.describe", {
+    kind: sla.kind,
+    state: sla.state,
+    when: formatDateTime(sla.dueAt.toISOString()),
+    policy: configText(sla.policy, "name"),
+  });
+}
+
+// Sync, priority, due date, SLA and label chips for a ticket card
+function createTicketBadges(t) {
+  const chips = [];
+  const chip = (text, className) => {
+    const span = document.createElement("span");
+    span.className = className;
+    span.textContent = text;
+    chips.push(span);
+  };
+  if (queuedWriteFor(t.id)) {
+    chip(tr("sync.pendingChip"), `${CHIP_CLASS} bg-amber-100 text-amber-800`);
+  }
+  const priority = t.priority || DEFAULT_PRIORITY;
+  chip(
+    tr("ticket.priorityChip", { priority: priorityLabel(priority) }),
+    priorityBadgeClass(priority)
+  );
+  if (t.dueDate) {
+    const overdue = isOverdue(t);
+    const tone = overdue
+      ? "bg-danger-bg text-danger-text"
+      : "bg-surface-subtle text-text-dim";
+    const text = tr(overdue ? "ticket.overdueChip" : "ticket.dueChip", {
+      date: formatDueDate(t.dueDate),
+    });
+    chip(text, `${CHIP_CLASS} ${tone}`);
+  }
+  const sla = slaStatus(t);
+  const slaText = slaChipText(sla);
+  if (slaText) {
+    const tone =
+      sla.state === "breached"
+        ? "bg-danger-bg text-danger-text"
+        : "bg-amber-100 text-amber-800";
+    chip(slaText, `${CHIP_CLASS} ${tone}`);
+  }
+  const labelClass = `${CHIP_CLASS} border border-surface-border bg-white text-text-dim`;
+  (t.labels || []).forEach((label) => chip(label, labelClass));
+  return chips;
+}
+
+// Tickets list render
+function renderTicketsList() {
+  ticketsErrorWrap.classList.add("hidden");
+  ticketsEmpty.classList.add("hidden");
+  ticketsList.innerHTML = "";
+  ticketsCount.textContent = "";
+
+  const visible = applyTicketQuery(currentTickets || [], ticketQuery);
+  keepVisibleSelection(visible);
+  renderBulkBar(visible);
+
+  if (!currentTickets || currentTickets.length === 0) {
+    ticketsEmpty.textContent = tr("tickets.empty");
+    ticketsEmpty.classList.remove("hidden");
+    return;
+  }
+
+  const counts = { shown: visible.length, total: currentTickets.length };
+  ticketsCount.textContent = isTicketQueryActive(ticketQuery)
+    ? tr("tickets.countFiltered", counts)
+    : tr("tickets.count", counts);
+  if (visible.length === 0) {
+    ticketsEmpty.textContent = tr("tickets.noMatch");
+    ticketsEmpty.classList.remove("hidden");
+    return;
+  }
+
+  visible.forEach((t) => {
+    const card = createTicketCard(t);
+    addTicketSelectBox(card, t);
+    ticketsList.appendChild(card);
+  });
+}
+
+// One ticket card (list + board). Actions route or open the delete modal.
+function createTicketCard(t) {
+  const created = tr("ticket.createdOn", { date: formatDate(t.createdAt) });
+  const badgeClass = statusBadgeClass(t.status);
+  const count = commentCounts[t.id] || 0;
+  const commentsText = tr("ticket.commentCount", { count });
+
+  const peopleText = [
+    t.reporter ? tr("ticket.reportedBy", { user: t.reporter }) : "",
+    t.assignee ? tr("ticket.assignedTo", { user: t.assignee }) : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const people =
+    peopleText &&
+    safeHtml`<p class="text-[12px] leading-[16px] text-text-dim break-words">${peopleText}</p>`;
+  const title = t.title || tr("ticket.untitled");
+
+  const card = document.createElement("article");
+  card.className = "ticket-card";
+  card.setAttribute("tabindex", "0");
+  card.setAttribute("aria-label", tr("ticket.cardLabel", { title: t.title }));
+
+  setHtml(
+    card,
+    safeHtml`
+    <div class="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+      <div class="flex-1 min-w-0">
+        <h2 class="text-sm font-semibold text-text break-words">${title}</h2>
+        <p class="text-[12px] leading-[16px] text-text-dim">${created} · ${commentsText}</p>
+        ${people}
+      </div>
+      <span class="${badgeClass}">${statusLabel(t.status)}</span>
+    </div>
+
+    <div class="flex flex-wrap gap-2" data-field="badges"></div>
+
+    <p class="text-sm text-text-dim max-h-[3.75rem] overflow-hidden text-ellipsis break-words">
+      ${descriptionPreview(t)}
+    </p>
+
+    <div class="flex flex-wrap gap-3">
+      <button
+        class="rounded-pill border border-surface-border bg-white px-3 py-1.5 text-[13px] leading-[16px] font-medium text-text hover:bg-surface-subtle"
+        data-action="view"
+        data-id="${t.id}"
+        aria-label="${tr("ticket.viewLabel", { title: t.title })}"
+        title="${tr("common.view")}"
+      >
+        ${tr("common.view")}
+      </button>
+
+      <button
+        class="rounded-pill bg-brand-600 px-3 py-1.5 text-[13px] leading-[16px] font-medium text-white hover:bg-brand-700"
+        data-action="edit"
+        data-id="${t.id}"
+        aria-label="${tr("ticket.editLabel", { title: t.title })}"
+        title="${tr("common.edit")}"
+      >
+        ${tr("common.edit")}
+      </button>
+
+      <button
+        class="rounded-pill bg-red-700 px-3 py-1.5 text-[13px] leading-[16px] font-medium text-white hover:bg-red-800"
+        data-action="delete"
+        data-id="${t.id}"
+        aria-label="${tr("ticket.deleteLabel", { title: t.title })}"
+        title="${tr("common.delete")}"
+      >
+        ${tr("common.delete")}
+      </button>
+    </div>
+  `
+  );
+
+  card.querySelector('[data-field="badges"]').append(...createTicketBadges(t));
+
+  // only offer what the current role may do; the API enforces it anyway
+  if (!canEditTicket(t, currentUser)) {
+    card.querySelector('[data-action="edit"]').remove();
+  }
+  if (!canDeleteTicket(t, currentUser)) {
+    card.querySelector('[data-action="delete"]').remove();
+  }
+
+  card.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+
+    const action = btn.getAttribute("data-action");
+    const id = btn.getAttribute("data-id");
+    const ticketObj = currentTickets.find((x) => x.id === id);
+    if (!ticketObj) return;
+
+    if (action === "view") {
+      window.location.hash = `/tickets/${encodeURIComponent(id)}`;
+    } else if (action === "edit") {
+      window.location.hash = `/tickets/${encodeURIComponent(id)}/edit`;
+    } else if (action === "delete") {
+      openDeleteModal(ticketObj);
+    }
+  });
+
+  return card;
+}
+
+// Re-renders every view built from currentTickets (hidden ones are cheap)
+function renderTicketViews() {
+  renderTicketsList();
+  renderDashboardStats();
+  renderDashboardAnalytics();
+  renderBoard();
+}
+
+// Ticket detail render. `quiet` refreshes a ticket already on screen (a
+// change from another tab, a sync, a language switch) without touching the
+// comment draft or an in-progress comment edit, or moving focus.
+function renderTicketDetail(t, { quiet = false } = {}) {
+  ticketDetail.classList.remove("hidden");
+  ticketDetailTitle.textContent = t.title || tr("ticket.untitled");
+  ticketDetailMeta.textContent = tr(
+    queuedWriteFor(t.id) ? "ticket.metaPending" : "ticket.meta",
+    { id: t.id }
+  );
+  ticketDetailStatus.className = statusBadgeClass(t.status);
+  ticketDetailStatus.textContent = statusLabel(t.status);
+  renderDescription(ticketDetailDesc, t.description, t.descriptionFormat);
+
+  ticketDetailEdit.href = `#/tickets/${encodeURIComponent(t.id)}/edit`;
+  ticketDetailEdit.classList.toggle("hidden", !canEditTicket(t, currentUser));
+
+  const none = tr("common.none");
+  const priority = t.priority || DEFAULT_PRIORITY;
+  const fields = [
+    [tr("ticket.field.reporter"), t.reporter || "–"],
+    [tr("ticket.field.assignee"), t.assignee || tr("ticket.unassigned")],
+    [tr("ticket.field.priority"), priorityLabel(priority)],
+    [tr("ticket.field.dueDate"), t.dueDate ? formatDueDate(t.dueDate) : none],
+    [tr("ticket.field.sla"), describeSla(slaStatus(t))],
+    [tr("ticket.field.labels"), t.labels?.length ? t.labels.join(", ") : none],
+    ...WORKFLOW_FIELDS.filter((field) => t[field]).map((field) => [
+      workflowFieldLabel(field),
+      t[field],
+    ]),
+    [tr("ticket.field.created"), formatDateTime(t.createdAt)],
+    [tr("ticket.field.updated"), formatDateTime(t.updatedAt)],
+  ];
+  ticketDetailFields.innerHTML = "";
+  fields.forEach(([label, value]) => {
+    const wrap = document.createElement("div");
+    const dt = document.createElement("dt");
+    dt.className = "text-text-dim";
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.className = "font-medium text-text break-words";
+    dd.textContent = value;
+    wrap.append(dt, dd);
+    ticketDetailFields.appendChild(wrap);
+  });
+
+  if (quiet && commentsTicketId === t.id) return;
+  renderTicketHistory(t, []);
+
+  resetAttachments();
+  resetComments(t.id);
+
+  ticketDetailTitle.focus();
+}
+
+// `events` come from fetchTicketHistory, newest first. Tickets saved before
+// auditing existed fall back to their created/updated timestamps.
+function renderTicketHistory(t, events) {
+  const history = events.length
+    ? events.map((e) => [e.at, `${e.actor} ${describeAuditEvent(e)}`])
+    : [
+        t.updatedAt && t.updatedAt !== t.createdAt
+          ? [t.updatedAt, tr("history.lastUpdated")]
+          : null,
+        [
+          t.createdAt,
+          t.createdBy
+            ? tr("history.createdBy", { user: t.createdBy })
+            : tr("history.created"),
+        ],
+      ].filter(Boolean);
+
+  ticketDetailHistory.innerHTML = "";
+  history.forEach(([at, text]) => {
+    const li = document.createElement("li");
+    li.textContent = `${formatDateTime(at)} — ${text}`;
+    ticketDetailHistory.appendChild(li);
+  });
+}
+
+function auditFieldLabel(field) {
+  if (WORKFLOW_FIELDS.includes(field)) {
+    return workflowFieldLabel(field).toLowerCase();
+  }
+  const key = `audit.field.${field}`;
+  return hasMessage(key) ? tr(key) : field;
+}
+
+function formatAuditValue(field, value) {
+  if (Array.isArray(value)) value = value.join(", ");
+  if (field === "status" && value) value = statusLabel(value);
+  if (value === null || value === "") {
+    return tr(field === "assignee" ? "audit.unassigned" : "audit.empty");
+  }
+  return tr("audit.quoted", { value });
+}
+
+// e.g. "changed status from “open” to “closed”, updated the description"
+function describeAuditEvent(event) {
+  if (event.action !== "updated") return tr(`audit.${event.action}`);
+  const parts = Object.entries(event.changes || {}).map(([field, change]) => {
+    if (field === "description") return tr("audit.descriptionUpdated");
+    const from = formatAuditValue(field, change.from);
+    const to = formatAuditValue(field, change.to);
+    const label = auditFieldLabel(field);
+    if (WORKFLOW_FIELDS.includes(field)) {
+      return tr("audit.fieldSet", { field: label, to });
+    }
+    return tr("audit.fieldChanged", { field: label, from, to });
+  });
+  return parts.length ? formatList(parts) : tr("audit.updated");
+}
+
+// Dashboard "Recent activity" feed
+function renderRecentActivity(events) {
+  dashActivity.innerHTML = "";
+  dashActivityEmpty.classList.toggle("hidden", events.length > 0);
+  events.forEach((e) => {
+    const li = document.createElement("li");
+    li.className = "break-words";
+    li.title = formatDateTime(e.at);
+    li.textContent = tr("activity.entry", {
+      when: formatRelativeTime(e.at),
+      actor: e.actor,
+      what: describeAuditEvent(e),
+    });
+    const title = e.ticket?.title || tr("ticket.untitled");
+    const exists = currentTickets.some((t) => t.id === e.ticketId);
+    const ref = document.createElement(exists ? "a" : "span");
+    ref.className = exists
+      ? "font-medium text-brand-600 hover:text-brand-700"
+      : "font-medium text-text";
+    if (exists) ref.href = `#/tickets/${encodeURIComponent(e.ticketId)}`;
+    ref.textContent = title;
+    li.appendChild(ref);
+    dashActivity.appendChild(li);
+  });
+}
+
+function showNotFound(
+  title = tr("notFound.title"),
+  message = tr("notFound.message")
+) {
+  notFoundTitle.textContent = title;
+  notFoundMessage.textContent = message;
+  showPage("notFound");
+  notFoundTitle.focus();
+}
+
+// Dashboard stats
+function renderDashboardStats() {
+  dashStats.innerHTML = "";
+
+  // one card per workflow status, then the totals
+  const byStatus = Object.fromEntries(ALLOWED_STATUS.map((s) => [s, 0]));
+  let highPriority = 0,
+    overdue = 0,
+    breached = 0;
+  for (const t of currentTickets) {
+    if (t.status in byStatus) byStatus[t.status]++;
+    if (!isFinalStatus(t.status)) {
+      if (t.priority === "high" || t.priority === "urgent") highPriority++;
+      if (isOverdue(t)) overdue++;
+      if (slaStatus(t)?.state === "breached") breached++;
+    }
+  }
+  const total = currentTickets.length;
+
+  const statCard = (label, value, hint) => safeHtml`
+    <div class="card p-4">
+      <p class="text-sm text-text-dim">${label}</p>
+      <p class="text-2xl font-semibold text-text">${formatNumber(value)}</p>
+      <p class="text-[12px] leading-[16px] text-text-dim">${hint}</p>
+    </div>
+  `;
+
+  WORKFLOW.statuses.forEach((status) => {
+    appendHtml(
+      dashStats,
+      statCard(
+        statusLabel(status.id),
+        byStatus[status.id],
+        configText(status, "hint") || ""
+      )
+    );
+  });
+  [
+    ["total", total],
+    ["highPriority", highPriority],
+    ["overdue", overdue],
+    ["slaBreached", breached],
+  ].forEach(([key, value]) => {
+    const label = tr(`dashboard.${key}`);
+    appendHtml(dashStats, statCard(label, value, tr(`dashboard.${key}Hint`)));
+  });
+}
+
+// Loading placeholders shown while fetchTickets is pending
+function renderTicketsSkeleton() {
+  ticketsErrorWrap.classList.add("hidden");
+  ticketsEmpty.classList.add("hidden");
+  ticketsList.setAttribute("aria-busy", "true");
+  const placeholder = safeHtml`
+    <div class="card p-4 space-y-3 animate-pulse" aria-hidden="true">
+      <div class="h-4 w-2/3 rounded-pill bg-surface-border"></div>
+      <div class="h-3 w-1/3 rounded-pill bg-surface-border"></div>
+      <div class="h-3 w-full rounded-pill bg-surface-border"></div>
+      <div class="h-7 w-1/2 rounded-pill bg-surface-border"></div>
+    </div>
+  `;
+  setHtml(ticketsList, safeHtml`${Array(4).fill(placeholder)}`);
+}
+
+function renderDashboardSkeleton() {
+  dashStats.setAttribute("aria-busy", "true");
+  const placeholder = safeHtml`
+    <div class="card p-4 space-y-2 animate-pulse" aria-hidden="true">
+      <div class="h-3 w-1/2 rounded-pill bg-surface-border"></div>
+      <div class="h-6 w-1/4 rounded-pill bg-surface-border"></div>
+      <div class="h-3 w-2/3 rounded-pill bg-surface-border"></div>
+    </div>
+  `;
+  setHtml(
+    dashStats,
+    safeHtml`${Array(ALLOWED_STATUS.length + 4).fill(placeholder)}`
+  );
+}
+
+/********************************************************
+ * Dashboard analytics
+ ********************************************************/
+// Computed in the browser from the loaded tickets. "Closed" means reaching
+// a final workflow status, timed by the ticket's `closedAt`.
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366; // one row (and bar) per day adds up fast
+const AGING_BUCKETS = [
+  { labelKey: "analytics.age1d", maxDays: 1 },
+  { labelKey: "analytics.age3d", maxDays: 3 },
+  { labelKey: "analytics.age7d", maxDays: 7 },
+  { labelKey: "analytics.age4w", maxDays: 28 },
+  { labelKey: "analytics.ageOver4w", maxDays: Infinity },
+];
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 240;
+const CHART_PAD = { top: 12, right: 8, bottom: 32, left: 32 };
+const CHART_MAX_X_LABELS = 10;
+
+let analyticsRange = null; // { from, to, bucket }; defaults to the last 30 days
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00`);
+  d.setDate(d.getDate() + n);
+  return localDay(d);
+}
+
+// Monday of the week `day` falls in
+function weekStart(day) {
+  const d = new Date(`${day}T00:00:00`);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return localDay(d);
+}
+
+// days from `from` to `to`, both included
+function daySpan(from, to) {
+  const ms = new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`);
+  return Math.round(ms / DAY_MS) + 1;
+}
+
+function defaultAnalyticsRange() {
+  const to = localDay(new Date());
+  const from = addDays(to, 1 - ANALYTICS_DEFAULT_DAYS);
+  return { from, to, bucket: "day" };
+}
+
+// Tickets created and closed per day (or week) of the range, oldest first
+function createdVsClosed(tickets, { from, to, bucket }) {
+  const keyOf = (day) => (bucket === "week" ? weekStart(day) : day);
+  const step = bucket === "week" ? 7 : 1;
+  const rows = new Map();
+  for (let day = keyOf(from); day <= to; day = addDays(day, step)) {
+    rows.set(day, { start: day, created: 0, closed: 0 });
+  }
+  const count = (iso, field) => {
+    if (inDayRange(iso, from, to)) rows.get(keyOf(localDay(iso)))[field]++;
+  };
+  tickets.forEach((t) => {
+    count(t.createdAt, "created");
+    if (isFinalStatus(t.status)) count(t.closedAt, "closed");
+  });
+  return [...rows.values()];
+}
+
+// How long the unresolved tickets have been waiting
+function agingBuckets(tickets, now = new Date()) {
+  const rows = AGING_BUCKETS.map((b) => ({ label: tr(b.labelKey), count: 0 }));
+  tickets
+    .filter((t) => !isFinalStatus(t.status))
+    .forEach((t) => {
+      const days = (now - new Date(t.createdAt)) / DAY_MS;
+      const idx = AGING_BUCKETS.findIndex((b) => days < b.maxDays);
+      if (idx !== -1) rows[idx].count++;
+    });
+  return rows;
+}
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// createdAt -> closedAt for tickets closed within the range, in ms
+function timeToClose(tickets, { from, to }) {
+  const durations = tickets
+    .filter((t) => isFinalStatus(t.status) && inDayRange(t.closedAt, from, to))
+    .map((t) => new Date(t.closedAt) - new Date(t.createdAt))
+    .filter((ms) => ms >= 0)
+    .sort((a, b) => a - b);
+  return {
+    count: durations.length,
+    median: median(durations),
+    p90: percentile(durations, 90),
+  };
+}
+
+// e.g. "5 min", "3 hr", "2 days", in the current locale
+function formatDuration(ms) {
+  if (ms === null) return "–";
+  const hours = ms / (60 * 60 * 1000);
+  const [value, unit] =
+    hours < 1
+      ? [Math.max(1, Math.round(ms / 60000)), "minute"]
+      : hours < 48
+      ? [Math.round(hours), "hour"]
+      : [Math.round(hours / 24), "day"];
+  return new Intl.NumberFormat(currentLocale, {
+    style: "unit",
+    unit,
+    unitDisplay: unit === "day" ? "long" : "short",
+  }).format(value);
+}
+
+function formatShortDay(day) {
+  return new Date(`${day}T00:00:00`).toLocaleDateString(currentLocale, {
+    month: "short",
+    day: "numeric",
+  });
+}
+
+// Grouped bar chart as an SVG image plus the same numbers as a table.
+// `series` is [{ name, fill, values }], one value per entry in `labels`.
+function renderBarChart(figure, { id, title, summary, labels, series }) {
+  const plotW = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+  const plotH = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+  const max = Math.max(1, ...series.flatMap((s) => s.values));
+  const y = (v) => CHART_PAD.top + plotH - (v / max) * plotH;
+  const groupW = plotW / Math.max(1, labels.length);
+  const barW = (groupW * 0.8) / series.length;
+  const labelEvery = Math.ceil(labels.length / CHART_MAX_X_LABELS);
+  const showTable = tr("analytics.showTable");
+  const period = tr("analytics.period");
+
+  const gridLines = [0, Math.round(max / 2), max]
+    .filter((v, i, all) => all.indexOf(v) === i)
+    .map(
+      (v) => safeHtml`
+        <line x1="${CHART_PAD.left}" x2="${CHART_WIDTH - CHART_PAD.right}"
+          y1="${y(v)}" y2="${y(v)}" class="stroke-gray-200" />
+        <text x="${CHART_PAD.left - 6}" y="${y(v) + 4}" text-anchor="end"
+          class="fill-gray-500 text-[11px]">${v}</text>`
+    );
+  const bars = labels.map((label, i) => {
+    const x0 = CHART_PAD.left + i * groupW + groupW * 0.1;
+    const rects = series.map((s, j) => {
+      const v = s.values[i];
+      const tip = tr("analytics.barTitle", { label, value: v, series: s.name });
+      return safeHtml`
+        <rect x="${x0 + j * barW}" y="${y(v)}" width="${barW}"
+          height="${CHART_PAD.top + plotH - y(v)}" class="${s.fill}">
+          <title>${tip}</title>
+        </rect>`;
+    });
+    const tick =
+      i % labelEvery === 0
+        ? safeHtml`<text x="${x0 + (groupW * 0.8) / 2}" y="${CHART_HEIGHT - 10}"
+            text-anchor="middle" class="fill-gray-500 text-[11px]">${label}</text>`
+        : null;
+    return [rects, tick];
+  });
+  const legend = series.map(
+    (s) => safeHtml`
+      <span class="inline-flex items-center gap-1">
+        <svg width="10" height="10" aria-hidden="true"><rect width="10" height="10" class="${s.fill}" /></svg>
+        ${s.name}
+      </span>`
+  );
+  const headCells = series.map(
+    (s) =>
+      safeHtml`<th scope="col" class="px-3 py-2 font-medium">${s.name}</th>`
+  );
+  const rows = labels.map(
+    (label, i) => safeHtml`
+      <tr class="border-t border-surface-border">
+        <th scope="row" class="px-3 py-2 font-normal text-start">${label}</th>
+        ${series.map(
+          (s) => safeHtml`<td class="px-3 py-2 text-end">${s.values[i]}</td>`
+        )}
+      </tr>`
+  );
+
+  setHtml(
+    figure,
+    safeHtml`
+    <figcaption class="flex flex-wrap items-center justify-between gap-2">
+      <h3 class="text-sm font-semibold text-text">${title}</h3>
+      <span class="flex flex-wrap gap-3 text-[12px] leading-[16px] text-text-dim">${legend}</span>
+    </figcaption>
+    <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="w-full h-auto"
+      role="img" aria-labelledby="${id}-title ${id}-desc">
+      <title id="${id}-title">${title}</title>
+      <desc id="${id}-desc">${summary}</desc>
+      ${gridLines}
+      ${bars}
+    </svg>
+    <details class="text-sm">
+      <summary class="cursor-pointer text-text-dim">${showTable}</summary>
+      <div class="mt-2 max-h-64 overflow-auto">
+        <table class="w-full">
+          <caption class="sr-only">${title}</caption>
+          <thead>
+            <tr class="text-text-dim">
+              <th scope="col" class="px-3 py-2 font-medium text-start">${period}</th>
+              ${headCells}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </details>
+  `
+  );
+}
+
+function renderDashboardAnalytics() {
+  if (!analyticsRange) analyticsRange = defaultAnalyticsRange();
+  const range = analyticsRange;
+  analyticsFrom.value = range.from;
+  analyticsTo.value = range.to;
+  analyticsBucket.value = range.bucket;
+
+  const ttc = timeToClose(currentTickets, range);
+  const ttcCard = (label, value) => safeHtml`
+    <div class="rounded-card border border-surface-border p-4">
+      <dt class="text-sm text-text-dim">${label}</dt>
+      <dd class="text-2xl font-semibold text-text">${value}</dd>
+    </div>
+  `;
+  setHtml(
+    analyticsTimeToClose,
+    safeHtml`
+    ${ttcCard(tr("analytics.closedInRange"), formatNumber(ttc.count))}
+    ${ttcCard(tr("analytics.medianClose"), formatDuration(ttc.median))}
+    ${ttcCard(tr("analytics.p90Close"), formatDuration(ttc.p90))}
+  `
+  );
+
+  const trend = createdVsClosed(currentTickets, range);
+  const created = trend.reduce((sum, r) => sum + r.created, 0);
+  const closed = trend.reduce((sum, r) => sum + r.closed, 0);
+  renderBarChart(chartCreatedClosed, {
+    id: "chart-created-closed",
+    title: tr("analytics.trendTitle", { bucket: range.bucket }),
+    summary: tr("analytics.trendSummary", {
+      created,
+      closed,
+      from: formatShortDay(range.from),
+      to: formatShortDay(range.to),
+    }),
+    labels: trend.map((r) =>
+      range.bucket === "week"
+        ? tr("analytics.weekOf", { day: formatShortDay(r.start) })
+        : formatShortDay(r.start)
+    ),
+    series: [
+      {
+        name: tr("analytics.created"),
+        fill: "fill-brand-600",
+        values: trend.map((r) => r.created),
+      },
+      {
+        name: tr("analytics.closed"),
+        fill: "fill-gray-400",
+        values: trend.map((r) => r.closed),
+      },
+    ],
+  });
+
+  const aging = agingBuckets(currentTickets);
+  const waiting = aging.reduce((sum, r) => sum + r.count, 0);
+  renderBarChart(chartAging, {
+    id: "chart-aging",
+    title: tr("analytics.agingTitle"),
+    summary: tr("analytics.agingSummary", {
+      waiting,
+      buckets: formatList(aging.map((r) => tr("analytics.agingBucket", r))),
+    }),
+    labels: aging.map((r) => r.label),
+    series: [
+      {
+        name: tr("analytics.tickets"),
+        fill: "fill-amber-500",
+        values: aging.map((r) => r.count),
+      },
+    ],
+  });
+}
+
+function onAnalyticsControlsChange() {
+  const next = {
+    from: analyticsFrom.value,
+    to: analyticsTo.value,
+    bucket: analyticsBucket.value === "week" ? "week" : "day",
+  };
+  let error = null;
+  if (!next.from || !next.to || next.from > next.to) {
+    error = tr("analytics.rangeInvalid");
+  } else if (daySpan(next.from, next.to) > ANALYTICS_MAX_DAYS) {
+    error = tr("analytics.rangeTooLong", { max: ANALYTICS_MAX_DAYS });
+  }
+  if (error) {
+    analyticsError.textContent = error;
+    analyticsError.classList.remove("hidden");
+    return;
+  }
+  analyticsError.classList.add("hidden");
+  analyticsRange = next;
+  renderDashboardAnalytics();
+}
+
+analyticsControls.addEventListener("change", onAnalyticsControlsChange);
+analyticsControls.addEventListener("submit", (e) => e.preventDefault());
+
+/********************************************************
+ * Tickets toolbar (search / filter / sort)
+ ********************************************************/
+// State lives in the hash query string, e.g.
+//   #/tickets?q=printer&status=open,in_progress&sort=-updatedAt
+// so filtered views can be bookmarked and shared.
+const TICKET_SORTS = [
+  "-createdAt",
+  "createdAt",
+  "-updatedAt",
+  "updatedAt",
+  "title",
+  "-title",
+  "status",
+  "-status",
+];
+const DEFAULT_TICKET_SORT = "-createdAt";
+const TICKET_QUERY_DATES = [
+  "createdFrom",
+  "createdTo",
+  "updatedFrom",
+  "updatedTo",
+];
+
+function readTicketQuery(params) {
+  const query = {
+    q: (params.get("q") || "").trim(),
+    status: (params.get("status") || "")
+      .split(",")
+      .filter((s) => ALLOWED_STATUS.includes(s)),
+    sort: TICKET_SORTS.includes(params.get("sort"))
+      ? params.get("sort")
+      : DEFAULT_TICKET_SORT,
+  };
+  TICKET_QUERY_DATES.forEach((key) => {
+    const val = params.get(key) || "";
+    query[key] = /^\d{4}-\d{2}-\d{2}$/.test(val) ? val : "";
+  });
+  return query;
+}
+
+function ticketQueryToString(query) {
+  const parts = [];
+  if (query.q) parts.push(`q=${encodeURIComponent(query.q)}`);
+  if (query.status.length) {
+    parts.push(`status=${query.status.map(encodeURIComponent).join(",")}`);
+  }
+  TICKET_QUERY_DATES.forEach((key) => {
+    if (query[key]) parts.push(`${key}=${query[key]}`);
+  });
+  if (query.sort !== DEFAULT_TICKET_SORT) {
+    parts.push(`sort=${encodeURIComponent(query.sort)}`);
+  }
+  return parts.join("&");
+}
+
+function isTicketQueryActive(query) {
+  if (!query) return false;
+  return (
+    !!query.q ||
+    query.status.length > 0 ||
+    TICKET_QUERY_DATES.some((key) => !!query[key])
+  );
+}
+
+// local calendar day of an ISO timestamp, comparable with <input type=date>
+function localDay(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function inDayRange(iso, from, to) {
+  if (!from && !to) return true;
+  const day = localDay(iso);
+  if (!day) return false;
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+function compareTickets(a, b, field) {
+  if (field === "status") {
+    return ALLOWED_STATUS.indexOf(a.status) - ALLOWED_STATUS.indexOf(b.status);
+  }
+  if (field === "title") {
+    return (a.title || "").localeCompare(b.title || "", currentLocale, {
+      sensitivity: "base",
+    });
+  }
+  return String(a[field] || "").localeCompare(String(b[field] || ""));
+}
+
+function applyTicketQuery(tickets, query) {
+  if (!query) return tickets;
+  const needle = query.q.toLowerCase();
+  const filtered = tickets.filter(
+    (t) =>
+      (!needle ||
+        (t.title || "").toLowerCase().includes(needle) ||
+        (t.description || "").toLowerCase().includes(needle)) &&
+      (query.status.length === 0 || query.status.includes(t.status)) &&
+      inDayRange(t.createdAt, query.createdFrom, query.createdTo) &&
+      inDayRange(t.updatedAt, query.updatedFrom, query.updatedTo)
+  );
+
+  const desc = query.sort.startsWith("-");
+  const field = desc ? query.sort.slice(1) : query.sort;
+  // stable sort keeps storage order (newest first) for ties
+  return filtered.sort((a, b) => {
+    const diff = compareTickets(a, b, field);
+    return desc ? -diff : diff;
+  });
+}
+
+function renderTicketsToolbar() {
+  ticketsStatusFilter.innerHTML = "";
+  ALLOWED_STATUS.forEach((status) => {
+    const label = document.createElement("label");
+    label.className = "inline-flex items-center gap-2";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = status;
+    box.className = "h-4 w-4 rounded border-surface-border";
+    box.checked = ticketQuery.status.includes(status);
+    label.append(box, document.createTextNode(statusLabel(status)));
+    ticketsStatusFilter.appendChild(label);
+  });
+
+  ticketsSearch.value = ticketQuery.q;
+  ticketsSort.value = ticketQuery.sort;
+  ticketsCreatedFrom.value = ticketQuery.createdFrom;
+  ticketsCreatedTo.value = ticketQuery.createdTo;
+  ticketsUpdatedFrom.value = ticketQuery.updatedFrom;
+  ticketsUpdatedTo.value = ticketQuery.updatedTo;
+}
+
+function readTicketsToolbar() {
+  return {
+    q: ticketsSearch.value.trim(),
+    status: [...ticketsStatusFilter.querySelectorAll("input:checked")].map(
+      (box) => box.value
+    ),
+    sort: ticketsSort.value,
+    createdFrom: ticketsCreatedFrom.value,
+    createdTo: ticketsCreatedTo.value,
+    updatedFrom: ticketsUpdatedFrom.value,
+    updatedTo: ticketsUpdatedTo.value,
+  };
+}
+
+// replaceState doesn't fire hashchange, so no refetch per keystroke
+function onTicketsToolbarChange() {
+  ticketQuery = readTicketsToolbar();
+  if (!currentRoute?.form) {
+    const qs = ticketQueryToString(ticketQuery);
+    window.history.replaceState(null, "", `#/tickets${qs ? `?${qs}` : ""}`);
+  }
+  renderTicketsList();
+}
+
+ticketsToolbar.addEventListener("input", onTicketsToolbarChange);
+ticketsToolbar.addEventListener("change", onTicketsToolbarChange);
+ticketsToolbar.addEventListener("submit", (e) => e.preventDefault());
+ticketsToolbar.addEventListener("reset", () => {
+  // let the browser clear the controls first
+  setTimeout(onTicketsToolbarChange);
+});
+
+/********************************************************
+ * Tickets import / export
+ ********************************************************/
+let importRows = null; // parsed file rows, re-validated on import
+let importPreviewResult = null;
+let importSaving = false;
+
+// Exports what the list shows, i.e. with the toolbar filters applied
+function exportTickets(tickets, format) {
+  if (!tickets.length) {
+    toastPolite(tr("export.empty"));
+    return;
+  }
+  const name = `tickets-${localDay(new Date())}.${format}`;
+  if (format === "csv") {
+    downloadFile(name, ticketsToCSV(tickets), "text/csv");
+  } else {
+    downloadFile(name, ticketsToJSON(tickets), "application/json");
+  }
+  toastPolite(tr("export.done", { count: tickets.length }));
+}
+
+function exportVisibleTickets(format) {
+  exportTickets(applyTicketQuery(currentTickets, ticketQuery), format);
+}
+
+exportCsvBtn.addEventListener("click", () => exportVisibleTickets("csv"));
+exportJsonBtn.addEventListener("click", () => exportVisibleTickets("json"));
+
+function renderTicketsHeaderActions() {
+  importBtn.classList.toggle(
+    "hidden",
+    !hasPermission(currentUser, "tickets:import")
+  );
+}
+
+function importDuplicateMode() {
+  return (
+    importPanel.querySelector('input[name="import-duplicates"]:checked')
+      ?.value || "skip"
+  );
+}
+
+function resetImportPanel() {
+  importRows = null;
+  importPreviewResult = null;
+  importFileInput.value = "";
+  importFileErr.textContent = "";
+  importPreview.classList.add("hidden");
+  importPreviewRows.innerHTML = "";
+  importReport.classList.add("hidden");
+  importReport.innerHTML = "";
+  importConfirmBtn.disabled = true;
+}
+
+function openImportPanel() {
+  resetImportPanel();
+  importPanel.classList.remove("hidden");
+  importBtn.setAttribute("aria-expanded", "true");
+  importTitle.focus();
+}
+
+function closeImportPanel() {
+  importPanel.classList.add("hidden");
+  importBtn.setAttribute("aria-expanded", "false");
+  resetImportPanel();
+}
+
+function describeImportErrors(errors) {
+  return Object.values(errors).join(" ");
+}
+
+function renderImportPreview() {
+  const rows = importPreviewResult;
+  const mode = importDuplicateMode();
+  const duplicateText = tr("import.duplicateRow", { mode });
+
+  importPreviewRows.innerHTML = "";
+  let ready = 0,
+    duplicates = 0,
+    invalid = 0;
+  rows.forEach(({ row, ticket, errors, duplicate }) => {
+    const hasErrors = Object.keys(errors).length > 0;
+    if (hasErrors) invalid++;
+    else if (duplicate) duplicates++;
+    else ready++;
+
+    const line = document.createElement("tr");
+    line.className = "border-b border-surface-border last:border-0";
+    const cells = [
+      formatNumber(row),
+      ticket.title || tr("import.noTitle"),
+      statusLabel(ticket.status),
+      hasErrors
+        ? describeImportErrors(errors)
+        : duplicate
+        ? duplicateText
+        : tr("import.ready"),
+    ];
+    cells.forEach((text, i) => {
+      const td = document.createElement("td");
+      td.className = "px-4 py-2 break-words";
+      if (i === 3) {
+        td.classList.add(hasErrors ? "text-danger-text" : "text-text-dim");
+      }
+      td.textContent = text;
+      line.appendChild(td);
+    });
+    importPreviewRows.appendChild(line);
+  });
+
+  importPreviewSummary.textContent = tr("import.previewSummary", {
+    rows: rows.length,
+    ready,
+    duplicates,
+    invalid,
+  });
+  importPreview.classList.remove("hidden");
+  const writable = ready + (mode === "skip" ? 0 : duplicates);
+  importConfirmBtn.disabled = writable === 0;
+  importConfirmBtn.textContent = writable
+    ? tr("import.confirmCount", { count: writable })
+    : tr("import.confirm");
+}
+
+importFileInput.addEventListener("change", async () => {
+  const file = importFileInput.files?.[0];
+  importFileErr.textContent = "";
+  importReport.classList.add("hidden");
+  importPreview.classList.add("hidden");
+  importConfirmBtn.disabled = true;
+  if (!file) return;
+
+  const format =
+    /\.json$/i.test(file.name) || file.type.includes("json") ? "json" : "csv";
+  const parsed = parseTicketsFile(await file.text(), format);
+  if (!parsed.ok) {
+    importFileErr.textContent = parsed.error.message;
+    return;
+  }
+  if (!parsed.rows.length) {
+    importFileErr.textContent = tr("import.noRows");
+    return;
+  }
+  const result = await previewTicketsImport(parsed.rows);
+  if (!result.ok) {
+    importFileErr.textContent = result.error.message;
+    return;
+  }
+  importRows = parsed.rows;
+  importPreviewResult = result.rows;
+  renderImportPreview();
+});
+
+importPanel.addEventListener("change", (e) => {
+  if (e.target.name === "import-duplicates" && importPreviewResult) {
+    renderImportPreview();
+  }
+});
+
+function renderImportReport(summary, error) {
+  const lines = [
+    tr("import.report", { ...summary, rejected: summary.rejected.length }),
+  ];
+  if (error) lines.unshift(error.message);
+  importReport.innerHTML = "";
+  lines.forEach((text) => {
+    const p = document.createElement("p");
+    p.className = "font-medium text-text";
+    p.textContent = text;
+    importReport.appendChild(p);
+  });
+  if (summary.rejected.length) {
+    const list = document.createElement("ul");
+    list.className = "list-disc ps-5 text-danger-text";
+    summary.rejected.forEach(({ row, errors }) => {
+      const li = document.createElement("li");
+      li.textContent = tr("import.rowErrors", {
+        row,
+        errors: describeImportErrors(errors),
+      });
+      list.appendChild(li);
+    });
+    importReport.appendChild(list);
+  }
+  importReport.classList.remove("hidden");
+}
+
+importConfirmBtn.addEventListener("click", async () => {
+  if (!importRows || importSaving) return;
+  importSaving = true;
+  importConfirmBtn.disabled = true;
+  const result = await importTickets(importRows, {
+    onDuplicate: importDuplicateMode(),
+  });
+  importSaving = false;
+
+  if (!result.ok && !result.summary) {
+    importFileErr.textContent = result.error.message;
+    importConfirmBtn.disabled = false;
+    return;
+  }
+  importRows = null;
+  importPreview.classList.add("hidden");
+  renderImportReport(result.summary, result.ok ? null : result.error);
+  toastPolite(tr("import.finished", { count: result.summary.imported }));
+  loadTicketsAndRenderForTicketsPage({ quiet: true });
+});
+
+importBtn.addEventListener("click", () => {
+  if (importPanel.classList.contains("hidden")) {
+    openImportPanel();
+  } else {
+    closeImportPanel();
+  }
+});
+importCloseBtn.addEventListener("click", () => {
+  closeImportPanel();
+  importBtn.focus();
+});
+
+/********************************************************
+ * Tickets bulk actions
+ ********************************************************/
+// The selection only ever holds visible tickets: changing the filters
+// drops whatever falls out of the result, so a bulk action never touches
+// a card the user can't see.
+function keepVisibleSelection(visible) {
+  const visibleIds = new Set(visible.map((t) => t.id));
+  selectedTicketIds = new Set(
+    [...selectedTicketIds].filter((id) => visibleIds.has(id))
+  );
+  if (!visibleIds.has(selectionAnchorId)) selectionAnchorId = null;
+}
+
+function selectedTickets() {
+  return applyTicketQuery(currentTickets, ticketQuery).filter((t) =>
+    selectedTicketIds.has(t.id)
+  );
+}
+
+function addTicketSelectBox(card, t) {
+  const label = document.createElement("label");
+  label.className =
+    "inline-flex items-center gap-2 self-start text-[12px] leading-[16px] text-text-dim";
+  setHtml(
+    label,
+    safeHtml`
+    <input type="checkbox" class="h-4 w-4 rounded border-surface-border" />
+  `
+  );
+  label.append(tr("bulk.select"));
+  const box = label.querySelector("input");
+  box.dataset.selectId = t.id;
+  box.setAttribute("aria-label", tr("bulk.selectLabel", { title: t.title }));
+  card.prepend(label);
+  markTicketSelected(card, selectedTicketIds.has(t.id));
+}
+
+function markTicketSelected(card, selected) {
+  card.querySelector("input[data-select-id]").checked = selected;
+  card.classList.toggle("ring-2", selected);
+  card.classList.toggle("ring-brand-500", selected);
+}
+
+function renderBulkBar(visible) {
+  const count = selectedTicketIds.size;
+  bulkBar.classList.toggle("hidden", visible.length === 0);
+  bulkCount.textContent = count
+    ? tr("bulk.selectedCount", { count, total: visible.length })
+    : tr("bulk.noneSelectedLabel");
+  selectAllBox.checked = count > 0 && count === visible.length;
+  selectAllBox.indeterminate = count > 0 && count < visible.length;
+
+  // only offer what the current role may do; the API enforces it anyway
+  const canStatus = canChangeStatus(currentUser);
+  const canDelete = hasPermission(currentUser, "ticket:delete");
+  bulkStatusSelect.classList.toggle("hidden", !canStatus);
+  bulkStatusBtn.classList.toggle("hidden", !canStatus);
+  bulkDeleteBtn.classList.toggle("hidden", !canDelete);
+  [
+    bulkStatusBtn,
+    bulkExportCsvBtn,
+    bulkExportJsonBtn,
+    bulkDeleteBtn,
+    bulkClearBtn,
+  ].forEach((btn) => {
+    btn.disabled = count === 0;
+  });
+}
+
+// refreshes checkboxes and the bar without rebuilding the cards
+function renderTicketSelection() {
+  ticketsList.querySelectorAll("article").forEach((card) => {
+    const id = card.querySelector("input[data-select-id]").dataset.selectId;
+    markTicketSelected(card, selectedTicketIds.has(id));
+  });
+  renderBulkBar(applyTicketQuery(currentTickets, ticketQuery));
+}
+
+// shift-click selects (or clears) everything between the last clicked
+// checkbox and this one, in the order the list shows them
+ticketsList.addEventListener("click", (e) => {
+  const box = e.target.closest("input[data-select-id]");
+  if (!box) return;
+  const id = box.dataset.selectId;
+  let ids = [id];
+  if (e.shiftKey && selectionAnchorId) {
+    const order = applyTicketQuery(currentTickets, ticketQuery).map(
+      (t) => t.id
+    );
+    const from = order.indexOf(selectionAnchorId);
+    const to = order.indexOf(id);
+    if (from !== -1 && to !== -1) {
+      ids = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+  }
+  ids.forEach((x) => {
+    if (box.checked) selectedTicketIds.add(x);
+    else selectedTicketIds.delete(x);
+  });
+  selectionAnchorId = id;
+  renderTicketSelection();
+});
+
+selectAllBox.addEventListener("change", () => {
+  const visible = applyTicketQuery(currentTickets, ticketQuery);
+  selectedTicketIds = new Set(
+    selectAllBox.checked ? visible.map((t) => t.id) : []
+  );
+  selectionAnchorId = null;
+  renderTicketSelection();
+});
+
+bulkClearBtn.addEventListener("click", () => {
+  selectedTicketIds.clear();
+  selectionAnchorId = null;
+  renderTicketSelection();
+  selectAllBox.focus();
+});
+
+bulkExportCsvBtn.addEventListener("click", () =>
+  exportTickets(selectedTickets(), "csv")
+);
+bulkExportJsonBtn.addEventListener("click", () =>
+  exportTickets(selectedTickets(), "json")
+);
+
+fillStatusOptions(bulkStatusSelect, ALLOWED_STATUS);
+
+// Tickets the workflow won't let move are reported up front; the fields
+// any of the moves need are asked for once, in the confirmation modal.
+bulkStatusBtn.addEventListener("click", () => {
+  const tickets = selectedTickets();
+  const status = bulkStatusSelect.value;
+  if (!tickets.length) return;
+  const label = statusLabel(status);
+  const stuck = tickets.filter((t) => !nextStatuses(t.status).includes(status));
+  if (stuck.length) {
+    const count = stuck.length;
+    toastAssertive(tr("bulk.cantMoveCount", { count, status: label }));
+    return;
+  }
+  const fields = [
+    ...new Set(
+      tickets.flatMap((t) => requiredTransitionFields(t.status, status))
+    ),
+  ];
+  const ids = tickets.map((t) => t.id);
+  openConfirmModal({
+    title: tr("bulk.statusTitle"),
+    message: tr("bulk.statusMessage", { count: ids.length, status: label }),
+    fields,
+    confirmLabel: tr("bulk.statusConfirm"),
+    danger: false,
+    onConfirm: (values) => applyBulkStatus(ids, status, values),
+  });
+});
+
+bulkDeleteBtn.addEventListener("click", () => {
+  const ids = selectedTickets().map((t) => t.id);
+  if (!ids.length) return;
+  openConfirmModal({
+    title: tr("bulk.deleteTitle", { count: ids.length }),
+    message: tr("bulk.deleteMessage", { count: ids.length }),
+    note: trashRetentionNote(ids.length),
+    confirmLabel: tr("common.moveToTrash"),
+    onConfirm: () => applyBulkDelete(ids),
+  });
+});
+
+// The API writes all tickets or none, so a failure rolls the optimistic
+// change back as a whole.
+async function applyBulkStatus(ids, status, workflowFields) {
+  const previous = [...currentTickets];
+  const previousSelection = new Set(selectedTicketIds);
+  const selected = new Set(ids);
+  currentTickets = previous.map((t) =>
+    selected.has(t.id) ? { ...t, status } : t
+  );
+  renderTicketViews();
+
+  const result = await bulkUpdateTicketStatus(ids, status, workflowFields);
+  if (!result.ok) {
+    currentTickets = previous;
+    selectedTicketIds = previousSelection;
+    renderTicketViews();
+    toastAssertive(tr("bulk.noneChanged", { error: result.error.message }));
+    return;
+  }
+  const saved = new Map(result.tickets.map((t) => [t.id, t]));
+  currentTickets = currentTickets.map((t) => saved.get(t.id) || t);
+  selectedTicketIds.clear();
+  renderTicketViews();
+  const label = statusLabel(status);
+  toastPolite(tr("bulk.statusDone", { count: ids.length, status: label }));
+}
+
+async function applyBulkDelete(ids) {
+  const previous = [...currentTickets];
+  const previousSelection = new Set(selectedTicketIds);
+  const selected = new Set(ids);
+  currentTickets = previous.filter((t) => !selected.has(t.id));
+  renderTicketViews();
+
+  const result = await bulkDeleteTickets(ids);
+  if (!result.ok) {
+    currentTickets = previous;
+    selectedTicketIds = previousSelection;
+    renderTicketViews();
+    toastAssertive(tr("bulk.noneDeleted", { error: result.error.message }));
+    return;
+  }
+  selectedTicketIds.clear();
+  renderTicketViews();
+  showUndoToast(tr("bulk.deleted", { count: ids.length }), () =>
+    undoDelete(ids)
+  );
+}
+
+/********************************************************
+ * Board (kanban)
+ ********************************************************/
+// One column per status. Cards move by dragging their handle (pointer
+// events, so mouse and touch share one path) or from the keyboard:
+// Space/Enter picks up and drops, arrows change column, Escape cancels.
+let boardDrag = null; // pointer drag in progress
+let boardKeyMove = null; // { id, status, card, list, next } during a key move
+
+function renderBoard() {
+  boardColumns.innerHTML = "";
+  boardColumns.className = `grid gap-4 md:grid-cols-${ALLOWED_STATUS.length}`;
+  ALLOWED_STATUS.forEach((status) => {
+    const tickets = currentTickets.filter((t) => t.status === status);
+    const column = document.createElement("section");
+    column.className =
+      "rounded-card border border-surface-border bg-white p-3 space-y-3 min-h-[12rem] transition-colors";
+    column.setAttribute("data-board-status", status);
+    column.setAttribute("aria-labelledby", `board-col-${status}`);
+    setHtml(
+      column,
+      safeHtml`
+      <h2 id="board-col-${status}" class="flex items-center justify-between text-sm font-semibold text-text">
+        <span class="${statusBadgeClass(status)}">${statusLabel(status)}</span>
+        <span class="text-text-dim font-normal">${formatNumber(
+          tickets.length
+        )}</span>
+      </h2>
+      <div class="space-y-3" data-board-list></div>
+    `
+    );
+    const list = column.querySelector("[data-board-list]");
+    tickets.forEach((t) => list.appendChild(createBoardCard(t)));
+    boardColumns.appendChild(column);
+  });
+}
+
+function createBoardCard(t) {
+  const card = createTicketCard(t);
+  card.setAttribute("data-ticket-id", t.id);
+  if (!canChangeStatus(currentUser)) return card;
+
+  const grip = document.createElement("button");
+  grip.type = "button";
+  grip.className =
+    "board-grip touch-none cursor-grab self-start rounded-pill border border-surface-border bg-white px-2 py-1 text-[13px] leading-[16px] text-text-dim hover:bg-surface-subtle";
+  grip.setAttribute("aria-label", tr("board.moveLabel", { title: t.title }));
+  grip.setAttribute("aria-describedby", "board-help");
+  grip.textContent = `⠿ ${tr("board.move")}`;
+  grip.addEventListener("pointerdown", onBoardPointerDown);
+  grip.addEventListener("pointermove", onBoardPointerMove);
+  grip.addEventListener("pointerup", onBoardPointerUp);
+  grip.addEventListener("pointercancel", cancelBoardDrag);
+  grip.addEventListener("keydown", onBoardGripKeydown);
+  grip.addEventListener("blur", onBoardGripBlur);
+  card.prepend(grip);
+  return card;
+}
+
+function boardColumnAt(x, y) {
+  return document.elementFromPoint(x, y)?.closest("[data-board-status]");
+}
+
+function highlightBoardColumn(column) {
+  boardColumns.querySelectorAll("[data-board-status]").forEach((col) => {
+    col.classList.toggle("bg-brand-50", col === column);
+    col.classList.toggle("border-brand-500", col === column);
+  });
+}
+
+function onBoardPointerDown(e) {
+  if (e.button !== 0) return;
+  const grip = e.currentTarget;
+  const card = grip.closest("[data-ticket-id]");
+  e.preventDefault();
+  grip.setPointerCapture?.(e.pointerId);
+
+  const rect = card.getBoundingClientRect();
+  const ghost = card.cloneNode(true);
+  ghost.removeAttribute("tabindex");
+  ghost.setAttribute("aria-hidden", "true");
+  ghost.classList.add("fixed", "z-40", "pointer-events-none", "opacity-90");
+  ghost.style.width = `${rect.width}px`;
+  ghost.style.left = `${rect.left}px`;
+  ghost.style.top = `${rect.top}px`;
+  document.body.appendChild(ghost);
+  card.classList.add("opacity-40");
+
+  boardDrag = {
+    id: card.getAttribute("data-ticket-id"),
+    card,
+    ghost,
+    offsetX: e.clientX - rect.left,
+    offsetY: e.clientY - rect.top,
+  };
+}
+
+function onBoardPointerMove(e) {
+  if (!boardDrag) return;
+  boardDrag.ghost.style.left = `${e.clientX - boardDrag.offsetX}px`;
+  boardDrag.ghost.style.top = `${e.clientY - boardDrag.offsetY}px`;
+  highlightBoardColumn(boardColumnAt(e.clientX, e.clientY));
+}
+
+function onBoardPointerUp(e) {
+  if (!boardDrag) return;
+  const { id } = boardDrag;
+  const column = boardColumnAt(e.clientX, e.clientY);
+  cancelBoardDrag();
+  if (column) moveTicketToStatus(id, column.getAttribute("data-board-status"));
+}
+
+function cancelBoardDrag() {
+  if (!boardDrag) return;
+  boardDrag.ghost.remove();
+  boardDrag.card.classList.remove("opacity-40");
+  boardDrag = null;
+  highlightBoardColumn(null);
+}
+
+function focusBoardGrip(id) {
+  const card = boardColumns.querySelector(
+    `[data-ticket-id="${CSS.escape(id)}"]`
+  );
+  card?.querySelector(".board-grip")?.focus();
+}
+
+// Keys act on the picked-up card (boardKeyMove), never on whichever grip
+// happens to have focus.
+function onBoardGripKeydown(e) {
+  if (e.key === " " || e.key === "Enter") {
+    e.preventDefault();
+    if (!boardKeyMove) {
+      pickUpBoardCard(e.currentTarget.closest("[data-ticket-id]"));
+    } else {
+      const { id, status } = boardKeyMove;
+      boardKeyMove = null;
+      moveTicketToStatus(id, status);
+    }
+    return;
+  }
+  if (!boardKeyMove) return;
+
+  if (e.key === "Escape") {
+    e.preventDefault();
+    e.stopPropagation();
+    const { card } = boardKeyMove;
+    cancelBoardKeyMove();
+    card.querySelector(".board-grip").focus();
+    return;
+  }
+
+  // columns run right to left in RTL layouts
+  const [forward, back] =
+    localeDir() === "rtl"
+      ? ["ArrowLeft", "ArrowRight"]
+      : ["ArrowRight", "ArrowLeft"];
+  const step =
+    e.key === forward || e.key === "ArrowDown"
+      ? 1
+      : e.key === back || e.key === "ArrowUp"
+      ? -1
+      : 0;
+  if (!step) return;
+  e.preventDefault();
+
+  const idx = ALLOWED_STATUS.indexOf(boardKeyMove.status) + step;
+  if (idx < 0 || idx >= ALLOWED_STATUS.length) return;
+  boardKeyMove.status = ALLOWED_STATUS[idx];
+
+  // preview the card in its new column without saving yet
+  const { card } = boardKeyMove;
+  const target = boardColumns.querySelector(
+    `[data-board-status="${boardKeyMove.status}"] [data-board-list]`
+  );
+  target.prepend(card);
+  highlightBoardColumn(target.closest("[data-board-status]"));
+  card.querySelector(".board-grip").focus();
+  toastPolite(tr("board.over", { status: statusLabel(boardKeyMove.status) }));
+}
+
+function pickUpBoardCard(card) {
+  const id = card.getAttribute("data-ticket-id");
+  const ticket = currentTickets.find((t) => t.id === id);
+  if (!ticket) return;
+  boardKeyMove = {
+    id,
+    status: ticket.status,
+    card,
+    list: card.parentElement,
+    next: card.nextElementSibling,
+  };
+  card.classList.add("ring-2", "ring-brand-500");
+  toastPolite(
+    tr("board.pickedUp", {
+      title: ticket.title,
+      status: statusLabel(ticket.status),
+    })
+  );
+}
+
+// Puts the picked-up card back where it was, without re-rendering the
+// board (which would drop focus from wherever it went).
+function cancelBoardKeyMove() {
+  const { id, card, list, next } = boardKeyMove;
+  boardKeyMove = null;
+  list.insertBefore(card, next);
+  card.classList.remove("ring-2", "ring-brand-500");
+  highlightBoardColumn(null);
+  const ticket = currentTickets.find((t) => t.id === id);
+  if (!ticket) return;
+  const stays = statusLabel(ticket.status);
+  toastPolite(tr("board.cancelled", { title: ticket.title, status: stays }));
+}
+
+// Tabbing or clicking away from the picked-up card cancels its move. The
+// check waits a tick because arrow keys re-parent the card and refocus its
+// grip straight away.
+function onBoardGripBlur() {
+  setTimeout(() => {
+    if (boardKeyMove && !boardKeyMove.card.contains(document.activeElement)) {
+      cancelBoardKeyMove();
+    }
+  });
+}
+
+// Drops that break the workflow snap back; moves that need fields (e.g. a
+// resolution note) ask for them in the confirmation modal first.
+function moveTicketToStatus(id, status) {
+  const ticket = currentTickets.find((t) => t.id === id);
+  if (!ticket || ticket.status === status) {
+    renderBoard();
+    focusBoardGrip(id);
+    return;
+  }
+  if (!nextStatuses(ticket.status).includes(status)) {
+    renderBoard();
+    focusBoardGrip(id);
+    toastAssertive(validateStatusChange(ticket.status, status).error.message);
+    return;
+  }
+  const fields = requiredTransitionFields(ticket.status, status);
+  if (!fields.length) {
+    saveBoardMove(ticket, status);
+    return;
+  }
+  openConfirmModal({
+    title: tr("board.moveTitle", { status: statusLabel(status) }),
+    message: tr("board.moveMessage", { title: ticket.title }),
+    fields,
+    confirmLabel: tr("board.moveConfirm"),
+    danger: false,
+    onConfirm: (values) => saveBoardMove(ticket, status, values),
+    onCancel: () => {
+      renderBoard();
+      focusBoardGrip(id);
+    },
+  });
+}
+
+// Optimistic status change with the same rollback as the delete flow
+async function saveBoardMove(ticket, status, workflowFields = {}) {
+  const id = ticket.id;
+  const previous = [...currentTickets];
+  currentTickets = previous.map((t) => (t.id === id ? { ...t, status } : t));
+  renderBoard();
+  focusBoardGrip(id);
+
+  const result = await updateTicketOrQueue({
+    id,
+    title: ticket.title,
+    description: ticket.description,
+    status,
+    expectedUpdatedAt: ticket.updatedAt,
+    workflowFields,
+  });
+  if (!result.ok) {
+    if (result.error?.code === "CONFLICT") {
+      toastAssertive(tr("board.conflict", { error: result.error.message }));
+      loadTicketsAndRenderForBoard();
+      return;
+    }
+    // rollback
+    currentTickets = previous;
+    renderBoard();
+    focusBoardGrip(id);
+    const code = result.error?.code;
+    toastAssertive(
+      code === "FORBIDDEN" || code === "VALIDATION_ERROR"
+        ? result.error.message
+        : tr(MSG_MOVE_ERROR)
+    );
+    return;
+  }
+
+  currentTickets = currentTickets.map((t) =>
+    t.id === id && result.ticket ? result.ticket : t
+  );
+  renderBoard();
+  focusBoardGrip(id);
+  const moved = { title: ticket.title, status: statusLabel(status) };
+  if (result.queued) {
+    toastPolite(tr("board.movedOffline", moved));
+    scheduleOutboxFlush();
+    return;
+  }
+  toastPolite(tr("board.moved", moved));
+}
+
+/********************************************************
+ * Ticket attachments
+ ********************************************************/
+let attachmentUrls = []; // object URLs on screen, revoked on re-render
+
+// Only raster images get a thumbnail: an SVG or HTML file opened from a
+// same-origin blob: URL would run its scripts in the app's origin.
+const THUMBNAIL_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+function revokeAttachmentUrls() {
+  attachmentUrls.forEach((url) => URL.revokeObjectURL(url));
+  attachmentUrls = [];
+}
+
+// Empties the list while a ticket's attachments load.
+function resetAttachments() {
+  revokeAttachmentUrls();
+  ticketAttachments.innerHTML = "";
+  ticketAttachmentsEmpty.classList.add("hidden");
+  ticketAttachmentsError.classList.add("hidden");
+  ticketAttachmentsError.textContent = "";
+}
+
+// Images get an inline thumbnail; every file gets a download link. The
+// link is served as application/octet-stream, whatever type the uploader
+// gave, so opening it in a tab downloads it instead of rendering it.
+function renderAttachments(attachments) {
+  resetAttachments();
+  ticketAttachmentsEmpty.classList.toggle("hidden", attachments.length > 0);
+  attachments.forEach((a) => {
+    const url = URL.createObjectURL(
+      new Blob([a.blob], { type: "application/octet-stream" })
+    );
+    attachmentUrls.push(url);
+    let thumbnail = "";
+    if (THUMBNAIL_TYPES.includes(a.type)) {
+      const src = URL.createObjectURL(new Blob([a.blob], { type: a.type }));
+      attachmentUrls.push(src);
+      thumbnail = safeHtml`<img src="${src}" alt="${a.name}" loading="lazy"
+        class="h-24 w-full rounded-card object-cover bg-surface-subtle" />`;
+    }
+    const li = document.createElement("li");
+    li.className =
+      "rounded-card border border-surface-border bg-white p-2 space-y-1 text-[12px] leading-[16px]";
+    setHtml(
+      li,
+      safeHtml`
+      ${thumbnail}
+      <a href="${url}" download="${a.name}"
+        class="block font-medium text-brand-600 hover:text-brand-700 break-all">
+        ${a.name}
+      </a>
+      <span class="text-text-dim">${formatBytes(a.size)}</span>
+    `
+    );
+    ticketAttachments.appendChild(li);
+  });
+}
+
+/********************************************************
+ * Ticket comments
+ ********************************************************/
+let commentsTicketId = null; // ticket whose thread is on screen
+let currentComments = [];
+let editingCommentId = null;
+let commentSaving = false;
+
+// Empties the panel while a ticket's thread loads.
+function resetComments(ticketId) {
+  commentsTicketId = ticketId;
+  currentComments = [];
+  editingCommentId = null;
+  ticketComments.innerHTML = "";
+  ticketCommentsCount.textContent = "";
+  ticketCommentsEmpty.classList.add("hidden");
+  ticketCommentsError.classList.add("hidden");
+  ticketCommentsError.textContent = "";
+  commentBodyInput.value = "";
+  commentBodyErr.textContent = "";
+}
+
+// An open comment edit keeps its typed text and focus across re-renders.
+function renderComments() {
+  const draft = ticketComments.querySelector('[data-field="edit-body"]');
+  const draftId = draft?.closest("[data-comment-id]").dataset.commentId;
+  const draftFocused = !!draft && document.activeElement === draft;
+  ticketComments.innerHTML = "";
+  ticketCommentsCount.textContent = currentComments.length
+    ? `(${formatNumber(currentComments.length)})`
+    : "";
+  ticketCommentsEmpty.classList.toggle("hidden", currentComments.length > 0);
+  currentComments.forEach((c) => {
+    ticketComments.appendChild(createCommentItem(c));
+  });
+  if (!draft || draftId !== editingCommentId) return;
+  const restored = ticketComments.querySelector('[data-field="edit-body"]');
+  if (!restored) return;
+  restored.value = draft.value;
+  if (draftFocused) restored.focus();
+}
+
+function createCommentItem(c) {
+  const own = isCommentAuthor(c, currentUser);
+  const editing = own && c.id === editingCommentId;
+  const posted = formatDateTime(c.createdAt);
+  const edited =
+    c.updatedAt && c.updatedAt !== c.createdAt
+      ? ` · ${tr("comments.edited")}`
+      : "";
+
+  const li = document.createElement("li");
+  li.className =
+    "rounded-card border border-surface-border bg-white p-3 space-y-2";
+  li.setAttribute("data-comment-id", c.id);
+  setHtml(
+    li,
+    safeHtml`
+    <div class="flex flex-wrap items-center justify-between gap-2 text-[12px] leading-[16px] text-text-dim">
+      <p>
+        <span class="font-medium text-text" data-field="author"></span>
+        · <time datetime="${c.createdAt}">${posted}</time>${edited}
+      </p>
+      <div class="flex gap-2" data-field="actions"></div>
+    </div>
+  `
+  );
+  li.querySelector('[data-field="author"]').textContent = c.author;
+
+  if (editing) {
+    const label = tr("comments.editLabel", { author: c.author });
+    const save = tr("common.save");
+    const cancel = tr("common.cancel");
+    appendHtml(
+      li,
+      safeHtml`
+      <textarea class="w-full min-h-[80px] rounded-card border border-surface-border bg-white px-3 py-2 text-sm" data-field="edit-body" aria-label="${label}"></textarea>
+      <p class="text-sm text-danger-text" data-field="edit-error"></p>
+      <div class="flex gap-2">
+        <button type="button" class="rounded-pill bg-brand-600 px-3 py-1.5 text-[13px] leading-[16px] font-medium text-white hover:bg-brand-700" data-action="save-comment">${save}</button>
+        <button type="button" class="rounded-pill border border-surface-border bg-white px-3 py-1.5 text-[13px] leading-[16px] font-medium text-text hover:bg-surface-subtle" data-action="cancel-comment">${cancel}</button>
+      </div>
+    `
+    );
+    li.querySelector('[data-field="edit-body"]').value = c.body;
+    return li;
+  }
+
+  const body = document.createElement("p");
+  body.className = "text-sm text-text whitespace-pre-wrap break-words";
+  body.textContent = c.body;
+  li.appendChild(body);
+
+  if (own) {
+    const edit = tr("common.edit");
+    const remove = tr("common.delete");
+    setHtml(
+      li.querySelector('[data-field="actions"]'),
+      safeHtml`
+      <button type="button" class="font-medium text-brand-600 hover:text-brand-700" data-action="edit-comment">${edit}</button>
+      <button type="button" class="font-medium text-danger-text hover:underline" data-action="delete-comment">${remove}</button>
+    `
+    );
+  }
+  return li;
+}
+
+function focusComment(id, selector) {
+  ticketComments
+    .querySelector(`[data-comment-id="${CSS.escape(id)}"] ${selector}`)
+    ?.focus();
+}
+
+commentForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (commentSaving) return;
+  commentBodyErr.textContent = "";
+
+  const ticketId = commentsTicketId;
+  commentSaving = true;
+  commentSubmitBtn.disabled = true;
+  const result = await addComment({ ticketId, body: commentBodyInput.value });
+  commentSaving = false;
+  commentSubmitBtn.disabled = false;
+
+  if (!result.ok) {
+    if (result.error.details?.fields?.body) {
+      commentBodyErr.textContent = result.error.details.fields.body;
+      commentBodyInput.focus();
+    } else {
+      toastAssertive(result.error.message || tr(MSG_COMMENT_ERROR));
+    }
+    return;
+  }
+  if (ticketId !== commentsTicketId) return; // navigated away meanwhile
+
+  commentBodyInput.value = "";
+  currentComments = [...currentComments, result.comment];
+  commentCounts[ticketId] = currentComments.length;
+  renderComments();
+  toastPolite(tr("comments.added"));
+});
+
+ticketComments.addEventListener("click", async (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn || commentSaving) return;
+  const item = btn.closest("[data-comment-id]");
+  const id = item.getAttribute("data-comment-id");
+  const action = btn.getAttribute("data-action");
+
+  if (action === "edit-comment" || action === "cancel-comment") {
+    editingCommentId = action === "edit-comment" ? id : null;
+    renderComments();
+    const focusTarget = editingCommentId
+      ? '[data-field="edit-body"]'
+      : '[data-action="edit-comment"]';
+    focusComment(id, focusTarget);
+    return;
+  }
+
+  commentSaving = true;
+  btn.disabled = true;
+  const result =
+    action === "save-comment"
+      ? await updateComment({
+          id,
+          body: item.querySelector('[data-field="edit-body"]').value,
+        })
+      : await deleteComment(id);
+  commentSaving = false;
+  btn.disabled = false;
+
+  if (!result.ok) {
+    const fieldErr = result.error.details?.fields?.body;
+    if (fieldErr) {
+      item.querySelector('[data-field="edit-error"]').textContent = fieldErr;
+    } else {
+      toastAssertive(result.error.message || tr(MSG_COMMENT_ERROR));
+    }
+    return;
+  }
+
+  if (action === "save-comment") {
+    editingCommentId = null;
+    currentComments = currentComments.map((c) =>
+      c.id === id ? result.comment : c
+    );
+    renderComments();
+    focusComment(id, '[data-action="edit-comment"]');
+    toastPolite(tr("comments.updated"));
+  } else {
+    currentComments = currentComments.filter((c) => c.id !== id);
+    commentCounts[commentsTicketId] = currentComments.length;
+    renderComments();
+    commentBodyInput.focus();
+    toastPolite(tr("comments.deleted"));
+  }
+});
+
+/********************************************************
+ * Ticket Form logic
+ ********************************************************/
+function clearTicketFormErrors() {
+  titleErr.textContent = "";
+  descErr.textContent = "";
+  statusErr.textContent = "";
+  assigneeErr.textContent = "";
+  priorityErr.textContent = "";
+  labelsErr.textContent = "";
+  dueErr.textContent = "";
+  topFormError.classList.add("hidden");
+  topFormError.textContent = "";
+  conflictBox.classList.add("hidden");
+  workflowFieldsWrap.querySelectorAll("[data-field-error]").forEach((el) => {
+    el.textContent = "";
+  });
+  attachmentsErr.textContent = "";
+}
+
+function fillTicketFormForCreate() {
+  editingTicketId = null;
+  ticketIdInput.value = "";
+  titleInput.value = "";
+  descInput.value = "";
+  markdownCheckbox.checked = false;
+  showDescriptionTab(false);
+  resetFormAttachments();
+  fillStatusOptions(statusSelect, nextStatuses(null), WORKFLOW.initial);
+  prioritySelect.value = DEFAULT_PRIORITY;
+  fillAssigneeOptions("");
+  labelsInput.value = "";
+  dueInput.value = "";
+  statusSelect.disabled = !canChangeStatus(currentUser);
+  renderWorkflowFields();
+  renderTicketFormText();
+  submitBtn.disabled = false;
+}
+
+function fillTicketFormForEdit(ticket) {
+  editingTicketId = ticket.id;
+  editingTicketBase = ticket;
+  ticketIdInput.value = ticket.id;
+  titleInput.value = ticket.title || "";
+  descInput.value = ticket.description || "";
+  markdownCheckbox.checked = ticket.descriptionFormat === "markdown";
+  showDescriptionTab(false);
+  resetFormAttachments();
+  loadFormAttachments(ticket.id);
+  fillStatusOptions(statusSelect, nextStatuses(ticket.status), ticket.status);
+  prioritySelect.value = ticket.priority || DEFAULT_PRIORITY;
+  fillAssigneeOptions(ticket.assignee || "");
+  labelsInput.value = (ticket.labels || []).join(", ");
+  dueInput.value = ticket.dueDate || "";
+  statusSelect.disabled = !canChangeStatus(currentUser);
+  renderWorkflowFields();
+  renderTicketFormText();
+  submitBtn.disabled = false;
+}
+
+// Headings, submit label and hints for create vs edit (and while saving)
+function renderTicketFormText() {
+  const mode = editingTicketId ? "edit" : "new";
+  ticketFormTitle.textContent = tr(`form.${mode}Title`);
+  ticketFormDesc.textContent = tr(`form.${mode}Desc`);
+  submitBtn.textContent = ticketFormSaving
+    ? tr("form.saving")
+    : tr(editingTicketId ? "form.save" : "form.create");
+  formAttachmentsHelp.textContent = tr("attachments.help", {
+    perFile: formatBytes(ATTACHMENT_MAX_BYTES),
+    perTicket: formatBytes(TICKET_ATTACHMENTS_MAX_BYTES),
+  });
+}
+
+// After a language switch: re-labels the open form, keeping what was typed
+function translateTicketForm() {
+  renderTicketFormText();
+  statusSelect.querySelectorAll("option").forEach((option) => {
+    option.textContent = statusLabel(option.value);
+  });
+  const unassigned = assigneeSelect.querySelector('option[value=""]');
+  if (unassigned) unassigned.textContent = tr("ticket.unassigned");
+  renderWorkflowFields();
+  renderFormAttachments();
+}
+
+// `statuses` as <option>s labelled from the workflow
+function fillStatusOptions(select, statuses, selected) {
+  setHtml(
+    select,
+    safeHtml`${statuses.map(
+      (s) => safeHtml`<option value="${s}">${statusLabel(s)}</option>`
+    )}`
+  );
+  if (selected) select.value = selected;
+}
+
+// The status the form started from: the ticket's, or null for a new one
+function ticketFormFromStatus() {
+  return editingTicketId ? editingTicketBase?.status ?? null : null;
+}
+
+// Inputs for the workflow fields the chosen status change requires.
+// Typed values survive switching back and forth between statuses.
+function renderWorkflowFields() {
+  const typed = readWorkflowFieldValues();
+  const fields = requiredTransitionFields(
+    ticketFormFromStatus(),
+    statusSelect.value
+  );
+  workflowFieldsWrap.innerHTML = "";
+  workflowFieldsWrap.classList.toggle("hidden", fields.length === 0);
+  fields.forEach((field) => {
+    const wrap = document.createElement("div");
+    wrap.className = "space-y-2";
+    setHtml(
+      wrap,
+      safeHtml`
+      <label for="ticket-wf-${field}" class="block text-sm font-medium text-text">
+        <span data-label></span> <span class="text-danger-text">*</span>
+      </label>
+      <textarea id="ticket-wf-${field}" data-field="${field}"
+        aria-describedby="ticket-wf-${field}-error"
+        class="w-full min-h-[80px] rounded-card border border-surface-border bg-white px-3 py-2 text-sm"></textarea>
+      <p id="ticket-wf-${field}-error" class="text-sm text-danger-text" data-field-error></p>
+    `
+    );
+    wrap.querySelector("[data-label]").textContent = workflowFieldLabel(field);
+    wrap.querySelector("textarea").value =
+      typed[field] ?? (editingTicketId ? editingTicketBase?.[field] || "" : "");
+    workflowFieldsWrap.appendChild(wrap);
+  });
+}
+
+function readWorkflowFieldValues() {
+  const values = {};
+  workflowFieldsWrap.querySelectorAll("textarea").forEach((input) => {
+    values[input.dataset.field] = input.value;
+  });
+  return values;
+}
+
+statusSelect.addEventListener("change", renderWorkflowFields);
+
+// Write / Preview tabs above the description. The preview follows the
+// textarea and the Markdown checkbox as they change.
+function showDescriptionTab(preview) {
+  descWriteTab.setAttribute("aria-selected", String(!preview));
+  descPreviewTab.setAttribute("aria-selected", String(preview));
+  descWriteTab.tabIndex = preview ? -1 : 0;
+  descPreviewTab.tabIndex = preview ? 0 : -1;
+  descWritePanel.classList.toggle("hidden", preview);
+  descPreview.classList.toggle("hidden", !preview);
+  if (preview) renderDescriptionPreview();
+}
+
+function renderDescriptionPreview() {
+  const format = markdownCheckbox.checked ? "markdown" : "plain";
+  renderDescription(descPreview, descInput.value.trim(), format);
+}
+
+descWriteTab.addEventListener("click", () => showDescriptionTab(false));
+descPreviewTab.addEventListener("click", () => showDescriptionTab(true));
+[descWriteTab, descPreviewTab].forEach((tab) => {
+  tab.addEventListener("keydown", (e) => {
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+    e.preventDefault();
+    const preview = tab === descWriteTab;
+    showDescriptionTab(preview);
+    (preview ? descPreviewTab : descWriteTab).focus();
+  });
+});
+descInput.addEventListener("input", renderDescriptionPreview);
+markdownCheckbox.addEventListener("change", renderDescriptionPreview);
+
+// Attachments in the form: saved ones can be marked for removal and new
+// files are held until the ticket is saved, then stored with it.
+function resetFormAttachments() {
+  formAttachments = [];
+  removedAttachmentIds = new Set();
+  pendingAttachments = [];
+  filesInput.value = "";
+  renderFormAttachments();
+}
+
+async function loadFormAttachments(ticketId) {
+  const result = await fetchAttachments(ticketId);
+  if (editingTicketId !== ticketId) return; // the form moved on
+  if (!result.ok) {
+    attachmentsErr.textContent = result.error.message;
+    return;
+  }
+  formAttachments = result.attachments;
+  renderFormAttachments();
+}
+
+function keptAttachmentBytes() {
+  return formAttachments
+    .filter((a) => !removedAttachmentIds.has(a.id))
+    .reduce((sum, a) => sum + a.size, 0);
+}
+
+function renderFormAttachments() {
+  formAttachmentsList.innerHTML = "";
+  const items = [
+    ...formAttachments
+      .filter((a) => !removedAttachmentIds.has(a.id))
+      .map((a) => ({ file: a, remove: () => removedAttachmentIds.add(a.id) })),
+    ...pendingAttachments.map((file) => ({
+      file,
+      remove: () => {
+        pendingAttachments = pendingAttachments.filter((f) => f !== file);
+      },
+    })),
+  ];
+  items.forEach(({ file, remove }) => {
+    const li = document.createElement("li");
+    li.className = "flex items-center justify-between gap-3";
+    const removeLabel = tr("attachments.removeLabel", { name: file.name });
+    setHtml(
+      li,
+      safeHtml`
+      <span class="min-w-0 break-all">
+        ${file.name}
+        <span class="text-text-dim">(${formatBytes(file.size)})</span>
+      </span>
+      <button type="button" class="text-[13px] font-medium text-danger-text hover:underline"
+        aria-label="${removeLabel}">${tr("attachments.remove")}</button>
+    `
+    );
+    li.querySelector("button").addEventListener("click", () => {
+      remove();
+      renderFormAttachments();
+      filesInput.focus();
+    });
+    formAttachmentsList.appendChild(li);
+  });
+}
+
+// Adds picked or dropped files unless they would break a size limit
+function addPendingAttachments(files) {
+  attachmentsErr.textContent = "";
+  if (!files.length) return;
+  const check = validateAttachmentFiles(
+    [...pendingAttachments, ...files],
+    keptAttachmentBytes()
+  );
+  if (!check.ok) {
+    attachmentsErr.textContent = check.error.message;
+    return;
+  }
+  pendingAttachments = [...pendingAttachments, ...files];
+  renderFormAttachments();
+  toastPolite(tr("attachments.ready", { count: files.length }));
+}
+
+// Stores the form's attachment changes on the saved ticket
+async function saveFormAttachments(ticketId) {
+  for (const id of removedAttachmentIds) {
+    const result = await removeAttachment(id);
+    if (!result.ok && result.error.code !== "NOT_FOUND") return result;
+  }
+  if (!pendingAttachments.length) return { ok: true };
+  return addAttachments(ticketId, pendingAttachments);
+}
+
+filesInput.addEventListener("change", () => {
+  addPendingAttachments([...filesInput.files]);
+  filesInput.value = "";
+});
+
+["dragenter", "dragover"].forEach((type) => {
+  dropzone.addEventListener(type, (e) => {
+    e.preventDefault();
+    dropzone.classList.add("border-brand-500");
+  });
+});
+["dragleave", "drop"].forEach((type) => {
+  dropzone.addEventListener(type, () => {
+    dropzone.classList.remove("border-brand-500");
+  });
+});
+dropzone.addEventListener("drop", (e) => {
+  e.preventDefault();
+  addPendingAttachments([...(e.dataTransfer?.files || [])]);
+});
+
+// Registered users for the assignee <select>; the chosen value stays an
+// option even if it's missing from the list or the list fails to load.
+function renderAssigneeOptions(emails, selected) {
+  const all =
+    selected && !emails.includes(selected) ? [selected, ...emails] : emails;
+  setHtml(
+    assigneeSelect,
+    safeHtml`<option value="">${tr("ticket.unassigned")}</option>`
+  );
+  all.forEach((email) => {
+    const option = document.createElement("option");
+    option.value = email;
+    option.textContent = email;
+    assigneeSelect.appendChild(option);
+  });
+  assigneeSelect.value = selected;
+}
+
+async function fillAssigneeOptions(selected) {
+  renderAssigneeOptions([], selected);
+  const result = await fetchAssignees();
+  if (result.ok) renderAssigneeOptions(result.emails, assigneeSelect.value);
+}
+
+function openFormForCreate() {
+  clearTicketFormErrors();
+  fillTicketFormForCreate();
+  formWrapper.classList.remove("hidden");
+  titleInput.focus();
+}
+
+function openFormForEdit(ticket) {
+  clearTicketFormErrors();
+  fillTicketFormForEdit(ticket);
+  formWrapper.classList.remove("hidden");
+  titleInput.focus();
+}
+
+function closeForm() {
+  formWrapper.classList.add("hidden");
+  editingTicketId = null;
+  editingTicketBase = null;
+}
+
+// The form lives at #/tickets/new and #/tickets/:id/edit. Leaving it goes
+// back in history when we came from the list or a detail page, so
+// Back/Forward stay in step; from anywhere else (a pasted link, the board)
+// it lands on the list instead.
+function leaveTicketForm() {
+  const from = previousRoute;
+  if (
+    (from?.page === "tickets" && !from.form) ||
+    from?.page === "ticketDetail"
+  ) {
+    window.history.back();
+  } else {
+    window.location.replace("#/tickets");
+  }
+}
+
+// Locks the form while a create/update request is in flight
+function setTicketFormSaving(saving) {
+  ticketFormSaving = saving;
+  formEl.setAttribute("aria-busy", saving ? "true" : "false");
+  submitBtn.disabled = saving;
+  cancelBtn.disabled = saving;
+  renderTicketFormText();
+}
+
+// submit create/edit
+formEl.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (ticketFormSaving) return;
+  clearTicketFormErrors();
+
+  const titleVal = titleInput.value.trim();
+  const descVal = descInput.value.trim();
+  const formatVal = markdownCheckbox.checked ? "markdown" : "plain";
+  const statusVal = statusSelect.value;
+  const assigneeVal = assigneeSelect.value;
+  const priorityVal = prioritySelect.value;
+  const labelsVal = normalizeLabels(labelsInput.value);
+  const dueVal = dueInput.value;
+  const workflowVals = readWorkflowFieldValues();
+
+  if (!titleVal) {
+    titleErr.textContent = tr("validation.titleRequired");
+    return;
+  }
+  const move = validateStatusChange(
+    ticketFormFromStatus(),
+    statusVal,
+    workflowVals
+  );
+  if (!move.ok) {
+    showTicketServerErrors({ details: move.error.details });
+    return;
+  }
+  if (descVal.length > 500) {
+    descErr.textContent = tr("validation.maxChars", { max: 500 });
+    return;
+  }
+
+  setTicketFormSaving(true);
+  const result = editingTicketId
+    ? await updateTicketOrQueue({
+        id: editingTicketId,
+        title: titleVal,
+        description: descVal,
+        descriptionFormat: formatVal,
+        status: statusVal,
+        assignee: assigneeVal,
+        priority: priorityVal,
+        labels: labelsVal,
+        dueDate: dueVal,
+        expectedUpdatedAt: editingTicketBase?.updatedAt,
+        workflowFields: workflowVals,
+      })
+    : await createTicketOrQueue({
+        title: titleVal,
+        description: descVal,
+        descriptionFormat: formatVal,
+        status: statusVal,
+        assignee: assigneeVal,
+        priority: priorityVal,
+        labels: labelsVal,
+        dueDate: dueVal,
+        workflowFields: workflowVals,
+      });
+  // files live beside a ticket that exists (attachments are stored in this
+  // browser), so only a queued create has nowhere to put them yet
+  const queuedCreate = result.queued && !editingTicketId;
+  const attached =
+    result.ok && !queuedCreate
+      ? await saveFormAttachments(result.ticket?.id || editingTicketId)
+      : { ok: true };
+  setTicketFormSaving(false);
+
+  if (!result.ok) {
+    if (result.error.code === "CONFLICT") {
+      showTicketConflict(result.error.details.ticket);
+      return;
+    }
+    showTicketServerErrors(result.error);
+    return;
+  }
+  if (result.queued) {
+    const dropped = queuedCreate
+      ? pendingAttachments.length > 0 || removedAttachmentIds.size > 0
+      : !attached.ok;
+    toastAssertive(tr(dropped ? "form.queuedNoFiles" : "form.queued"));
+    scheduleOutboxFlush();
+  } else if (attached.ok) {
+    toastPolite(tr(editingTicketId ? "form.updated" : "form.created"));
+  } else {
+    toastAssertive(
+      tr("form.attachmentsFailed", { error: attached.error.message })
+    );
+  }
+  closeForm();
+
+  // the route change reloads the list / detail view
+  leaveTicketForm();
+});
+
+cancelBtn.addEventListener("click", () => {
+  closeForm();
+  leaveTicketForm();
+});
+
+// Someone saved the ticket after this form opened: list what they changed
+// and let the user either overwrite it or start again from their version.
+let conflictTicket = null; // their version, while the prompt is open
+
+function showTicketConflict(latest) {
+  conflictTicket = latest;
+  const changes = diffTicketFields(editingTicketBase, latest);
+  const when = formatDateTime(latest.updatedAt);
+  conflictMessage.textContent = latest.updatedBy
+    ? tr("form.conflictBy", { when, user: latest.updatedBy })
+    : tr("form.conflict", { when });
+  conflictFields.innerHTML = "";
+  Object.entries(changes).forEach(([field, change]) => {
+    const li = document.createElement("li");
+    const from = formatAuditValue(field, change.from);
+    const to = formatAuditValue(field, change.to);
+    li.textContent = `${auditFieldLabel(field)}: ${from} → ${to}`;
+    conflictFields.appendChild(li);
+  });
+  conflictBox.classList.remove("hidden");
+  conflictOverwriteBtn.focus();
+}
+
+conflictOverwriteBtn.addEventListener("click", () => {
+  const latest = conflictTicket;
+  if (!latest) return;
+  // saving against their version is a deliberate overwrite
+  editingTicketBase = latest;
+  conflictBox.classList.add("hidden");
+  formEl.requestSubmit();
+});
+
+conflictReloadBtn.addEventListener("click", () => {
+  const latest = conflictTicket;
+  if (!latest) return;
+  currentTickets = currentTickets.map((t) => (t.id === latest.id ? latest : t));
+  renderTicketsList();
+  clearTicketFormErrors();
+  fillTicketFormForEdit(latest);
+  titleInput.focus();
+  toastPolite(tr("form.reloaded"));
+});
+
+function showTicketServerErrors(err) {
+  if (err?.message) {
+    topFormError.classList.remove("hidden");
+    topFormError.textContent = err.message;
+  }
+  if (err?.details?.fields) {
+    if (err.details.fields.title) {
+      titleErr.textContent = err.details.fields.title;
+    }
+    if (err.details.fields.description) {
+      descErr.textContent = err.details.fields.description;
+    }
+    if (err.details.fields.status) {
+      statusErr.textContent = err.details.fields.status;
+    }
+    if (err.details.fields.assignee) {
+      assigneeErr.textContent = err.details.fields.assignee;
+    }
+    if (err.details.fields.priority) {
+      priorityErr.textContent = err.details.fields.priority;
+    }
+    if (err.details.fields.labels) {
+      labelsErr.textContent = err.details.fields.labels;
+    }
+    if (err.details.fields.dueDate) {
+      dueErr.textContent = err.details.fields.dueDate;
+    }
+    WORKFLOW_FIELDS.forEach((field) => {
+      const el = document.getElementById(`ticket-wf-${field}-error`);
+      if (el && err.details.fields[field]) {
+        el.textContent = err.details.fields[field];
+      }
+    });
+  }
+}
+
+/********************************************************
+ * Delete Modal Logic
+ ********************************************************/
+// The modal doubles as the confirmation for bulk actions and workflow
+// moves. `fields` (workflow field names) adds a required textarea each;
+// `onConfirm` gets their values once the modal has closed.
+function openConfirmModal({
+  title,
+  message,
+  note = "",
+  fields = [],
+  confirmLabel,
+  danger = true,
+  onConfirm,
+  onCancel = null,
+}) {
+  confirmModalAction = onConfirm;
+  confirmModalCancel = onCancel;
+  renderConfirmModalFields(fields);
+  modalTitle.textContent = title;
+  deleteName.textContent = message;
+  deleteRetentionNote.textContent = note;
+  deleteConfirmBtn.textContent = confirmLabel;
+  deleteConfirmBtn.classList.toggle("bg-red-700", danger);
+  deleteConfirmBtn.classList.toggle("hover:bg-red-800", danger);
+  deleteConfirmBtn.classList.toggle("bg-brand-600", !danger);
+  deleteConfirmBtn.classList.toggle("hover:bg-brand-700", !danger);
+  modalOverlay.classList.remove("hidden");
+  (confirmModalFields.querySelector("textarea") || deleteConfirmBtn).focus();
+}
+
+function renderConfirmModalFields(fields) {
+  confirmModalFields.innerHTML = "";
+  confirmModalFields.classList.toggle("hidden", fields.length === 0);
+  fields.forEach((field) => {
+    const wrap = document.createElement("div");
+    wrap.className = "space-y-1";
+    setHtml(
+      wrap,
+      safeHtml`
+      <label for="confirm-field-${field}" class="block text-sm font-medium text-text"></label>
+      <textarea id="confirm-field-${field}" rows="3" data-field="${field}"
+        aria-describedby="confirm-field-${field}-error"
+        class="w-full rounded-card border border-surface-border bg-white px-3 py-2 text-sm"></textarea>
+      <p id="confirm-field-${field}-error" class="text-sm text-danger-text"></p>
+    `
+    );
+    wrap.querySelector("label").textContent = workflowFieldLabel(field);
+    confirmModalFields.appendChild(wrap);
+  });
+}
+
+// Values of the modal's fields, or null (with errors shown) if one is empty
+function readConfirmModalFields() {
+  const values = {};
+  let firstEmpty = null;
+  confirmModalFields.querySelectorAll("textarea").forEach((input) => {
+    const field = input.dataset.field;
+    const error = document.getElementById(`confirm-field-${field}-error`);
+    values[field] = input.value.trim();
+    error.textContent = values[field]
+      ? ""
+      : tr("validation.required", { field: workflowFieldLabel(field) });
+    if (!values[field] && !firstEmpty) firstEmpty = input;
+  });
+  if (firstEmpty) {
+    firstEmpty.focus();
+    return null;
+  }
+  return values;
+}
+
+function trashRetentionNote(count) {
+  return tr("trash.retentionNote", { count, days: TRASH_RETENTION_DAYS });
+}
+
+function openDeleteModal(ticket) {
+  openConfirmModal({
+    title: tr("delete.title"),
+    message: tr("delete.message", { title: ticket.title }),
+    note: trashRetentionNote(1),
+    confirmLabel: tr("common.moveToTrash"),
+    onConfirm: () => deleteTicketFromList(ticket.id),
+  });
+}
+
+function closeDeleteModal() {
+  const cancel = confirmModalCancel;
+  modalOverlay.classList.add("hidden");
+  confirmModalAction = null;
+  confirmModalCancel = null;
+  if (cancel) cancel();
+}
+
+deleteCancelBtn.addEventListener("click", () => {
+  closeDeleteModal();
+});
+
+deleteConfirmBtn.addEventListener("click", () => {
+  const action = confirmModalAction;
+  if (!action) return;
+  const values = readConfirmModalFields();
+  if (!values) return;
+  confirmModalCancel = null; // confirmed, so closing isn't a cancel
+  closeDeleteModal();
+  action(values);
+});
+
+async function deleteTicketFromList(targetId) {
+  // optimistic update
+  const previous = [...currentTickets];
+  currentTickets = previous.filter((t) => t.id !== targetId);
+  renderTicketViews();
+
+  const result = await deleteTicketOrQueue(targetId);
+  if (!result.ok) {
+    // rollback
+    currentTickets = previous;
+    renderTicketViews();
+    toastAssertive(
+      result.error?.code === "FORBIDDEN"
+        ? result.error.message
+        : tr(MSG_DELETE_ERROR)
+    );
+  } else if (result.queued) {
+    toastPolite(tr("delete.queued"));
+    scheduleOutboxFlush();
+  } else if (result.discarded) {
+    toastPolite(tr("delete.discarded"));
+    scheduleOutboxFlush();
+  } else {
+    showUndoToast(tr("delete.done"), () => undoDelete([targetId]));
+  }
+}
+
+undoToastBtn.addEventListener("click", () => {
+  const action = undoToastAction;
+  hideUndoToast();
+  if (action) action();
+});
+
+// restores tickets that were just moved to the trash
+async function undoDelete(ids) {
+  const restored = [];
+  for (const id of ids) {
+    const result = await restoreTicket(id);
+    if (!result.ok) {
+      toastAssertive(result.error.message);
+      break;
+    }
+    restored.push(result.ticket);
+  }
+  if (!restored.length) return;
+  const restoredIds = new Set(restored.map((t) => t.id));
+  currentTickets = [
+    ...restored,
+    ...currentTickets.filter((t) => !restoredIds.has(t.id)),
+  ];
+  renderTicketViews();
+  toastPolite(tr("trash.restoredCount", { count: restored.length }));
+}
+
+// focus trap + ESC handling
+document.addEventListener("keydown", (e) => {
+  if (modalOverlay.classList.contains("hidden")) return;
+  if (e.key === "Escape") {
+    e.stopPropagation();
+    closeDeleteModal();
+  }
+});
+
+document.addEventListener("focusin", (e) => {
+  if (modalOverlay.classList.contains("hidden")) return;
+  if (!modalPanel.contains(e.target)) {
+    deleteConfirmBtn.focus();
+  }
+});
+
+/********************************************************
+ * Login / Signup handlers
+ ********************************************************/
+loginForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  loginEmailErr.textContent = "";
+  loginPwdErr.textContent = "";
+  loginTopError.classList.add("hidden");
+  loginTopError.textContent = "";
+
+  const emailVal = loginEmail.value.trim();
+  const pwdVal = loginPassword.value;
+
+  if (!emailVal) loginEmailErr.textContent = tr("auth.emailRequired");
+  if (!pwdVal) loginPwdErr.textContent = tr("auth.passwordRequired");
+  if (!emailVal || !pwdVal) return;
+
+  const result = await login({
+    email: emailVal,
+    password: pwdVal,
+    remember: loginRemember.checked,
+  });
+  if (!result.ok) {
+    loginTopError.classList.remove("hidden");
+    loginTopError.textContent = result.error.message || tr("auth.loginFailed");
+
+    if (result.error.details?.fields?.email) {
+      loginEmailErr.textContent = result.error.details.fields.email;
+    }
+    if (result.error.details?.fields?.password) {
+      loginPwdErr.textContent = result.error.details.fields.password;
+    }
+    return;
+  }
+
+  currentUser = result.user;
+  if (result.locale) setLocale(result.locale); // the redirect re-renders
+  toastPolite(tr("auth.loggedIn"));
+  window.location.hash = loginRedirectTarget();
+  syncStateFromStorageAndRoute();
+});
+
+signupForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  signupEmailErr.textContent = "";
+  signupPwdErr.textContent = "";
+  signupTopError.classList.add("hidden");
+  signupTopError.textContent = "";
+
+  const emailVal = signupEmail.value.trim();
+  const pwdVal = signupPassword.value;
+
+  if (!emailVal) signupEmailErr.textContent = tr("auth.emailRequired");
+  else if (!emailVal.includes("@"))
+    signupEmailErr.textContent = tr("auth.emailInvalid");
+
+  if (!pwdVal) signupPwdErr.textContent = tr("auth.passwordRequired");
+  else if (pwdVal.length < 6)
+    signupPwdErr.textContent = tr("auth.passwordMin", { min: 6 });
+
+  if (signupEmailErr.textContent || signupPwdErr.textContent) return;
+
+  const result = await signup({ email: emailVal, password: pwdVal });
+  if (!result.ok) {
+    signupTopError.classList.remove("hidden");
+    signupTopError.textContent =
+      result.error.message || tr("auth.signupFailedShort");
+
+    if (result.error.details?.fields?.email) {
+      signupEmailErr.textContent =
+        result.error.details.fields.email;
+    }
+    if (result.error.details?.fields?.password) {
+      signupPwdErr.textContent =
+        result.error.details.fields.password;
+    }
+    return;
+  }
+
+  currentUser = result.user;
+  toastPolite(tr("auth.accountCreated"));
+  window.location.hash = "/dashboard";
+  syncStateFromStorageAndRoute();
+});
+
+/********************************************************
+ * Ticket loading helpers
+ ********************************************************/
+let ticketsLoadController = null;
+
+// Aborts whatever tickets request is still in flight (route change, newer load).
+function cancelTicketsLoad() {
+  if (ticketsLoadController) ticketsLoadController.abort();
+  ticketsLoadController = null;
+}
+
+// Runs `request(signal)` and resolves to null when a newer load superseded
+// it, so a slow response can never overwrite fresher data.
+async function runLatest(request) {
+  cancelTicketsLoad();
+  const controller = new AbortController();
+  ticketsLoadController = controller;
+
+  const result = await request(controller.signal);
+  if (controller.signal.aborted) return null;
+  ticketsLoadController = null;
+
+  // unreadable data gets the recovery screen, not an empty page
+  if (result?.error?.code === "CORRUPT_DATA") {
+    showRecovery(result.error);
+    return null;
+  }
+  return result;
+}
+
+// Tickets with the user's queued writes already applied
+async function fetchLatestTickets() {
+  const result = await runLatest((signal) => fetchTickets({ signal }));
+  if (!result?.ok) return result;
+  return { ...result, tickets: applyOutbox(result.tickets) };
+}
+
+// Resolves true once the list is rendered. `quiet` keeps the current cards
+// on screen instead of the skeleton (e.g. when just closing the form).
+async function loadTicketsAndRenderForTicketsPage({ quiet = false } = {}) {
+  if (!quiet) renderTicketsSkeleton();
+  ticketsRetryBtn.disabled = true;
+  const result = await fetchLatestTickets();
+  if (!result) return false;
+  ticketsRetryBtn.disabled = false;
+  ticketsList.removeAttribute("aria-busy");
+
+  if (!result.ok) {
+    ticketsErrorWrap.classList.remove("hidden");
+    ticketsErrorText.textContent = tr(MSG_LOAD_ERROR);
+    ticketsEmpty.classList.add("hidden");
+    ticketsList.innerHTML = "";
+    return false;
+  }
+
+  currentTickets = result.tickets;
+  commentCounts = result.commentCounts || {};
+  renderTicketsList();
+  return true;
+}
+
+async function loadTicketsAndRenderForDashboard({ quiet = false } = {}) {
+  if (!quiet) renderDashboardSkeleton();
+  const result = await fetchLatestTickets();
+  if (!result) return;
+  dashStats.removeAttribute("aria-busy");
+
+  if (!result.ok) {
+    dashStats.innerHTML = "";
+    dashErr.classList.remove("hidden");
+    dashErr.textContent = tr(MSG_LOAD_ERROR);
+    toastAssertive(tr(MSG_LOAD_ERROR));
+    return;
+  }
+  dashErr.classList.add("hidden");
+  dashErr.textContent = "";
 
-const newTicketBtn = document.getElementById("btn-new-ticket");
-const formWrapper = document.getElementById("ticket-form-wrapper");
-const formEl = document.getElementById("ticket-form");
-const ticketIdInput = document.getElementById("ticket-id");
-const titleInput = document.getElementById("ticket-title");
-const descInput = document.getElementById("ticket-description");
-const statusSelect = document.getElementById("ticket-status");
+  currentTickets = result.tickets;
+  commentCounts = result.commentCounts || {};
+  renderDashboardStats();
+  renderDashboardAnalytics();
+  loadActivityAndRender();
+}
 
-const titleErr = document.getElementById("ticket-title-error");
-const descErr = document.getElementById("ticket-desc-error");
-const statusErr = document.getElementById("ticket-status-error");
+async function loadActivityAndRender() {
+  dashActivity.setAttribute("aria-busy", "true");
+  const result = await runLatest((signal) => fetchRecentActivity({ signal }));
+  if (!result) return;
+  dashActivity.removeAttribute("aria-busy");
 
-const topFormError = document.getElementById("ticket-form-top-error");
-const submitBtn = document.getElementById("ticket-submit");
-const cancelBtn = document.getElementById("ticket-cancel");
-const ticketFormTitle = document.getElementById("ticket-form-title");
-const ticketFormDesc = document.getElementById("ticket-form-desc");
+  if (!result.ok) {
+    dashActivity.innerHTML = "";
+    dashActivityEmpty.classList.add("hidden");
+    dashErr.classList.remove("hidden");
+    dashErr.textContent = result.error.message;
+    return;
+  }
+  renderRecentActivity(result.events);
+}
 
-// login/signup refs
-const loginForm = document.getElementById("login-form");
-const loginEmail = document.getElementById("login-email");
-const loginPassword = document.getElementById("login-password");
-const loginTopError = document.getElementById("login-top-error");
-const loginEmailErr = document.getElementById("login-email-error");
-const loginPwdErr = document.getElementById("login-password-error");
+async function loadTicketsAndRenderForBoard() {
+  boardError.classList.add("hidden");
+  boardColumns.setAttribute("aria-busy", "true");
+  const result = await fetchLatestTickets();
+  if (!result) return;
+  boardColumns.removeAttribute("aria-busy");
 
-const signupForm = document.getElementById("signup-form");
-const signupEmail = document.getElementById("signup-email");
-const signupPassword = document.getElementById("signup-password");
-const signupTopError = document.getElementById("signup-top-error");
-const signupEmailErr = document.getElementById("signup-email-error");
-const signupPwdErr = document.getElementById("signup-password-error");
+  if (!result.ok) {
+    boardError.classList.remove("hidden");
+    boardError.textContent = tr(MSG_LOAD_ERROR);
+    boardColumns.innerHTML = "";
+    return;
+  }
+  currentTickets = result.tickets;
+  commentCounts = result.commentCounts || {};
+  renderBoard();
+}
 
-// delete modal refs
-const modalOverlay = document.getElementById("delete-modal-overlay");
-const modalPanel = document.getElementById("delete-modal-panel");
-const deleteName = document.getElementById("delete-ticket-name");
-const deleteConfirmBtn = document.getElementById("delete-confirm-btn");
-const deleteCancelBtn = document.getElementById("delete-cancel-btn");
+async function loadTicketAndRenderDetail(id, { quiet = false } = {}) {
+  ticketDetailError.classList.add("hidden");
+  if (!quiet) ticketDetail.classList.add("hidden");
+  const result = await runLatest((signal) => fetchTicket(id, { signal }));
+  if (!result) return;
+
+  if (!result.ok && result.error.code !== "NOT_FOUND") {
+    ticketDetailError.classList.remove("hidden");
+    ticketDetailError.textContent = result.error.message;
+    return;
+  }
+  const ticket = applyOutbox(result.ok ? [result.ticket] : []).find(
+    (t) => t.id === id
+  );
+  if (!ticket) {
+    showNotFound(tr("notFound.ticketTitle"), tr("notFound.ticketMessage"));
+    return;
+  }
+  renderTicketDetail(ticket, { quiet });
+  // created offline: no history, comments or attachments until it syncs
+  if (!result.ok) return;
+  if (
+    (await loadHistoryAndRender(result.ticket)) &&
+    (await loadCommentsAndRender(result.ticket.id))
+  ) {
+    loadAttachmentsAndRender(result.ticket.id);
+  }
+}
+
+// Resolves false when a newer navigation superseded the request.
+async function loadHistoryAndRender(ticket) {
+  const result = await runLatest((signal) =>
+    fetchTicketHistory(ticket.id, { signal })
+  );
+  if (!result) return false;
+  if (result.ok) renderTicketHistory(ticket, result.events);
+  return true;
+}
+
+// Resolves false when a newer navigation superseded the request.
+async function loadCommentsAndRender(ticketId) {
+  ticketComments.setAttribute("aria-busy", "true");
+  const result = await runLatest((signal) =>
+    fetchComments(ticketId, { signal })
+  );
+  if (!result) return false;
+  ticketComments.removeAttribute("aria-busy");
+
+  if (!result.ok) {
+    ticketCommentsError.classList.remove("hidden");
+    ticketCommentsError.textContent = result.error.message;
+    return true;
+  }
+  currentComments = result.comments;
+  commentCounts[ticketId] = currentComments.length;
+  renderComments();
+  return true;
+}
+
+async function loadAttachmentsAndRender(ticketId) {
+  ticketAttachments.setAttribute("aria-busy", "true");
+  const result = await runLatest((signal) =>
+    fetchAttachments(ticketId, { signal })
+  );
+  if (!result) return;
+  ticketAttachments.removeAttribute("aria-busy");
+
+  if (!result.ok) {
+    resetAttachments();
+    ticketAttachmentsError.classList.remove("hidden");
+    ticketAttachmentsError.textContent = result.error.message;
+    return;
+  }
+  renderAttachments(result.attachments);
+}
+
+// retry button on tickets page: sends queued writes first
+ticketsRetryBtn.addEventListener("click", async () => {
+  ticketsRetryBtn.disabled = true;
+  await syncOutbox({ force: true, refresh: false });
+  loadTicketsAndRenderForTicketsPage();
+});
 
 /********************************************************
- * Navbar render
+ * New ticket button
  ********************************************************/
-function renderNavbar() {
-  if (!navAuthState) return;
-  navAuthState.innerHTML = "";
+newTicketBtn.addEventListener("click", () => {
+  window.location.hash = "/tickets/new";
+});
 
-  if (currentUser) {
-    navAuthState.innerHTML = `
-      <a href="#/dashboard" class="text-text-dim hover:text-text">Dashboard</a>
-      <a href="#/tickets" class="text-text-dim hover:text-text">Tickets</a>
-      <span class="hidden sm:inline text-text-dim">${currentUser.email}</span>
-      <button id="logout-btn"
-        class="rounded-pill bg-white px-3 py-1 text-xs font-medium text-text border border-surface-border hover:bg-surface-subtle">
-        Logout
-      </button>
-    `;
+/********************************************************
+ * Recovery screen (unreadable or un-migratable data)
+ ********************************************************/
+function showRecovery(error) {
+  const key = error.details?.key;
+  recoveryMessage.textContent = key
+    ? `${error.message} (${key})`
+    : error.message;
 
-    const logoutBtn = document.getElementById("logout-btn");
-    logoutBtn.addEventListener("click", () => {
-      logout();
-      currentUser = null;
-      toastPolite("Signed out.");
-      window.location.hash = "/"; // go home
-      syncStateFromStorageAndRoute();
-    });
+  const backup = readSchemaBackup();
+  recoveryRestoreBtn.classList.toggle("hidden", !backup);
+  recoveryBackupInfo.classList.toggle("hidden", !backup);
+  recoveryBackupInfo.textContent = backup
+    ? tr("recovery.backupInfo", {
+        when: formatDateTime(backup.createdAt),
+        version: backup.fromVersion || 0,
+      })
+    : "";
+  recoveryResetBtn.textContent = tr("recovery.reset");
+  delete recoveryResetBtn.dataset.armed;
+
+  showPage("recovery");
+  recoveryTitle.focus();
+}
+
+// Raw copies of every ticketapp_* localStorage entry, unparsed, so even
+// data that won't parse can be saved and repaired by hand. The other
+// backends have no raw form here, so each collection is dumped through
+// storage.list instead, with the error noted for any that can't be read.
+recoveryDownloadBtn.addEventListener("click", async () => {
+  const dump = { exportedAt: new Date().toISOString(), backend: storage.name };
+  if (storage.name === "local") {
+    dump.raw = {};
+    for (let i = 0; i < window.localStorage.length; i++) {
+      const key = window.localStorage.key(i);
+      if (key.startsWith("ticketapp_") && key !== LS_KEYS.SESSION) {
+        dump.raw[key] = window.localStorage.getItem(key);
+      }
+    }
   } else {
-    navAuthState.innerHTML = `
-      <a href="#/login" class="text-text-dim hover:text-text">Login</a>
-      <a href="#/signup"
-        class="rounded-pill bg-brand-600 px-4 py-2 text-white text-xs font-medium hover:bg-brand-700">
-        Get Started
-      </a>
-    `;
+    recoveryDownloadBtn.disabled = true;
+    dump.collections = {};
+    for (const collection of Object.values(COLLECTIONS)) {
+      try {
+        dump.collections[collection] = await storage.list(collection);
+      } catch (err) {
+        dump.collections[collection] = { error: err?.message || String(err) };
+      }
+    }
+    recoveryDownloadBtn.disabled = false;
   }
-}
+  downloadFile(
+    `ticketapp-data-${localDay(new Date())}.json`,
+    JSON.stringify(dump, null, 2),
+    "application/json"
+  );
+});
+
+recoveryRestoreBtn.addEventListener("click", async () => {
+  recoveryRestoreBtn.disabled = true;
+  const result = await restoreSchemaBackup();
+  recoveryRestoreBtn.disabled = false;
+  if (!result.ok) {
+    toastAssertive(result.error.message);
+    return;
+  }
+  window.location.reload();
+});
+
+// destructive, so the first click only arms the button
+recoveryResetBtn.addEventListener("click", async () => {
+  if (!recoveryResetBtn.dataset.armed) {
+    recoveryResetBtn.dataset.armed = "true";
+    recoveryResetBtn.textContent = tr("recovery.resetArmed");
+    toastAssertive(tr("recovery.resetWarning"));
+    return;
+  }
+  recoveryResetBtn.disabled = true;
+  const result = await resetUnreadableCollections();
+  recoveryResetBtn.disabled = false;
+  if (!result.ok) {
+    toastAssertive(result.error.message);
+    return;
+  }
+  window.location.reload();
+});
+
+recoveryRetryBtn.addEventListener("click", () => {
+  window.location.reload();
+});
 
 /********************************************************
- * Page helpers
+ * Admin: users page
  ********************************************************/
-function showPage(which) {
-  Object.keys(pages).forEach((key) => {
-    if (!pages[key]) return;
-    pages[key].classList.toggle("hidden", key !== which);
+function renderAdminUsers(users) {
+  adminUsersBody.innerHTML = "";
+  users.forEach((u) => {
+    const roleOptions = ROLES.map((r) => {
+      const selected = r === u.role && "selected";
+      const label = roleLabel(r);
+      return safeHtml`<option value="${r}" ${selected}>${label}</option>`;
+    });
+    const row = document.createElement("tr");
+    row.className = "border-b border-surface-border last:border-0";
+    const roleFor = tr("users.roleFor", { email: u.email });
+    setHtml(
+      row,
+      safeHtml`
+      <td class="px-4 py-3 break-all">${u.email}</td>
+      <td class="px-4 py-3">
+        <select class="rounded-card border border-surface-border bg-white px-3 py-1.5 text-sm"
+          aria-label="${roleFor}">
+          ${roleOptions}
+        </select>
+      </td>
+    `
+    );
+
+    const select = row.querySelector("select");
+    select.addEventListener("change", async () => {
+      const previous = u.role;
+      select.disabled = true;
+      const result = await updateUserRole({
+        email: u.email,
+        role: select.value,
+      });
+      select.disabled = false;
+      if (!result.ok) {
+        select.value = previous;
+        toastAssertive(result.error.message);
+        return;
+      }
+      u.role = result.user.role;
+      if (sameEmail(u.email, currentUser?.email)) {
+        setSessionRole(u.role);
+        syncStateFromStorageAndRoute();
+      }
+      const role = roleLabel(u.role);
+      toastPolite(tr("users.roleChanged", { email: u.email, role }));
+    });
+
+    adminUsersBody.appendChild(row);
   });
 }
 
-// Tickets list render
-function renderTicketsList() {
-  ticketsErrorWrap.classList.add("hidden");
-  ticketsEmpty.classList.add("hidden");
-  ticketsList.innerHTML = "";
-
-  if (!currentTickets || currentTickets.length === 0) {
-    ticketsEmpty.classList.remove("hidden");
+async function loadUsersAndRenderForAdminPage() {
+  adminUsersError.classList.add("hidden");
+  const result = await fetchUsers();
+  if (!result.ok) {
+    adminUsersError.classList.remove("hidden");
+    adminUsersError.textContent = result.error.message;
+    adminUsersBody.innerHTML = "";
     return;
   }
+  renderAdminUsers(result.users);
+}
 
-  currentTickets.forEach((t) => {
-    const created = t.createdAt
-      ? new Date(t.createdAt).toLocaleDateString(undefined, {
-          year: "numeric",
-          month: "short",
-          day: "numeric",
-        })
-      : "–";
-
-    const badgeClass =
-      t.status === "open"
-        ? "badge badge-open"
-        : t.status === "in_progress"
-        ? "badge badge-in_progress"
-        : "badge badge-closed";
-
-    const card = document.createElement("article");
-    card.className = "ticket-card";
-    card.setAttribute("tabindex", "0");
-    card.setAttribute("aria-label", `Ticket: ${t.title}`);
-
-    card.innerHTML = `
-      <div class="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
-        <div class="flex-1 min-w-0">
-          <h2 class="text-sm font-semibold text-text break-words">${t.title || "Untitled ticket"}</h2>
-          <p class="text-[12px] leading-[16px] text-text-dim">Created ${created}</p>
+/********************************************************
+ * Trash page
+ ********************************************************/
+function formatPurgeCountdown(t) {
+  const days = Math.ceil((trashPurgeAt(t) - Date.now()) / DAY_MS);
+  if (days <= 0) return tr("trash.purgeToday");
+  const rtf = new Intl.RelativeTimeFormat(currentLocale, { numeric: "always" });
+  return rtf.format(days, "day");
+}
+
+function renderTrash(tickets) {
+  trashHelp.textContent = tr("trash.help", { days: TRASH_RETENTION_DAYS });
+  trashEmpty.classList.toggle("hidden", tickets.length > 0);
+  trashTable.classList.toggle("hidden", tickets.length === 0);
+  trashBody.innerHTML = "";
+  tickets.forEach((t) => {
+    const deletedAt = formatDateTime(t.deletedAt);
+    const row = document.createElement("tr");
+    row.className = "border-b border-surface-border last:border-0";
+    row.dataset.id = t.id;
+    setHtml(
+      row,
+      safeHtml`
+      <td class="px-4 py-3 font-medium break-words" data-field="title"></td>
+      <td class="px-4 py-3 text-text-dim">
+        <span class="break-all" data-field="deleted-by"></span>
+        <span class="block text-[12px] leading-[16px]">${deletedAt}</span>
+      </td>
+      <td class="px-4 py-3 text-text-dim">${formatPurgeCountdown(t)}</td>
+      <td class="px-4 py-3">
+        <div class="flex flex-wrap justify-end gap-2">
+          <button type="button" data-action="restore"
+            class="rounded-pill border border-surface-border bg-white px-3 py-1 text-xs font-medium text-text hover:bg-surface-subtle">
+            ${tr("trash.restore")}
+          </button>
+          <button type="button" data-action="purge"
+            class="rounded-pill bg-red-700 px-3 py-1 text-xs font-medium text-white hover:bg-red-800">
+            ${tr("trash.purge")}
+          </button>
         </div>
-        <span class="${badgeClass}">${t.status}</span>
-      </div>
+      </td>
+    `
+    );
+    row.querySelector('[data-field="title"]').textContent = t.title;
+    row.querySelector('[data-field="deleted-by"]').textContent =
+      t.deletedBy || tr("trash.unknownUser");
+    trashBody.appendChild(row);
+  });
+}
 
-      <p class="text-sm text-text-dim max-h-[3.75rem] overflow-hidden text-ellipsis break-words">
-        ${t.description || "No description provided."}
-      </p>
+trashBody.addEventListener("click", async (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const id = btn.closest("tr").dataset.id;
 
-      <div class="flex flex-wrap gap-3">
-        <button
-          class="rounded-pill border border-surface-border bg-white px-3 py-1.5 text-[13px] leading-[16px] font-medium text-text hover:bg-surface-subtle"
-          data-action="view"
-          data-id="${t.id}"
-          aria-label="View ticket ${t.title}"
-          title="View"
-        >
-          View
-        </button>
-
-        <button
-          class="rounded-pill bg-brand-600 px-3 py-1.5 text-[13px] leading-[16px] font-medium text-white hover:bg-brand-700"
-          data-action="edit"
-          data-id="${t.id}"
-          aria-label="Edit ticket ${t.title}"
-          title="Edit"
-        >
-          Edit
-        </button>
-
-        <button
-          class="rounded-pill bg-red-700 px-3 py-1.5 text-[13px] leading-[16px] font-medium text-white hover:bg-red-800"
-          data-action="delete"
-          data-id="${t.id}"
-          aria-label="Delete ticket ${t.title}"
-          title="Delete"
-        >
-          Delete
-        </button>
-      </div>
-    `;
+  // "Delete forever" needs a second click, like the recovery reset
+  if (btn.dataset.action === "purge" && !btn.dataset.armed) {
+    btn.dataset.armed = "true";
+    btn.textContent = tr("trash.purgeArmed");
+    return;
+  }
+
+  btn.disabled = true;
+  const result =
+    btn.dataset.action === "restore"
+      ? await restoreTicket(id)
+      : await purgeTicket(id);
+  if (!result.ok) {
+    btn.disabled = false;
+    toastAssertive(result.error.message);
+    return;
+  }
+  toastPolite(
+    tr(btn.dataset.action === "restore" ? "trash.restored" : "trash.purged")
+  );
+  loadTrashAndRender();
+});
+
+async function loadTrashAndRender() {
+  trashError.classList.add("hidden");
+  const result = await fetchTrash();
+  if (!result.ok) {
+    trashError.classList.remove("hidden");
+    trashError.textContent = result.error.message;
+    trashBody.innerHTML = "";
+    return;
+  }
+  renderTrash(result.tickets);
+}
 
-    card.addEventListener("click", (e) => {
-      const btn = e.target.closest("button[data-action]");
-      if (!btn) return;
+/********************************************************
+ * Router
+ ********************************************************/
+// Routes are matched in order; `:name` segments become route.params.
+// `auth` pages need a session, `permission` pages a role that has it.
+const ROUTES = [
+  { pattern: "/", page: "landing" },
+  { pattern: "/login", page: "login" },
+  { pattern: "/signup", page: "signup" },
+  { pattern: "/dashboard", page: "dashboard", auth: true },
+  { pattern: "/tickets", page: "tickets", auth: true },
+  { pattern: "/tickets/new", page: "tickets", form: "create", auth: true },
+  { pattern: "/tickets/:id", page: "ticketDetail", auth: true },
+  { pattern: "/tickets/:id/edit", page: "tickets", form: "edit", auth: true },
+  { pattern: "/board", page: "board", auth: true },
+  { pattern: "/trash", page: "trash", auth: true, permission: "ticket:delete" },
+  {
+    pattern: "/admin/users",
+    page: "adminUsers",
+    auth: true,
+    permission: "users:manage",
+  },
+];
 
-      const action = btn.getAttribute("data-action");
-      const id = btn.getAttribute("data-id");
-      const ticketObj = currentTickets.find((x) => x.id === id);
-      if (!ticketObj) return;
+function matchPattern(pattern, path) {
+  const want = pattern.split("/").filter(Boolean);
+  const got = path.split("/").filter(Boolean);
+  if (want.length !== got.length) return null;
 
-      if (action === "edit" || action === "view") {
-        openFormForEdit(ticketObj, action === "view");
-      } else if (action === "delete") {
-        openDeleteModal(ticketObj);
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    if (want[i].startsWith(":")) {
+      try {
+        params[want[i].slice(1)] = decodeURIComponent(got[i]);
+      } catch {
+        return null;
       }
-    });
+    } else if (want[i] !== got[i]) {
+      return null;
+    }
+  }
+  return params;
+}
 
-    ticketsList.appendChild(card);
-  });
+// -> { page, params, query, path, ...route flags }; unknown paths 404
+function parseRoute() {
+  const hash = window.location.hash.replace(/^#/, "");
+  const [rawPath, rawQuery = ""] = hash.split("?");
+  const path = "/" + rawPath.split("/").filter(Boolean).join("/");
+  const query = new URLSearchParams(rawQuery);
+
+  for (const route of ROUTES) {
+    const params = matchPattern(route.pattern, path);
+    if (params) return { ...route, params, query, path };
+  }
+  return { page: "notFound", params: {}, query, path };
 }
 
-// Dashboard stats
-function renderDashboardStats() {
-  dashStats.innerHTML = "";
+function routeGuarded(route) {
+  if (route.auth && !currentUser) {
+    toastAssertive(
+      tr(
+        sessionWasUnreadable ? "errors.sessionUnreadable" : MSG_SESSION_EXPIRED
+      )
+    );
+    sessionWasUnreadable = false;
+    // remember where the user was headed so login can send them back
+    const requested = window.location.hash.replace(/^#/, "");
+    window.location.replace(
+      `#/login?next=${encodeURIComponent(requested)}`
+    );
+    return { page: "login", params: {}, query: new URLSearchParams() };
+  }
+  if (route.permission && !hasPermission(currentUser, route.permission)) {
+    toastAssertive(tr("errors.noAccess"));
+    window.location.replace("#/dashboard");
+    return { page: "dashboard", params: {}, query: new URLSearchParams() };
+  }
+  return route;
+}
 
-  let open = 0,
-    inProg = 0,
-    closed = 0;
-  for (const t of currentTickets) {
-    if (t.status === "open") open++;
-    else if (t.status === "in_progress") inProg++;
-    else if (t.status === "closed") closed++;
+// where to go after a successful login: the `next` page, if it's ours
+function loginRedirectTarget() {
+  const next = parseRoute().query.get("next");
+  if (!next || !next.startsWith("/") || next.startsWith("//")) {
+    return "/dashboard";
   }
-  const total = currentTickets.length;
+  if (/^\/(login|signup)?(\?|$)/.test(next)) return "/dashboard";
+  return next;
+}
 
-  const statCard = (label, value, hint) => `
-    <div class="card p-4">
-      <p class="text-sm text-text-dim">${label}</p>
-      <p class="text-2xl font-semibold text-text">${value}</p>
-      <p class="text-[12px] leading-[16px] text-text-dim">${hint}</p>
-    </div>
-  `;
+function syncStateFromStorage() {
+  const s = getSession();
+  currentUser = s ? { email: s.email, role: s.role } : null;
+  renderNavbar();
+  scheduleOutboxFlush();
 
-  dashStats.insertAdjacentHTML(
-    "beforeend",
-    statCard("Open", open, "Needs attention")
-  );
-  dashStats.insertAdjacentHTML(
-    "beforeend",
-    statCard("In Progress", inProg, "Being worked on")
-  );
-  dashStats.insertAdjacentHTML(
-    "beforeend",
-    statCard("Closed", closed, "Resolved")
-  );
-  dashStats.insertAdjacentHTML(
-    "beforeend",
-    statCard("Total", total, "All tickets")
-  );
+  const fy = document.getElementById("footer-year");
+  if (fy) fy.textContent = new Date().getFullYear();
+}
+
+function syncStateFromStorageAndRoute() {
+  syncStateFromStorage();
+  cancelTicketsLoad();
+
+  closeForm();
+  closeDeleteModal();
+
+  const route = routeGuarded(parseRoute());
+  const stayingOnTickets = currentRoute?.page === "tickets";
+  previousRoute = currentRoute;
+  currentRoute = route;
+  showPage(route.page);
+
+  if (route.page === "dashboard") {
+    loadTicketsAndRenderForDashboard();
+  } else if (route.page === "tickets") {
+    // the form routes keep whatever filters the list had
+    if (!route.form || !ticketQuery) {
+      ticketQuery = readTicketQuery(
+        route.form ? new URLSearchParams() : route.query
+      );
+      renderTicketsToolbar();
+    }
+    renderTicketsHeaderActions();
+    if (!stayingOnTickets) selectedTicketIds.clear();
+    loadTicketsAndRenderForTicketsPage({ quiet: stayingOnTickets }).then(
+      (loaded) => {
+        if (loaded && currentRoute === route) openFormForRoute(route);
+      }
+    );
+  } else if (route.page === "board") {
+    loadTicketsAndRenderForBoard();
+  } else if (route.page === "ticketDetail") {
+    loadTicketAndRenderDetail(route.params.id);
+  } else if (route.page === "trash") {
+    loadTrashAndRender();
+  } else if (route.page === "adminUsers") {
+    loadUsersAndRenderForAdminPage();
+  } else if (route.page === "notFound") {
+    showNotFound();
+  }
+}
+
+// #/tickets/new and #/tickets/:id/edit open the form over the list
+function openFormForRoute(route) {
+  if (route.form === "create") {
+    openFormForCreate();
+  } else if (route.form === "edit") {
+    const ticket = currentTickets.find((t) => t.id === route.params.id);
+    if (!ticket || !canEditTicket(ticket, currentUser)) {
+      showNotFound(tr("notFound.ticketTitle"), tr("notFound.editMessage"));
+      return;
+    }
+    openFormForEdit(ticket);
+  }
 }
 
 /********************************************************
- * Ticket Form logic
+ * Keyboard shortcuts
  ********************************************************/
-function clearTicketFormErrors() {
-  titleErr.textContent = "";
-  descErr.textContent = "";
-  statusErr.textContent = "";
-  topFormError.classList.add("hidden");
-  topFormError.textContent = "";
+// Single keys work anywhere except while typing in a field or with a
+// dialog open; "g" starts a two-key "go to" sequence.
+const SHORTCUT_SEQUENCE_MS = 1500;
+const GO_SHORTCUTS = { d: "/dashboard", t: "/tickets", b: "/board" };
+
+// what the "?" overlay lists
+const SHORTCUTS = [
+  { keys: ["c"], labelKey: "shortcuts.newTicket" },
+  { keys: ["/"], labelKey: "shortcuts.search" },
+  { keys: ["j", "k"], labelKey: "shortcuts.nextPrev" },
+  { keys: ["e"], labelKey: "shortcuts.edit" },
+  { keys: ["#"], labelKey: "shortcuts.delete" },
+  { keys: ["g d"], labelKey: "shortcuts.goDashboard" },
+  { keys: ["g t"], labelKey: "shortcuts.goTickets" },
+  { keys: ["g b"], labelKey: "shortcuts.goBoard" },
+  { keys: ["Ctrl K", "⌘ K"], labelKey: "shortcuts.palette" },
+  { keys: ["?"], labelKey: "shortcuts.help" },
+  { keys: ["Esc"], labelKey: "shortcuts.close" },
+];
+
+let shortcutPrefix = null; // "g" while waiting for the second key
+let shortcutPrefixTimer = null;
+let shortcutsReturnFocus = null;
+
+function isTypingTarget(el) {
+  if (!(el instanceof Element)) return false;
+  if (el.isContentEditable || el.matches("textarea, select")) return true;
+  const keyless = ["checkbox", "radio", "button", "submit", "reset"];
+  return el.matches("input") && !keyless.includes(el.type);
 }
 
-function fillTicketFormForCreate() {
-  editingTicketId = null;
-  ticketIdInput.value = "";
-  titleInput.value = "";
-  descInput.value = "";
-  statusSelect.value = "open";
-  ticketFormTitle.textContent = "New ticket";
-  ticketFormDesc.textContent = "Describe the issue so it can be resolved.";
-  submitBtn.textContent = "Create ticket";
-  submitBtn.disabled = false;
+function isDialogOpen() {
+  return [modalOverlay, shortcutsOverlay, paletteOverlay].some(
+    (overlay) => !overlay.classList.contains("hidden")
+  );
 }
 
-function fillTicketFormForEdit(ticket, readOnly = false) {
-  editingTicketId = ticket.id;
-  ticketIdInput.value = ticket.id;
-  titleInput.value = ticket.title || "";
-  descInput.value = ticket.description || "";
-  statusSelect.value = ticket.status || "open";
+function clearShortcutPrefix() {
+  clearTimeout(shortcutPrefixTimer);
+  shortcutPrefix = null;
+}
 
-  ticketFormTitle.textContent = readOnly ? "View ticket" : "Edit ticket";
-  ticketFormDesc.textContent = readOnly
-    ? "Ticket details (read-only)."
-    : "Update the details and status.";
+function focusedTicketCard() {
+  return document.activeElement?.closest?.(".ticket-card") || null;
+}
 
-  submitBtn.textContent = readOnly ? "Close" : "Save changes";
-  submitBtn.disabled = !!readOnly;
+// Moves focus `step` cards along the current page (list or board); with no
+// card focused, j starts at the first card and k at the last.
+function moveCardFocus(step) {
+  const page = pages[currentRoute?.page];
+  const cards = page ? [...page.querySelectorAll(".ticket-card")] : [];
+  if (!cards.length) return;
+  const current = cards.indexOf(focusedTicketCard());
+  const next =
+    current === -1
+      ? step > 0
+        ? 0
+        : cards.length - 1
+      : Math.min(cards.length - 1, Math.max(0, current + step));
+  cards[next].focus();
+  cards[next].scrollIntoView?.({ block: "nearest" });
 }
 
-function openFormForCreate() {
-  clearTicketFormErrors();
-  fillTicketFormForCreate();
-  formWrapper.classList.remove("hidden");
-  titleInput.focus();
+function newTicketShortcut() {
+  if (!hasPermission(currentUser, "ticket:create")) return;
+  window.location.hash = "/tickets/new"; // the route opens openFormForCreate()
+}
+
+function focusTicketSearch() {
+  if (currentRoute?.page === "tickets" && !currentRoute.form) {
+    ticketsSearch.focus();
+    ticketsSearch.select();
+    return;
+  }
+  window.addEventListener("hashchange", () => ticketsSearch.focus(), {
+    once: true,
+  });
+  window.location.hash = "/tickets";
 }
 
-function openFormForEdit(ticket, readOnly = false) {
-  clearTicketFormErrors();
-  fillTicketFormForEdit(ticket, readOnly);
-  formWrapper.classList.remove("hidden");
-  if (!readOnly) titleInput.focus();
+// the card's own buttons, so role checks and the delete modal still apply
+function editFocusedTicket() {
+  if (currentRoute?.page === "ticketDetail") {
+    const editable = !ticketDetailEdit.classList.contains("hidden");
+    if (editable) ticketDetailEdit.click();
+    return;
+  }
+  focusedTicketCard()?.querySelector('[data-action="edit"]')?.click();
 }
 
-function closeForm() {
-  formWrapper.classList.add("hidden");
-  editingTicketId = null;
+function deleteFocusedTicket() {
+  focusedTicketCard()?.querySelector('[data-action="delete"]')?.click();
 }
 
-// submit create/edit
-formEl.addEventListener("submit", (e) => {
-  e.preventDefault();
-  clearTicketFormErrors();
+const SHORTCUT_ACTIONS = {
+  c: newTicketShortcut,
+  "/": focusTicketSearch,
+  j: () => moveCardFocus(1),
+  k: () => moveCardFocus(-1),
+  e: editFocusedTicket,
+  "#": deleteFocusedTicket,
+};
 
-  const titleVal = titleInput.value.trim();
-  const descVal = descInput.value.trim();
-  const statusVal = statusSelect.value;
+document.addEventListener("keydown", (e) => {
+  const mod = e.ctrlKey || e.metaKey;
+  if (mod && !e.altKey && e.key.toLowerCase() === "k") {
+    if (!modalOverlay.classList.contains("hidden")) return;
+    e.preventDefault();
+    if (paletteOverlay.classList.contains("hidden")) {
+      closeShortcutsHelp();
+      openPalette();
+    } else {
+      closePalette();
+    }
+    return;
+  }
+  if (e.defaultPrevented || mod || e.altKey) return;
+  if (isDialogOpen() || isTypingTarget(e.target)) return;
 
-  if (!titleVal) {
-    titleErr.textContent = "Title is required.";
+  if (shortcutPrefix === "g") {
+    clearShortcutPrefix();
+    const path = GO_SHORTCUTS[e.key];
+    if (path && currentUser) {
+      e.preventDefault();
+      window.location.hash = path;
+    }
     return;
   }
-  if (!ALLOWED_STATUS.includes(statusVal)) {
-    statusErr.textContent =
-      "Status must be open, in_progress, or closed.";
+  if (e.key === "?") {
+    e.preventDefault();
+    openShortcutsHelp();
     return;
   }
-  if (descVal.length > 500) {
-    descErr.textContent = "Max 500 characters allowed.";
+  if (!currentUser) return;
+  if (e.key === "g") {
+    shortcutPrefix = "g";
+    shortcutPrefixTimer = setTimeout(clearShortcutPrefix, SHORTCUT_SEQUENCE_MS);
     return;
   }
-
-  if (editingTicketId) {
-    const updated = updateTicket({
-      id: editingTicketId,
-      title: titleVal,
-      description: descVal,
-      status: statusVal,
-    });
-    if (!updated.ok) {
-      showTicketServerErrors(updated.error);
-      return;
-    }
-    toastPolite("Ticket updated.");
-  } else {
-    const created = createTicket({
-      title: titleVal,
-      description: descVal,
-      status: statusVal,
-    });
-    if (!created.ok) {
-      showTicketServerErrors(created.error);
-      return;
-    }
-    toastPolite("Ticket created.");
+  const action = SHORTCUT_ACTIONS[e.key];
+  if (action) {
+    e.preventDefault();
+    action();
   }
+});
 
-  // refresh dashboard + list
-  const res = fetchTickets();
-  if (res.ok) {
-    currentTickets = res.tickets;
-  }
-  renderTicketsList();
-  renderDashboardStats();
+function renderShortcutsHelp() {
+  setHtml(
+    shortcutsList,
+    safeHtml`${SHORTCUTS.map(({ keys, labelKey }) => {
+      const label = tr(labelKey);
+      const kbds = keys.map(
+        (k) =>
+          safeHtml`<kbd class="rounded border border-surface-border bg-surface-subtle px-1.5 py-0.5 font-mono text-[12px]">${k}</kbd>`
+      );
+      return safeHtml`<dt class="flex gap-1">${kbds}</dt><dd class="text-text-dim">${label}</dd>`;
+    })}`
+  );
+}
 
-  closeForm();
-});
+function openShortcutsHelp() {
+  shortcutsReturnFocus = document.activeElement;
+  shortcutsOverlay.classList.remove("hidden");
+  shortcutsCloseBtn.focus();
+}
 
-cancelBtn.addEventListener("click", () => {
-  closeForm();
+function closeShortcutsHelp() {
+  if (shortcutsOverlay.classList.contains("hidden")) return;
+  shortcutsOverlay.classList.add("hidden");
+  shortcutsReturnFocus?.focus?.();
+  shortcutsReturnFocus = null;
+}
+
+shortcutsCloseBtn.addEventListener("click", closeShortcutsHelp);
+shortcutsOverlay.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") {
+    e.stopPropagation();
+    closeShortcutsHelp();
+  }
+});
+shortcutsOverlay.addEventListener("mousedown", (e) => {
+  if (e.target === shortcutsOverlay) closeShortcutsHelp();
+});
+document.addEventListener("focusin", (e) => {
+  if (shortcutsOverlay.classList.contains("hidden")) return;
+  if (!shortcutsPanel.contains(e.target)) shortcutsCloseBtn.focus();
 });
 
-function showTicketServerErrors(err) {
-  if (err?.message) {
-    topFormError.classList.remove("hidden");
-    topFormError.textContent = err.message;
+renderShortcutsHelp();
+
+/********************************************************
+ * Command palette
+ ********************************************************/
+// Ctrl/Cmd+K: fuzzy search over app actions and the user's ticket titles.
+const PALETTE_MAX_RESULTS = 20;
+
+let paletteTickets = [];
+let paletteResults = [];
+let paletteActive = 0;
+let paletteReturnFocus = null;
+
+// Matches the characters of `query` in order anywhere in `text`. Runs of
+// consecutive characters and word starts score higher; null when some
+// character is missing. `indices` are the matched positions in `text`.
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  const t = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return null;
+    const prev = indices[indices.length - 1];
+    score += 1;
+    if (prev !== undefined && at === prev + 1) score += 2;
+    if (at === 0 || !/[\p{L}\p{N}]/u.test(t[at - 1])) score += 3;
+    if (prev !== undefined) score -= Math.min(at - prev - 1, 3) * 0.5;
+    indices.push(at);
+    from = at + 1;
   }
-  if (err?.details?.fields) {
-    if (err.details.fields.title) {
-      titleErr.textContent = err.details.fields.title;
+  return { score, indices };
+}
+
+// `text` with the characters at `indices` wrapped in <mark>
+function highlightMatch(text, indices) {
+  const marked = new Set(indices);
+  const parts = [];
+  let i = 0;
+  while (i < text.length) {
+    const on = marked.has(i);
+    let j = i;
+    while (j < text.length && marked.has(j) === on) j++;
+    const chunk = text.slice(i, j);
+    parts.push(
+      on
+        ? safeHtml`<mark class="bg-transparent font-semibold text-brand-700">${chunk}</mark>`
+        : chunk
+    );
+    i = j;
+  }
+  return parts;
+}
+
+function goTo(path) {
+  return () => {
+    window.location.hash = path;
+  };
+}
+
+function paletteCommands() {
+  const commands = [];
+  const add = (key, hint, run) => commands.push({ label: tr(key), hint, run });
+  if (currentUser) {
+    if (hasPermission(currentUser, "ticket:create")) {
+      add("shortcuts.newTicket", "c", newTicketShortcut);
     }
-    if (err.details.fields.description) {
-      descErr.textContent = err.details.fields.description;
+    add("shortcuts.search", "/", focusTicketSearch);
+    add("shortcuts.goDashboard", "g d", goTo("/dashboard"));
+    add("shortcuts.goTickets", "g t", goTo("/tickets"));
+    add("shortcuts.goBoard", "g b", goTo("/board"));
+    if (hasPermission(currentUser, "ticket:delete")) {
+      add("palette.trash", "", goTo("/trash"));
     }
-    if (err.details.fields.status) {
-      statusErr.textContent = err.details.fields.status;
+    if (hasPermission(currentUser, "users:manage")) {
+      add("palette.users", "", goTo("/admin/users"));
     }
+    add("palette.logout", "", () =>
+      document.getElementById("logout-btn")?.click()
+    );
+  } else {
+    add("palette.login", "", goTo("/login"));
+    add("palette.signup", "", goTo("/signup"));
   }
+  add("palette.shortcuts", "?", openShortcutsHelp);
+
+  const tickets = paletteTickets.map((t) => ({
+    label: t.title || tr("ticket.untitled"),
+    hint: statusLabel(t.status),
+    ticket: true,
+    run: goTo(`/tickets/${encodeURIComponent(t.id)}`),
+  }));
+  return [...commands, ...tickets];
 }
 
-/********************************************************
- * Delete Modal Logic
- ********************************************************/
-function openDeleteModal(ticket) {
-  deleteTargetId = ticket.id;
-  deleteName.textContent = `“${ticket.title}” will be permanently removed.`;
-  modalOverlay.classList.remove("hidden");
-  deleteConfirmBtn.focus();
+// Best matches first; an empty query lists everything in its usual order.
+function filterPaletteItems(items, query) {
+  if (!query.trim()) {
+    return items
+      .slice(0, PALETTE_MAX_RESULTS)
+      .map((item) => ({ item, indices: [] }));
+  }
+  return items
+    .map((item) => ({ item, match: fuzzyMatch(query, item.label) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, PALETTE_MAX_RESULTS)
+    .map(({ item, match }) => ({ item, indices: match.indices }));
 }
 
-function closeDeleteModal() {
-  modalOverlay.classList.add("hidden");
-  deleteTargetId = null;
+function renderPalette() {
+  paletteResults = filterPaletteItems(paletteCommands(), paletteInput.value);
+  const ticketKind = tr("palette.ticket");
+  paletteActive = Math.min(
+    paletteActive,
+    Math.max(0, paletteResults.length - 1)
+  );
+  setHtml(
+    paletteList,
+    safeHtml`${paletteResults.map(({ item, indices }, i) => {
+      const active = i === paletteActive;
+      const tone = active ? "bg-brand-50" : "";
+      const kind =
+        item.ticket &&
+        safeHtml`<span class="text-[12px] text-text-dim">${ticketKind} ·</span>`;
+      const label = highlightMatch(item.label, indices);
+      return safeHtml`
+      <li id="palette-option-${i}" role="option" aria-selected="${active}" data-index="${i}"
+        class="flex cursor-pointer items-center justify-between gap-4 px-4 py-2 ${tone}">
+        <span class="min-w-0 truncate">${kind} ${label}</span>
+        <span class="shrink-0 text-[12px] text-text-dim">${item.hint}</span>
+      </li>`;
+    })}`
+  );
+  paletteEmpty.classList.toggle("hidden", paletteResults.length > 0);
+  if (paletteResults.length) {
+    paletteInput.setAttribute(
+      "aria-activedescendant",
+      `palette-option-${paletteActive}`
+    );
+    document
+      .getElementById(`palette-option-${paletteActive}`)
+      .scrollIntoView?.({ block: "nearest" });
+  } else {
+    paletteInput.removeAttribute("aria-activedescendant");
+  }
 }
 
-deleteCancelBtn.addEventListener("click", () => {
-  closeDeleteModal();
-});
+async function openPalette() {
+  paletteReturnFocus = document.activeElement;
+  paletteInput.value = "";
+  paletteActive = 0;
+  paletteTickets = currentUser ? currentTickets : [];
+  paletteOverlay.classList.remove("hidden");
+  renderPalette();
+  paletteInput.focus();
 
-deleteConfirmBtn.addEventListener("click", () => {
-  if (!deleteTargetId) return;
+  // the current page may not have loaded tickets; fetch them quietly
+  if (!currentUser) return;
+  const result = await fetchTickets();
+  if (!result.ok || paletteOverlay.classList.contains("hidden")) return;
+  paletteTickets = applyOutbox(result.tickets);
+  renderPalette();
+}
 
-  // optimistic update
-  const previous = [...currentTickets];
-  currentTickets = previous.filter((t) => t.id !== deleteTargetId);
-  renderTicketsList();
-  renderDashboardStats();
-  closeDeleteModal();
+function closePalette({ restoreFocus = true } = {}) {
+  paletteOverlay.classList.add("hidden");
+  if (restoreFocus) paletteReturnFocus?.focus?.();
+  paletteReturnFocus = null;
+}
 
-  const result = deleteTicket(deleteTargetId);
-  if (!result.ok) {
-    // rollback
-    currentTickets = previous;
-    renderTicketsList();
-    renderDashboardStats();
-    toastAssertive(MSG_DELETE_ERROR);
-  } else {
-    toastPolite("Ticket deleted.");
-  }
+function runPaletteItem(index) {
+  const result = paletteResults[index];
+  if (!result) return;
+  closePalette({ restoreFocus: false });
+  result.item.run();
+}
+
+paletteInput.addEventListener("input", () => {
+  paletteActive = 0;
+  renderPalette();
 });
 
-// focus trap + ESC handling
-document.addEventListener("keydown", (e) => {
-  if (modalOverlay.classList.contains("hidden")) return;
-  if (e.key === "Escape") {
-    e.stopPropagation();
-    closeDeleteModal();
+paletteInput.addEventListener("keydown", (e) => {
+  const count = paletteResults.length;
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (!count) return;
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    paletteActive = (paletteActive + step + count) % count;
+    renderPalette();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runPaletteItem(paletteActive);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    closePalette();
   }
 });
 
+paletteList.addEventListener("click", (e) => {
+  const option = e.target.closest("[data-index]");
+  if (option) runPaletteItem(Number(option.dataset.index));
+});
+
+paletteOverlay.addEventListener("mousedown", (e) => {
+  if (e.target === paletteOverlay) closePalette();
+});
+
 document.addEventListener("focusin", (e) => {
-  if (modalOverlay.classList.contains("hidden")) return;
-  if (!modalPanel.contains(e.target)) {
-    deleteConfirmBtn.focus();
-  }
+  if (paletteOverlay.classList.contains("hidden")) return;
+  if (!palettePanel.contains(e.target)) paletteInput.focus();
 });
 
 /********************************************************
- * Login / Signup handlers
+ * Session idle timeout
  ********************************************************/
-loginForm.addEventListener("submit", (e) => {
-  e.preventDefault();
-  loginEmailErr.textContent = "";
-  loginPwdErr.textContent = "";
-  loginTopError.classList.add("hidden");
-  loginTopError.textContent = "";
+const SESSION_CHECK_INTERVAL_MS = 15 * 1000;
 
-  const emailVal = loginEmail.value.trim();
-  const pwdVal = loginPassword.value;
+["pointerdown", "keydown"].forEach((type) => {
+  document.addEventListener(type, touchSession, { passive: true });
+});
 
-  if (!emailVal) loginEmailErr.textContent = "Email is required.";
-  if (!pwdVal) loginPwdErr.textContent = "Password is required.";
-  if (!emailVal || !pwdVal) return;
+setInterval(() => {
+  if (!currentUser || getSession()) return;
+  currentUser = null;
+  toastAssertive(tr(MSG_SESSION_EXPIRED));
+  syncStateFromStorageAndRoute();
+}, SESSION_CHECK_INTERVAL_MS);
 
-  const result = login({ email: emailVal, password: pwdVal });
-  if (!result.ok) {
-    loginTopError.classList.remove("hidden");
-    loginTopError.textContent = result.error.message || "Login failed.";
+/********************************************************
+ * SLA breach monitor
+ ********************************************************/
+// Re-checks every ticket the user can see while the app is open, not just
+// the ones on screen, so a breach is caught whatever page or filter is
+// showing: refreshes the SLA chips when a target changes state and warns
+// when one of the user's own tickets breaches.
+const SLA_CHECK_INTERVAL_MS = 60 * 1000;
 
-    if (result.error.details?.fields?.email) {
-      loginEmailErr.textContent = result.error.details.fields.email;
-    }
-    if (result.error.details?.fields?.password) {
-      loginPwdErr.textContent = result.error.details.fields.password;
+let slaStates = new Map(); // "id:kind" -> state seen at the last check
+let slaStatesUser = null;
+
+async function checkSlaBreaches(now = Date.now()) {
+  if (!currentUser) return;
+  if (slaStatesUser !== currentUser.email) {
+    slaStates = new Map();
+    slaStatesUser = currentUser.email;
+  }
+  const user = currentUser.email;
+  const result = await listVisibleTickets();
+  if (!currentUser || currentUser.email !== user) return;
+  // a failed fetch still checks what's loaded; the other baselines stay
+  const tickets = result.ok ? result.tickets : currentTickets;
+  const shown = new Set(currentTickets.map((t) => t.id));
+  const seen = new Set();
+  const breachedNow = [];
+  let changed = false;
+  tickets.forEach((t) => {
+    slaTargets(t, now).forEach((target) => {
+      const key = `${t.id}:${target.kind}`;
+      const before = slaStates.get(key);
+      seen.add(key);
+      slaStates.set(key, target.state);
+      if (before === target.state) return;
+      // tickets seen for the first time only set the baseline
+      if (before !== undefined && shown.has(t.id)) changed = true;
+      if (before && before !== "breached" && target.state === "breached") {
+        breachedNow.push({ ticket: t, kind: target.kind });
+      }
+    });
+  });
+  // forget deleted, hidden and finished targets once we know the full list
+  if (result.ok) {
+    for (const key of slaStates.keys()) {
+      if (!seen.has(key)) slaStates.delete(key);
     }
-    return;
   }
 
-  currentUser = result.user;
-  toastPolite("Logged in successfully.");
-  window.location.hash = "/dashboard";
-  syncStateFromStorageAndRoute();
-});
+  const mine = breachedNow.filter(({ ticket }) =>
+    isTicketOwner(ticket, currentUser)
+  );
+  if (mine.length === 1) {
+    const { ticket, kind } = mine[0];
+    toastAssertive(tr("sla.breachedToast", { title: ticket.title, kind }));
+  } else if (mine.length > 1) {
+    toastAssertive(tr("sla.breachedManyToast", { count: mine.length }));
+  }
+  if (changed) renderTicketViews();
+}
 
-signupForm.addEventListener("submit", (e) => {
-  e.preventDefault();
-  signupEmailErr.textContent = "";
-  signupPwdErr.textContent = "";
-  signupTopError.classList.add("hidden");
-  signupTopError.textContent = "";
+setInterval(checkSlaBreaches, SLA_CHECK_INTERVAL_MS);
 
-  const emailVal = signupEmail.value.trim();
-  const pwdVal = signupPassword.value;
+/********************************************************
+ * Sync status
+ ********************************************************/
+// Replays the outbox when its next retry is due or the browser comes back
+// online, and shows how many writes are still waiting in the navbar.
+let outboxTimer = null;
+let outboxSyncing = false;
 
-  if (!emailVal) signupEmailErr.textContent = "Email is required.";
-  else if (!emailVal.includes("@"))
-    signupEmailErr.textContent = "Enter a valid email.";
+function renderSyncStatus() {
+  const pending = currentUser ? myOutbox() : [];
+  syncStatusBtn.classList.toggle("hidden", !pending.length && !outboxSyncing);
+  syncStatusBtn.disabled = outboxSyncing;
+  if (outboxSyncing) {
+    syncStatusBtn.textContent = tr("sync.syncing");
+    syncStatusBtn.removeAttribute("title");
+    return;
+  }
+  syncStatusBtn.textContent = tr("sync.pending", {
+    count: pending.length,
+    offline: navigator.onLine === false ? "yes" : "no",
+  });
+  const lastError = pending[0]?.lastError;
+  syncStatusBtn.title = lastError
+    ? tr("sync.retryAfterError", { error: lastError })
+    : tr("sync.retry");
+}
 
-  if (!pwdVal) signupPwdErr.textContent = "Password is required.";
-  else if (pwdVal.length < 6)
-    signupPwdErr.textContent = "Minimum 6 characters.";
+// Re-renders the indicator and sets a timer for the next due retry.
+function scheduleOutboxFlush() {
+  clearTimeout(outboxTimer);
+  outboxTimer = null;
+  renderSyncStatus();
+  const next = myOutbox()[0];
+  if (!currentUser || !next || outboxSyncing) return;
+  outboxTimer = setTimeout(
+    () => syncOutbox(),
+    Math.max(0, next.nextAttemptAt - Date.now())
+  );
+}
 
-  if (signupEmailErr.textContent || signupPwdErr.textContent) return;
+// Flushes the outbox and reports the outcome. `refresh: false` leaves
+// reloading the current view to the caller.
+async function syncOutbox({ force = false, refresh = true } = {}) {
+  if (!currentUser || outboxSyncing || !myOutbox().length) return;
+  outboxSyncing = true;
+  renderSyncStatus();
+  const report = await flushOutbox({ force });
+  outboxSyncing = false;
 
-  const result = signup({ email: emailVal, password: pwdVal });
-  if (!result.ok) {
-    signupTopError.classList.remove("hidden");
-    signupTopError.textContent =
-      result.error.message || "Signup failed.";
+  report.failed.forEach(({ entry, error }) => {
+    toastAssertive(
+      tr("sync.failed", { title: entry.title, error: error.message })
+    );
+  });
+  const done = [
+    ...report.synced,
+    ...report.failed.map((f) => f.entry.ticketId),
+  ];
+  if (done.length && !myOutbox().length && !report.failed.length) {
+    toastPolite(tr("sync.done"));
+  }
+  if (done.length && refresh) refreshViewAfterSync(done);
+  scheduleOutboxFlush();
+}
 
-    if (result.error.details?.fields?.email) {
-      signupEmailErr.textContent =
-        result.error.details.fields.email;
-    }
-    if (result.error.details?.fields?.password) {
-      signupPwdErr.textContent =
-        result.error.details.fields.password;
+function refreshViewAfterSync(ticketIds) {
+  const route = currentRoute;
+  if (!route) return;
+  if (route.page === "ticketDetail") {
+    if (ticketIds.includes(route.params.id)) {
+      loadTicketAndRenderDetail(route.params.id, { quiet: true });
     }
-    return;
+  } else {
+    refreshViewAfterTabChange({ type: "tickets" });
   }
+}
 
-  currentUser = result.user;
-  toastPolite("Account created.");
-  window.location.hash = "/dashboard";
-  syncStateFromStorageAndRoute();
-});
+syncStatusBtn.addEventListener("click", () => syncOutbox({ force: true }));
+window.addEventListener("online", () => syncOutbox({ force: true }));
+window.addEventListener("offline", renderSyncStatus);
 
 /********************************************************
- * Ticket loading helpers
+ * Cross-tab sync
  ********************************************************/
-function loadTicketsAndRenderForTicketsPage() {
-  const result = fetchTickets();
-  if (!result.ok) {
-    ticketsErrorWrap.classList.remove("hidden");
-    ticketsErrorText.textContent = MSG_LOAD_ERROR;
-    ticketsEmpty.classList.add("hidden");
-    ticketsList.innerHTML = "";
+// Keeps this tab in step with writes and sign-outs made in other tabs.
+function onTabChange(message) {
+  if (message.type === "logout" || message.type === "session") {
+    syncAuthFromOtherTab(message);
     return;
   }
-
-  currentTickets = result.tickets;
-  renderTicketsList();
-}
-
-function loadTicketsAndRenderForDashboard() {
-  const result = fetchTickets();
-  if (!result.ok) {
-    dashErr.classList.remove("hidden");
-    dashErr.textContent = MSG_LOAD_ERROR;
-    toastAssertive(MSG_LOAD_ERROR);
+  if (!currentUser || !currentRoute) return;
+  if (message.type === "outbox") {
+    scheduleOutboxFlush();
     return;
   }
-  dashErr.classList.add("hidden");
-  dashErr.textContent = "";
-
-  currentTickets = result.tickets;
-  renderDashboardStats();
+  if (["tickets", "comments", "attachments"].includes(message.type)) {
+    refreshViewAfterTabChange(message);
+  }
 }
 
-// retry button on tickets page
-ticketsRetryBtn.addEventListener("click", () => {
-  loadTicketsAndRenderForTicketsPage();
-});
-
-/********************************************************
- * New ticket button
- ********************************************************/
-newTicketBtn.addEventListener("click", () => {
-  openFormForCreate();
-});
+function syncAuthFromOtherTab(message) {
+  // a sessionStorage session isn't visible to other tabs, so end it here,
+  // but only if it belongs to the account that signed out
+  if (
+    message.type === "logout" &&
+    sameEmail(message.email, getSession()?.email)
+  ) {
+    clearSession();
+  }
+  const s = getSession();
+  const same =
+    s &&
+    currentUser &&
+    sameEmail(s.email, currentUser.email) &&
+    s.role === currentUser.role;
+  if (same || (!s && !currentUser)) return;
 
-cancelBtn.addEventListener("click", () => {
-  closeForm();
-});
+  if (!s) {
+    currentUser = null;
+    toastAssertive(tr("auth.signedOutElsewhere"));
+    window.location.hash = "/";
+  }
+  syncStateFromStorageAndRoute();
+}
 
-/********************************************************
- * Router
- ********************************************************/
-function routeGuarded(p) {
-  if (p === "dashboard" || p === "tickets") {
-    if (!currentUser) {
-      toastAssertive(MSG_SESSION_EXPIRED);
-      return "login";
+function refreshViewAfterTabChange(message) {
+  const route = currentRoute;
+  const ticketId = message.id || message.ticketId;
+  if (message.type === "attachments") {
+    if (route.page === "ticketDetail" && route.params.id === ticketId) {
+      loadAttachmentsAndRender(ticketId);
+    }
+    return;
+  }
+  if (route.page === "tickets") {
+    if (route.form === "edit" && route.params.id === ticketId) {
+      toastPolite(tr("form.changedElsewhere"));
     }
+    loadTicketsAndRenderForTicketsPage({ quiet: true });
+  } else if (route.page === "dashboard") {
+    loadTicketsAndRenderForDashboard({ quiet: true });
+  } else if (route.page === "board") {
+    // don't pull the board out from under a drag in progress
+    if (!boardDrag && !boardKeyMove) loadTicketsAndRenderForBoard();
+  } else if (route.page === "ticketDetail" && route.params.id === ticketId) {
+    if (message.type === "comments") {
+      loadCommentsAndRender(ticketId);
+    } else {
+      loadTicketAndRenderDetail(ticketId, { quiet: true });
+    }
+  } else if (route.page === "trash" && message.type === "tickets") {
+    loadTrashAndRender();
   }
-  return p;
 }
 
-function parseRoute() {
-  const hash = window.location.hash.replace(/^#/, "");
-  const path = hash.split("?")[0].replace(/^\//, "");
-  if (!path) return "landing";
-  if (path === "login") return "login";
-  if (path === "signup") return "signup";
-  if (path === "dashboard") return "dashboard";
-  if (path === "tickets") return "tickets";
-  return "landing";
+/********************************************************
+ * Language switcher
+ ********************************************************/
+// Each catalog is listed under its own name, e.g. "العربية".
+function renderLocaleOptions() {
+  setHtml(
+    localeSelect,
+    safeHtml`${SUPPORTED_LOCALES.map((locale) => {
+      const name = LOCALES[locale]?.name || locale;
+      return safeHtml`<option value="${locale}" lang="${locale}">${name}</option>`;
+    })}`
+  );
+  localeSelect.value = currentLocale;
 }
 
-function syncStateFromStorage() {
-  const s = getSession();
-  currentUser = s ? { email: s.email } : null;
-  renderNavbar();
-
-  const fy = document.getElementById("footer-year");
-  if (fy) fy.textContent = new Date().getFullYear();
+// Switches the language of the static page text; false if unchanged.
+function setLocale(locale) {
+  const next = supportedLocale(locale);
+  if (!next || next === currentLocale) return false;
+  currentLocale = next;
+  writeJSON(LS_KEYS.LOCALE, next);
+  localeSelect.value = next;
+  translatePage();
+  renderShortcutsHelp();
+  return true;
 }
 
-function syncStateFromStorageAndRoute() {
-  syncStateFromStorage();
-
-  closeForm();
-  closeDeleteModal();
-
-  let p = parseRoute();
-  p = routeGuarded(p);
-  showPage(p);
-
-  if (p === "dashboard") {
-    loadTicketsAndRenderForDashboard();
-  } else if (p === "tickets") {
-    loadTicketsAndRenderForTicketsPage();
+// setLocale, then re-renders the page from storage, except that an open
+// ticket form is only re-labelled and a ticket page quietly refreshed, so
+// typed input survives.
+function applyLocale(locale) {
+  if (!setLocale(locale)) return;
+  if (currentRoute?.form) {
+    renderNavbar();
+    renderSyncStatus();
+    renderTicketsToolbar();
+    renderTicketViews();
+    translateTicketForm();
+  } else if (currentRoute?.page === "ticketDetail") {
+    renderNavbar();
+    renderSyncStatus();
+    loadTicketAndRenderDetail(currentRoute.params.id, { quiet: true });
+  } else if (currentRoute) {
+    syncStateFromStorageAndRoute();
   }
 }
 
-window.addEventListener("hashchange", syncStateFromStorageAndRoute);
+// The choice follows the user to other devices once they're signed in.
+localeSelect.addEventListener("change", async () => {
+  const locale = localeSelect.value;
+  applyLocale(locale);
+  if (!currentUser) return;
+  const result = await updateUserLocale(locale);
+  if (!result.ok) toastAssertive(result.error.message);
+});
 
 /********************************************************
  * Init
  ********************************************************/
-syncStateFromStorageAndRoute();
+// Migrations finish before anything reads tickets or users; routing only
+// starts once the data is known to be readable and current.
+async function initApp() {
+  renderLocaleOptions();
+  translatePage();
+  const migration = await runMigrations();
+  if (!migration.ok) {
+    renderNavbar();
+    showRecovery(migration.error);
+    return;
+  }
+  await purgeExpiredTrash();
+  window.addEventListener("hashchange", syncStateFromStorageAndRoute);
+  listenForTabChanges(onTabChange);
+  syncStateFromStorageAndRoute();
+}
+
+initApp();
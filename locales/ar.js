@@ -0,0 +1,541 @@
+// Arabic messages, laid out right to left.
+window.TICKETAPP_LOCALES = window.TICKETAPP_LOCALES || {};
+window.TICKETAPP_LOCALES.ar = {
+  name: "العربية",
+  dir: "rtl",
+  messages: {
+    "activity.empty": "لا يوجد نشاط بعد.",
+    "activity.entry": "{when} — {actor} {what} في ",
+    "activity.heading": "النشاط الأخير",
+    "activity.loadFailed": "تعذّر تحميل النشاط الأخير.",
+    "analytics.age1d": "أقل من يوم",
+    "analytics.age3d": "١–٣ أيام",
+    "analytics.age4w": "١–٤ أسابيع",
+    "analytics.age7d": "٣–٧ أيام",
+    "analytics.ageOver4w": "أكثر من ٤ أسابيع",
+    "analytics.agingBucket": "{count} {label}",
+    "analytics.agingSummary":
+      "{waiting, plural, zero {لا توجد تذاكر غير محلولة} one {تذكرة واحدة غير محلولة} two {تذكرتان غير محلولتين} few {# تذاكر غير محلولة} many {# تذكرة غير محلولة} other {# تذكرة غير محلولة}}: {buckets}.",
+    "analytics.agingTitle": "عمر التذاكر غير المحلولة",
+    "analytics.barTitle": "{label}: {value} {series}",
+    "analytics.closed": "المغلقة",
+    "analytics.closedInRange": "المغلقة في النطاق",
+    "analytics.created": "المُنشأة",
+    "analytics.day": "اليوم",
+    "analytics.from": "من",
+    "analytics.groupBy": "التجميع حسب",
+    "analytics.heading": "الاتجاهات",
+    "analytics.medianClose": "الوسيط لمدة الإغلاق",
+    "analytics.p90Close": "المئين التسعون",
+    "analytics.period": "الفترة",
+    "analytics.rangeInvalid": "اختر تاريخ بدء يسبق تاريخ الانتهاء أو يساويه.",
+    "analytics.rangeLabel": "النطاق الزمني للمخططات",
+    "analytics.rangeTooLong": "اختر نطاقًا لا يتجاوز {max} يومًا.",
+    "analytics.showTable": "عرض جدول البيانات",
+    "analytics.tableNote": "يوجد أسفل كل مخطط جدول ببياناته.",
+    "analytics.tickets": "التذاكر",
+    "analytics.to": "إلى",
+    "analytics.trendSummary":
+      "أُنشئت {created} وأُغلقت {closed} بين {from} و{to}.",
+    "analytics.trendTitle":
+      "المُنشأة مقابل المغلقة لكل {bucket, select, week {أسبوع} other {يوم}}",
+    "analytics.week": "الأسبوع",
+    "analytics.weekOf": "أسبوع {day}",
+    "app.title": "تطبيق التذاكر",
+    "attachments.addForbidden": "يمكنك إرفاق ملفات بتذاكرك فقط.",
+    "attachments.choose": "اختر ملفات",
+    "attachments.dropHint": "اسحب الملفات إلى هنا أو",
+    "attachments.fileTooLarge": "حجم {name} أكبر من {limit}.",
+    "attachments.heading": "المرفقات",
+    "attachments.help": "حتى {perFile} لكل ملف و{perTicket} لكل تذكرة.",
+    "attachments.listLabel": "الملفات المراد إرفاقها",
+    "attachments.loadFailed": "تعذّر تحميل المرفقات. يرجى إعادة المحاولة.",
+    "attachments.none": "لا توجد مرفقات.",
+    "attachments.notFound": "هذا المرفق لم يعد موجودًا.",
+    "attachments.perFileLimit": "يمكن أن يصل حجم كل ملف إلى {limit} كحد أقصى.",
+    "attachments.ready":
+      "{count, plural, one {ملف واحد جاهز} two {ملفان جاهزان} few {# ملفات جاهزة} many {# ملفًا جاهزًا} other {# ملف جاهز}} للإرفاق.",
+    "attachments.remove": "إزالة",
+    "attachments.removeFailed": "تعذّرت إزالة المرفق. يرجى إعادة المحاولة.",
+    "attachments.removeForbidden": "يمكنك إزالة الملفات من تذاكرك فقط.",
+    "attachments.removeLabel": "إزالة {name}",
+    "attachments.saveFailed": "تعذّر حفظ المرفقات. يرجى إعادة المحاولة.",
+    "attachments.totalLimit":
+      "يمكن أن يصل إجمالي مرفقات التذكرة إلى {limit} كحد أقصى.",
+    "audit.created": "أنشأ التذكرة",
+    "audit.deleted": "نقل التذكرة إلى المهملات",
+    "audit.descriptionUpdated": "حدّث الوصف",
+    "audit.empty": "فارغ",
+    "audit.field.assignee": "المسؤول",
+    "audit.field.descriptionFormat": "تنسيق الوصف",
+    "audit.field.dueDate": "تاريخ الاستحقاق",
+    "audit.field.labels": "التسميات",
+    "audit.field.priority": "الأولوية",
+    "audit.field.status": "الحالة",
+    "audit.field.title": "العنوان",
+    "audit.fieldChanged": "غيّر {field} من {from} إلى {to}",
+    "audit.fieldSet": "عيّن {field} إلى {to}",
+    "audit.purged": "حذف التذكرة نهائيًا",
+    "audit.quoted": "«{value}»",
+    "audit.restored": "استعاد التذكرة من المهملات",
+    "audit.unassigned": "غير مسندة",
+    "audit.updated": "حدّث التذكرة",
+    "auth.accountCreated": "تم إنشاء الحساب.",
+    "auth.createOne": "أنشئ حساباً",
+    "auth.credentialsRequired": "البريد الإلكتروني وكلمة المرور مطلوبان.",
+    "auth.email": "البريد الإلكتروني",
+    "auth.emailInUse": "مستخدم بالفعل",
+    "auth.emailInvalid": "أدخل بريدًا إلكترونيًا صالحًا.",
+    "auth.emailRequired": "البريد الإلكتروني مطلوب.",
+    "auth.emailTaken": "هذا البريد الإلكتروني مسجّل بالفعل.",
+    "auth.haveAccount": "لديك حساب بالفعل؟",
+    "auth.invalidCredentials": "بيانات اعتماد غير صحيحة",
+    "auth.invalidLogin": "البريد الإلكتروني أو كلمة المرور غير صحيحة.",
+    "auth.logIn": "تسجيل الدخول",
+    "auth.loggedIn": "تم تسجيل الدخول بنجاح.",
+    "auth.loginFailed": "فشل تسجيل الدخول.",
+    "auth.loginSubtitle": "استخدم بريدك الإلكتروني وكلمة المرور.",
+    "auth.noAccount": "ليس لديك حساب؟",
+    "auth.password": "كلمة المرور",
+    "auth.passwordMin": "{min} أحرف على الأقل.",
+    "auth.passwordPlaceholder": "أنشئ كلمة مرور",
+    "auth.passwordRequired": "كلمة المرور مطلوبة.",
+    "auth.passwordTooShort": "يجب ألا تقل كلمة المرور عن {min} أحرف.",
+    "auth.rememberMe": "تذكرني",
+    "auth.signIn": "دخول",
+    "auth.signUp": "إنشاء الحساب",
+    "auth.signedOutElsewhere": "تم تسجيل خروجك في علامة تبويب أخرى.",
+    "auth.signupFailed": "تعذّر إنشاء حسابك.",
+    "auth.signupFailedShort": "فشل إنشاء الحساب.",
+    "auth.signupSubtitle": "سنحفظ حسابك في localStorage.",
+    "auth.signupTitle": "إنشاء حساب",
+    "auth.storeUnreachable": "تعذّر الوصول إلى مخزن الحسابات.",
+    "board.cancelled": "أُلغي النقل. تبقى «{title}» في {status}.",
+    "board.conflict": "{error} تعرض اللوحة الآن أحدث إصدار.",
+    "board.help":
+      "اسحب التذكرة من مقبضها لتغيير حالتها. باستخدام لوحة المفاتيح، انتقل إلى المقبض واضغط مسافة، ثم تحرّك بمفاتيح الأسهم واضغط مسافة مجدداً للإفلات.",
+    "board.move": "نقل",
+    "board.moveConfirm": "نقل التذكرة",
+    "board.moveLabel": "نقل التذكرة {title}",
+    "board.moveMessage": "تحتاج «{title}» إلى بعض التفاصيل لهذا النقل.",
+    "board.moveTitle": "نقل إلى {status}؟",
+    "board.moved": "تم نقل «{title}» إلى {status}.",
+    "board.movedOffline":
+      "تم نقل «{title}» إلى {status}؛ ستتم المزامنة عند عودة الاتصال.",
+    "board.over": "فوق {status}.",
+    "board.pickedUp":
+      "تم التقاط «{title}» من {status}. استخدم مفاتيح الأسهم لاختيار عمود، والمسافة للإفلات، وEscape للإلغاء.",
+    "bulk.cantMove": "لا يمكن نقل بعض التذاكر المحددة إلى «{status}».",
+    "bulk.cantMoveCount":
+      "لا يمكن نقل {count, plural, one {تذكرة واحدة} two {تذكرتان} few {# تذاكر} many {# تذكرة} other {# تذكرة}} إلى {status}.",
+    "bulk.chooseStatus": "اختر حالة صالحة.",
+    "bulk.clear": "إلغاء التحديد",
+    "bulk.deleteMessage":
+      "سيتم نقل {count, plural, one {تذكرة واحدة} two {تذكرتان} few {# تذاكر} many {# تذكرة} other {# تذكرة}} إلى المهملات.",
+    "bulk.deleteTitle":
+      "حذف {count, plural, one {تذكرة واحدة} two {تذكرتان} few {# تذاكر} many {# تذكرة} other {# تذكرة}}؟",
+    "bulk.deleted":
+      "تم نقل {count, plural, one {تذكرة واحدة} two {تذكرتان} few {# تذاكر} many {# تذكرة} other {# تذكرة}} إلى المهملات.",
+    "bulk.editForbidden": "لا يمكنك تعديل بعض التذاكر المحددة.",
+    "bulk.label": "إجراءات جماعية",
+    "bulk.missing": "بعض التذاكر المحددة لم تعد موجودة.",
+    "bulk.newStatusLabel": "الحالة الجديدة للتذاكر المحددة",
+    "bulk.noneChanged": "{error} لم يتم تغيير أي تذكرة.",
+    "bulk.noneDeleted": "{error} لم يتم حذف أي تذكرة.",
+    "bulk.noneSelected": "لم يتم تحديد أي تذاكر.",
+    "bulk.noneSelectedLabel": "لم يتم تحديد أي تذاكر",
+    "bulk.select": "تحديد",
+    "bulk.selectAll": "تحديد كل التذاكر الظاهرة",
+    "bulk.selectLabel": "تحديد التذكرة {title}",
+    "bulk.selectedCount": "تم تحديد {count} من {total}",
+    "bulk.statusConfirm": "تغيير الحالة",
+    "bulk.statusDone":
+      "تم تعيين {count, plural, one {تذكرة واحدة} two {تذكرتان} few {# تذاكر} many {# تذكرة} other {# تذكرة}} إلى {status}.",
+    "bulk.statusMessage":
+      "سيتم تعيين {count, plural, one {تذكرة واحدة} two {تذكرتان} few {# تذاكر} many {# تذكرة} other {# تذكرة}} إلى «{status}».",
+    "bulk.statusTitle": "تغيير الحالة؟",
+    "bulk.updateFailed": "تعذّر تحديث التذاكر المحددة. يرجى إعادة المحاولة.",
+    "comments.add": "إضافة تعليق",
+    "comments.addLabel": "أضف تعليقاً",
+    "comments.added": "تمت إضافة التعليق.",
+    "comments.deleteFailed": "تعذّر حذف التعليق. يرجى إعادة المحاولة.",
+    "comments.deleteForbidden": "يمكنك حذف تعليقاتك فقط.",
+    "comments.deleted": "تم حذف التعليق.",
+    "comments.editForbidden": "يمكنك تعديل تعليقاتك فقط.",
+    "comments.editLabel": "تعديل تعليق {author}",
+    "comments.edited": "معدّل",
+    "comments.empty": "لا يمكن أن يكون التعليق فارغًا.",
+    "comments.heading": "التعليقات",
+    "comments.loadFailed": "تعذّر تحميل التعليقات. يرجى إعادة المحاولة.",
+    "comments.none": "لا توجد تعليقات بعد.",
+    "comments.notFound": "هذا التعليق لم يعد موجودًا.",
+    "comments.saveFailed": "تعذّر حفظ التعليق. يرجى إعادة المحاولة.",
+    "comments.tooLong": "لا يمكن أن يتجاوز التعليق {max} حرف.",
+    "comments.updated": "تم تحديث التعليق.",
+    "common.actions": "الإجراءات",
+    "common.cancel": "إلغاء",
+    "common.close": "إغلاق",
+    "common.delete": "حذف",
+    "common.edit": "تعديل",
+    "common.moveToTrash": "نقل إلى المهملات",
+    "common.none": "لا يوجد",
+    "common.retry": "إعادة المحاولة",
+    "common.save": "حفظ",
+    "common.undo": "تراجع",
+    "common.view": "عرض",
+    "dashboard.highPriority": "أولوية عالية",
+    "dashboard.highPriorityHint": "عالية أو عاجلة لم تُحل",
+    "dashboard.overdue": "متأخرة",
+    "dashboard.overdueHint": "لم تُحل وتجاوزت تاريخ الاستحقاق",
+    "dashboard.slaBreached": "تجاوزت اتفاقية الخدمة",
+    "dashboard.slaBreachedHint": "فاتها موعد الاستجابة أو الحل",
+    "dashboard.snapshot": "لمحة سريعة عن تذاكرك.",
+    "dashboard.total": "الإجمالي",
+    "dashboard.totalHint": "كل التذاكر",
+    "dashboard.viewTickets": "عرض التذاكر ←",
+    "dashboard.welcome": "مرحباً بعودتك 👋",
+    "delete.discarded": "تم تجاهل التذكرة غير المتزامنة.",
+    "delete.done": "تم نقل التذكرة إلى المهملات.",
+    "delete.message": "سيتم نقل «{title}» إلى المهملات.",
+    "delete.queued": "ستنتقل التذكرة إلى المهملات بعد مزامنتها.",
+    "delete.title": "حذف التذكرة؟",
+    "detail.back": "→ كل التذاكر",
+    "errors.backupFailed":
+      "تعذّر نسخ بياناتك احتياطيًا قبل ترقيتها، لذلك لم يتغير شيء.",
+    "errors.cancelled": "تم إلغاء الطلب.",
+    "errors.corruptData":
+      "تعذّرت قراءة بعض بياناتك المحفوظة، لذلك لم يتم تحميلها.",
+    "errors.cryptoUnavailable":
+      "التجزئة الآمنة لكلمات المرور غير متاحة في هذا المتصفح.",
+    "errors.deleteTicket": "تعذّر حذف التذكرة. يرجى إعادة المحاولة.",
+    "errors.idbFailed": "فشل طلب IndexedDB.",
+    "errors.idbMissing": "IndexedDB غير متاح.",
+    "errors.loadTickets": "تعذّر تحميل التذاكر. يرجى إعادة المحاولة.",
+    "errors.migrationFailed": "فشلت ترقية بياناتك المحفوظة.",
+    "errors.moveTicket": "تعذّر نقل التذكرة. يرجى إعادة المحاولة.",
+    "errors.noAccess": "ليس لديك صلاحية الوصول إلى تلك الصفحة.",
+    "errors.noBackup": "لا توجد نسخة احتياطية لاستعادتها.",
+    "errors.recordsMissing": "بعض السجلات لم تعد موجودة.",
+    "errors.resetFailed": "فشلت إعادة تعيين البيانات التالفة.",
+    "errors.restoreFailed": "فشلت استعادة النسخة الاحتياطية.",
+    "errors.saveFailed": "تعذّر حفظ البيانات.",
+    "errors.schemaTooNew":
+      "حُفظت بياناتك بإصدار أحدث من التطبيق. أعد تحميل الصفحة للحصول على أحدث إصدار.",
+    "errors.serverStatus": "ردّ الخادم بالرمز {status}.",
+    "errors.sessionExpired": "انتهت صلاحية جلستك — يرجى تسجيل الدخول مرة أخرى.",
+    "errors.sessionUnreadable":
+      "تعذّرت قراءة بيانات تسجيل الدخول المحفوظة، لذلك تم تسجيل خروجك — يرجى تسجيل الدخول مرة أخرى.",
+    "errors.storage": "فشل طلب التخزين.",
+    "errors.unreachable": "تعذّر الوصول إلى الخادم.",
+    "errors.unreadable": "البيانات المخزنة غير قابلة للقراءة.",
+    "export.done":
+      "تم تصدير {count, plural, zero {لا تذاكر} one {تذكرة واحدة} two {تذكرتين} few {# تذاكر} many {# تذكرة} other {# تذكرة}}.",
+    "export.empty": "لا توجد تذاكر لتصديرها.",
+    "footer.rights": "TicketApp — جميع الحقوق محفوظة.",
+    "form.attachmentsFailed": "تم حفظ التذكرة، لكن لم تُحفظ مرفقاتها: {error}",
+    "form.changedElsewhere": "تم تغيير هذه التذكرة للتو في علامة تبويب أخرى.",
+    "form.conflict": "تغيّرت هذه التذكرة منذ فتحتها ({when}).",
+    "form.conflictBy": "تغيّرت هذه التذكرة منذ فتحتها ({when} بواسطة {user}).",
+    "form.create": "إنشاء التذكرة",
+    "form.created": "تم إنشاء التذكرة.",
+    "form.descEditor": "محرر الوصف",
+    "form.descPlaceholder": "تتعطل باستمرار عندما نحاول طباعة الملصقات.",
+    "form.editDesc": "حدّث التفاصيل والحالة.",
+    "form.editTitle": "تعديل التذكرة",
+    "form.labelsPlaceholder": "أجهزة، مكتب-2",
+    "form.loadTheirs": "حمّل نسختهم",
+    "form.markdown": "التنسيق باستخدام Markdown",
+    "form.markdownHelp":
+      "يدعم Markdown العناوين بـ # والقوائم بـ - أو 1. و`code` وكتل الشيفرة ``` و**العريض** و*المائل* و[الروابط](https://example.com).",
+    "form.newDesc": "صف المشكلة حتى يمكن حلها.",
+    "form.newTitle": "تذكرة جديدة",
+    "form.optional": "(اختياري)",
+    "form.optionalCommaSeparated": "(اختياري، مفصولة بفواصل)",
+    "form.preview": "معاينة",
+    "form.queued": "يبدو أنك غير متصل. ستتم مزامنة التذكرة عند عودتك.",
+    "form.queuedNoFiles":
+      "يبدو أنك غير متصل. ستتم مزامنة التذكرة عند عودتك؛ أضف مرفقاتها أو أزلها بعد ذلك.",
+    "form.reloaded": "تم تحميل أحدث إصدار من التذكرة.",
+    "form.save": "حفظ التغييرات",
+    "form.saveMine": "احفظ نسختي على أي حال",
+    "form.saving": "جارٍ الحفظ…",
+    "form.statusHelp":
+      "لا تظهر إلا الحالات التي يمكن أن تنتقل إليها هذه التذكرة.",
+    "form.titlePlaceholder": "الطابعة لا تعمل",
+    "form.updated": "تم تحديث التذكرة.",
+    "form.write": "كتابة",
+    "history.created": "أُنشئت",
+    "history.createdBy": "أنشأها {user}",
+    "history.heading": "السجل",
+    "history.lastUpdated": "آخر تحديث",
+    "history.loadFailed": "تعذّر تحميل السجل. يرجى إعادة المحاولة.",
+    "import.check": "التحقق",
+    "import.checkFailed": "تعذّر فحص الاستيراد. يرجى إعادة المحاولة.",
+    "import.confirm": "استيراد",
+    "import.confirmCount":
+      "استيراد {count, plural, zero {لا تذاكر} one {تذكرة واحدة} two {تذكرتين} few {# تذاكر} many {# تذكرة} other {# تذكرة}}",
+    "import.csvEmpty": "ملف CSV فارغ.",
+    "import.csvNoTitle": 'يجب أن يحتوي ملف CSV على عمود "title".',
+    "import.csvUnclosedQuote": "يوجد حقل بين علامتي اقتباس لم يُغلق.",
+    "import.csvUnreadable": "تعذّرت قراءة ملف CSV: {reason}",
+    "import.duplicateRow":
+      "المعرّف موجود، {mode, select, overwrite {ستُستبدل} reid {ستحصل على معرّف جديد} other {سيتم تخطيها}}",
+    "import.duplicatesLegend": "عندما يكون معرّف التذكرة موجوداً بالفعل",
+    "import.file": "الملف",
+    "import.finished":
+      "اكتمل الاستيراد: {count, plural, zero {لا تذاكر جديدة} one {تذكرة جديدة واحدة} two {تذكرتان جديدتان} few {# تذاكر جديدة} many {# تذكرة جديدة} other {# تذكرة جديدة}}.",
+    "import.forbidden": "يمكن للوكلاء فقط استيراد التذاكر.",
+    "import.help":
+      "اختر ملف JSON أو CSV مُصدَّراً من TicketApp، أو جدول بيانات بأسماء الأعمدة نفسها. لن يُحفظ شيء حتى تؤكد.",
+    "import.invalidJson": "الملف ليس بتنسيق JSON صالح.",
+    "import.newId": "استوردها بمعرّف جديد",
+    "import.noRows": "لا يحتوي الملف على صفوف تذاكر.",
+    "import.noTitle": "(بلا عنوان)",
+    "import.notAList": "يجب أن يحتوي ملف JSON على قائمة بالتذاكر.",
+    "import.overwriteExisting": "استبدل التذكرة الموجودة",
+    "import.overwriteForbidden": "لا يمكنك تعديل التذكرة الموجودة.",
+    "import.previewSummary":
+      "{rows, plural, zero {لا صفوف} one {صف واحد} two {صفان} few {# صفوف} many {# صفًا} other {# صف}}: {ready} جاهزة، {duplicates} بمعرّف موجود، {invalid} بها أخطاء.",
+    "import.ready": "جاهزة",
+    "import.report":
+      "تم استيراد {imported}، واستبدال {overwritten}، وتخطي {skipped}، ورفض {rejected}.",
+    "import.row": "الصف",
+    "import.rowErrors": "الصف {row}: {errors}",
+    "import.skipRow": "تخطَّ الصف",
+    "import.stopped": "توقف الاستيراد قبل اكتماله. يرجى إعادة المحاولة.",
+    "import.title": "استيراد التذاكر",
+    "import.unknownDuplicateMode": "طريقة غير معروفة لمعالجة التكرار.",
+    "landing.dashboardText":
+      "اعرض التذاكر المفتوحة وقيد التنفيذ والمغلقة بنظرة واحدة.",
+    "landing.dashboardTitle": "نظرة عامة على لوحة المعلومات",
+    "landing.heading": "بسّط سير عمل الدعم لديك",
+    "landing.manageText": "أنشئ التذاكر وعدّلها وأغلقها بكفاءة مع تحقق مدمج.",
+    "landing.manageTitle": "إدارة التذاكر",
+    "landing.secureText":
+      "لوحة المعلومات وصفحة التذاكر محميتان. يلزم تسجيل الدخول.",
+    "landing.secureTitle": "وصول آمن",
+    "landing.tagline":
+      "تتبّع التذاكر وأسندها وحلّها بسلاسة — كل ذلك في واجهة واحدة واضحة.",
+    "landing.testLogin": "تسجيل دخول تجريبي: test@ticketapp.test / password123",
+    "locale.label": "اللغة",
+    "locale.saveFailed": "تعذّر حفظ لغتك. يرجى إعادة المحاولة.",
+    "locale.unsupported": "هذه اللغة غير متاحة.",
+    "nav.board": "اللوحة",
+    "nav.dashboard": "لوحة المعلومات",
+    "nav.getStarted": "ابدأ الآن",
+    "nav.label": "التنقل الرئيسي",
+    "nav.login": "تسجيل الدخول",
+    "nav.logout": "تسجيل الخروج",
+    "nav.tickets": "التذاكر",
+    "nav.trash": "المهملات",
+    "nav.users": "المستخدمون",
+    "notFound.editMessage": "ربما حُذفت، أو ليس مسموحًا لك بتعديلها.",
+    "notFound.home": "العودة إلى الرئيسية",
+    "notFound.message": "لم نتمكن من العثور على الصفحة التي تبحث عنها.",
+    "notFound.ticketMessage": "ربما حُذفت، أو ليس لديك صلاحية الوصول إليها.",
+    "notFound.ticketTitle": "التذكرة غير موجودة",
+    "notFound.title": "الصفحة غير موجودة",
+    "palette.empty": "لا توجد نتائج مطابقة.",
+    "palette.inputLabel": "أمر أو عنوان تذكرة",
+    "palette.label": "لوحة الأوامر",
+    "palette.login": "تسجيل الدخول",
+    "palette.logout": "تسجيل الخروج",
+    "palette.placeholder": "اكتب أمراً أو عنوان تذكرة",
+    "palette.results": "النتائج",
+    "palette.shortcuts": "اختصارات لوحة المفاتيح",
+    "palette.signup": "إنشاء حساب",
+    "palette.ticket": "تذكرة",
+    "palette.trash": "فتح المهملات",
+    "palette.users": "إدارة المستخدمين",
+    "priority.high": "عالية",
+    "priority.low": "منخفضة",
+    "priority.medium": "متوسطة",
+    "priority.urgent": "عاجلة",
+    "recovery.backupInfo":
+      "نسخة احتياطية من {when}، أُخذت قبل الترقية من المخطط v{version}.",
+    "recovery.download": "تنزيل البيانات الخام",
+    "recovery.eyebrow": "مشكلة في البيانات",
+    "recovery.help":
+      "لم يُحذف أي شيء. نزّل نسخة أولاً، ثم استعد النسخة الاحتياطية التلقائية أو أعد تعيين البيانات التالفة فقط.",
+    "recovery.reset": "إعادة تعيين البيانات التالفة",
+    "recovery.resetArmed": "انقر مرة أخرى لإعادة التعيين",
+    "recovery.resetWarning":
+      "تؤدي إعادة التعيين إلى إفراغ البيانات التالفة. انقر مرة أخرى للتأكيد.",
+    "recovery.restore": "استعادة النسخة الاحتياطية",
+    "recovery.retry": "حاول مجدداً",
+    "recovery.title": "تعذّر تحميل بياناتك المحفوظة",
+    "role.admin": "مسؤول",
+    "role.agent": "وكيل",
+    "role.requester": "مقدّم طلب",
+    "shortcuts.close": "إغلاق نافذة حوار",
+    "shortcuts.delete": "حذف التذكرة المحددة",
+    "shortcuts.edit": "تعديل التذكرة المحددة",
+    "shortcuts.goBoard": "الانتقال إلى اللوحة",
+    "shortcuts.goDashboard": "الانتقال إلى لوحة المعلومات",
+    "shortcuts.goTickets": "الانتقال إلى التذاكر",
+    "shortcuts.help": "عرض هذه الاختصارات",
+    "shortcuts.newTicket": "تذكرة جديدة",
+    "shortcuts.nextPrev": "بطاقة التذكرة التالية / السابقة",
+    "shortcuts.palette": "فتح لوحة الأوامر",
+    "shortcuts.search": "البحث في التذاكر",
+    "sla.breachedChip":
+      "تجاوز اتفاقية {kind, select, response {الاستجابة} other {الحل}}",
+    "sla.breachedManyToast": "تم تجاوز اتفاقية الخدمة في {count} من تذاكرك.",
+    "sla.breachedToast":
+      "تجاوز اتفاقية الخدمة: فات «{title}» موعد {kind, select, response {الاستجابة} other {الحل}}.",
+    "sla.describe":
+      "موعد {kind, select, response {الاستجابة} other {الحل}} {state, select, breached {كان} other {هو}} {when} (سياسة {policy})",
+    "sla.dueChip":
+      "موعد {kind, select, response {الاستجابة} other {الحل}} خلال {duration}",
+    "sla.policyHigh": "مرتفعة",
+    "sla.policyStandard": "قياسية",
+    "sla.policyUrgent": "عاجلة",
+    "sort.leastRecentlyUpdated": "الأقدم تحديثاً",
+    "sort.newest": "الأحدث أولاً",
+    "sort.oldest": "الأقدم أولاً",
+    "sort.recentlyUpdated": "المحدّثة مؤخراً",
+    "sort.status": "الحالة",
+    "sort.statusReversed": "الحالة (معكوسة)",
+    "sort.titleAsc": "العنوان (أ–ي)",
+    "sort.titleDesc": "العنوان (ي–أ)",
+    "status.closed": "مغلقة",
+    "status.closedHint": "تم حلّها",
+    "status.in_progress": "قيد المعالجة",
+    "status.in_progressHint": "يجري العمل عليها",
+    "status.open": "مفتوحة",
+    "status.openHint": "تحتاج إلى متابعة",
+    "sync.done": "تمت مزامنة كل التغييرات.",
+    "sync.failed": "تعذّر حفظ تغييرك دون اتصال على «{title}»: {error}",
+    "sync.pending":
+      "{offline, select, yes {غير متصل · } other {}}{count, plural, one {تغيير واحد} two {تغييران} few {# تغييرات} many {# تغييرًا} other {# تغيير}} بانتظار المزامنة",
+    "sync.pendingChip": "بانتظار المزامنة",
+    "sync.retry": "انقر لإعادة المحاولة الآن.",
+    "sync.retryAfterError": "{error} انقر لإعادة المحاولة الآن.",
+    "sync.syncing": "جارٍ المزامنة…",
+    "ticket.assignedTo": "مسندة إلى {user}",
+    "ticket.cardLabel": "تذكرة: {title}",
+    "ticket.commentCount":
+      "{count, plural, zero {لا تعليقات} one {تعليق واحد} two {تعليقان} few {# تعليقات} many {# تعليقًا} other {# تعليق}}",
+    "ticket.conflict": "تغيّرت هذه التذكرة منذ أن فتحتها.",
+    "ticket.createFailed": "تعذّر إنشاء التذكرة. يرجى إعادة المحاولة.",
+    "ticket.createForbidden": "غير مسموح لك بإنشاء تذاكر.",
+    "ticket.createdOn": "أُنشئت {date}",
+    "ticket.deleteForbidden": "يمكن للمسؤولين فقط حذف التذاكر.",
+    "ticket.deleteLabel": "حذف التذكرة {title}",
+    "ticket.dueChip": "تستحق {date}",
+    "ticket.editForbidden": "يمكنك تعديل تذاكرك فقط.",
+    "ticket.editLabel": "تعديل التذكرة {title}",
+    "ticket.field.assignee": "المسؤول",
+    "ticket.field.created": "تاريخ الإنشاء",
+    "ticket.field.description": "الوصف",
+    "ticket.field.dueDate": "تاريخ الاستحقاق",
+    "ticket.field.labels": "التسميات",
+    "ticket.field.priority": "الأولوية",
+    "ticket.field.reporter": "المُبلِّغ",
+    "ticket.field.sla": "اتفاقية مستوى الخدمة",
+    "ticket.field.status": "الحالة",
+    "ticket.field.title": "العنوان",
+    "ticket.field.updated": "آخر تحديث",
+    "ticket.gone": "هذه التذكرة لم تعد موجودة.",
+    "ticket.idTaken": "معرّف التذكرة هذا مستخدم.",
+    "ticket.loadFailed": "تعذّر تحميل التذكرة. يرجى إعادة المحاولة.",
+    "ticket.meta": "التذكرة {id}",
+    "ticket.metaPending": "التذكرة {id} · تغييرات بانتظار المزامنة",
+    "ticket.missingId": "معرّف التذكرة مفقود.",
+    "ticket.noDescription": "لا يوجد وصف.",
+    "ticket.notFound": "لم يتم العثور على التذكرة.",
+    "ticket.overdueChip": "متأخرة {date}",
+    "ticket.priorityChip": "أولوية {priority}",
+    "ticket.reportedBy": "أبلغ عنها {user}",
+    "ticket.startStatusForbidden": "يمكن للوكلاء فقط فتح تذكرة بحالة أخرى.",
+    "ticket.statusForbidden": "يمكن للوكلاء فقط تغيير حالة التذكرة.",
+    "ticket.unassigned": "غير مسندة",
+    "ticket.untitled": "تذكرة بلا عنوان",
+    "ticket.updateFailed": "تعذّر تحديث التذكرة. يرجى إعادة المحاولة.",
+    "ticket.viewLabel": "عرض التذكرة {title}",
+    "tickets.clearFilters": "مسح عوامل التصفية",
+    "tickets.count":
+      "{total, plural, zero {لا توجد تذاكر} one {تذكرة واحدة} two {تذكرتان} few {# تذاكر} many {# تذكرة} other {# تذكرة}}.",
+    "tickets.countFiltered":
+      "عرض {shown} من {total, plural, zero {# تذكرة} one {تذكرة واحدة} two {تذكرتين} few {# تذاكر} many {# تذكرة} other {# تذكرة}}.",
+    "tickets.createdFrom": "تاريخ الإنشاء من",
+    "tickets.createdTo": "تاريخ الإنشاء إلى",
+    "tickets.empty": "لا توجد تذاكر بعد.",
+    "tickets.exportCsv": "تصدير CSV",
+    "tickets.exportJson": "تصدير JSON",
+    "tickets.filterLabel": "تصفية التذاكر",
+    "tickets.import": "استيراد",
+    "tickets.newButton": "+ تذكرة جديدة",
+    "tickets.noMatch": "لا توجد تذاكر تطابق عوامل التصفية هذه.",
+    "tickets.search": "بحث",
+    "tickets.searchPlaceholder": "العنوان أو الوصف",
+    "tickets.sortBy": "الترتيب حسب",
+    "tickets.subtitle": "أدر جميع الطلبات وتابعها.",
+    "tickets.updated": "التحديث",
+    "tickets.updatedFrom": "تاريخ التحديث من",
+    "tickets.updatedTo": "تاريخ التحديث إلى",
+    "toast.signedOut": "تم تسجيل الخروج.",
+    "toast.undoAvailable": "{message} يمكنك التراجع خلال بضع ثوانٍ.",
+    "trash.deletedOn": "تاريخ الحذف",
+    "trash.empty": "سلة المهملات فارغة.",
+    "trash.help":
+      "تُحفظ التذاكر المحذوفة لمدة {days, plural, one {يوم واحد} two {يومين} few {# أيام} many {# يومًا} other {# يوم}} قبل حذفها نهائيًا تلقائيًا.",
+    "trash.loadFailed": "تعذّر تحميل سلة المهملات. يرجى إعادة المحاولة.",
+    "trash.notInTrash": "هذه التذكرة ليست في سلة المهملات.",
+    "trash.openForbidden": "يمكن للمسؤولين فقط فتح سلة المهملات.",
+    "trash.purge": "حذف نهائي",
+    "trash.purgeArmed": "انقر مرة أخرى للحذف",
+    "trash.purgeToday": "اليوم",
+    "trash.purged": "تم حذف التذكرة نهائيًا.",
+    "trash.purgedOn": "الحذف النهائي",
+    "trash.restore": "استعادة",
+    "trash.restoreForbidden": "يمكن للمسؤولين فقط استعادة التذاكر.",
+    "trash.restored": "تمت استعادة التذكرة.",
+    "trash.restoredCount":
+      "{count, plural, one {تمت استعادة التذكرة.} two {تمت استعادة تذكرتين.} few {تمت استعادة # تذاكر.} many {تمت استعادة # تذكرة.} other {تمت استعادة # تذكرة.}}",
+    "trash.retentionNote":
+      "يمكن استعادتها من المهملات خلال {days, plural, one {يوم واحد} two {يومين} few {# أيام} many {# يومًا} other {# يوم}}.",
+    "trash.ticket": "التذكرة",
+    "trash.unknownUser": "غير معروف",
+    "trash.updateFailed": "تعذّر تحديث سلة المهملات. يرجى إعادة المحاولة.",
+    "users.adminsOnly": "يمكن للمسؤولين فقط إدارة المستخدمين.",
+    "users.help": "غيّر ما يُسمح لكل حساب بفعله.",
+    "users.lastAdmin": "يجب أن يكون هناك مسؤول واحد على الأقل دائمًا.",
+    "users.loadFailed": "تعذّر تحميل المستخدمين. يرجى إعادة المحاولة.",
+    "users.notFound": "هذا المستخدم لم يعد موجودًا.",
+    "users.role": "الدور",
+    "users.roleChanged": "أصبح {email} بدور {role}.",
+    "users.roleChoices": "يجب أن يكون مقدّم طلب أو وكيلًا أو مسؤولًا.",
+    "users.roleFailed": "تعذّر تحديث الدور. يرجى إعادة المحاولة.",
+    "users.roleFor": "دور {email}",
+    "users.roleInvalid": "الدور غير صالح.",
+    "validation.assigneeNoUser": "لا يوجد مستخدم مسجّل بهذا البريد الإلكتروني.",
+    "validation.assigneeUnknown": "يجب أن يكون المكلَّف مستخدمًا مسجّلًا.",
+    "validation.dateInvalid": "تاريخ غير صالح.",
+    "validation.descriptionTooLong": "لا يمكن أن يتجاوز الوصف {max} حرفًا.",
+    "validation.dueDateFormat": "استخدم تاريخًا صالحًا (YYYY-MM-DD).",
+    "validation.dueDateInvalid": "تاريخ الاستحقاق غير صالح.",
+    "validation.fixFields": "يرجى تصحيح الحقول المميزة.",
+    "validation.formatChoices": "يجب أن يكون نصًا عاديًا أو Markdown.",
+    "validation.formatInvalid": "تنسيق الوصف غير صالح.",
+    "validation.labelTooLong": "لا يمكن أن يتجاوز التصنيف {max} حرفًا.",
+    "validation.labelTooLongShort":
+      "التصنيف طويل جدًا (الحد الأقصى {max} حرفًا)",
+    "validation.maxChars": "الحد الأقصى المسموح به {max} حرفًا.",
+    "validation.mustBeOneOf": "يجب أن تكون {choices}.",
+    "validation.priorityInvalid": "الأولوية غير صالحة.",
+    "validation.required": "الحقل «{field}» مطلوب.",
+    "validation.requiredShort": "مطلوب",
+    "validation.statusInvalid": "الحالة غير صالحة.",
+    "validation.titleRequired": "العنوان مطلوب.",
+    "validation.tooLong": "طويل جدًا (الحد الأقصى {max} حرفًا)",
+    "validation.tooManyLabels":
+      "{max, plural, zero {لا يمكن أن تحتوي التذكرة على تصنيفات.} one {لا يمكن أن تحتوي التذكرة على أكثر من تصنيف واحد.} two {لا يمكن أن تحتوي التذكرة على أكثر من تصنيفين.} few {لا يمكن أن تحتوي التذكرة على أكثر من # تصنيفات.} other {لا يمكن أن تحتوي التذكرة على أكثر من # تصنيفًا.}}",
+    "validation.tooManyLabelsShort": "تصنيفات كثيرة جدًا (الحد الأقصى {max})",
+    "validation.tooShort": "قصيرة جدًا",
+    "workflow.invalidMove": "لا يمكن نقل تذكرة من «{from}» إلى «{to}».",
+    "workflow.invalidStart": "لا يمكن أن تبدأ التذاكر الجديدة بالحالة «{to}».",
+    "workflow.reopenReason": "سبب إعادة الفتح",
+    "workflow.resolution": "ملاحظة الحل",
+  },
+};
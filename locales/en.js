@@ -0,0 +1,551 @@
+// English messages. Every key used by app.js and index.html lives here;
+// other locales fall back to these for any key they leave out.
+window.TICKETAPP_LOCALES = window.TICKETAPP_LOCALES || {};
+window.TICKETAPP_LOCALES.en = {
+  name: "English",
+  dir: "ltr",
+  messages: {
+    "activity.empty": "No activity yet.",
+    "activity.entry": "{when} — {actor} {what} on ",
+    "activity.heading": "Recent activity",
+    "activity.loadFailed": "Failed to load recent activity.",
+    "analytics.age1d": "Under 1 day",
+    "analytics.age3d": "1–3 days",
+    "analytics.age4w": "1–4 weeks",
+    "analytics.age7d": "3–7 days",
+    "analytics.ageOver4w": "Over 4 weeks",
+    "analytics.agingBucket": "{count} {label}",
+    "analytics.agingSummary":
+      "{waiting, plural, one {# unresolved ticket} other {# unresolved tickets}}: {buckets}.",
+    "analytics.agingTitle": "Age of unresolved tickets",
+    "analytics.barTitle": "{label}: {value} {series}",
+    "analytics.closed": "Closed",
+    "analytics.closedInRange": "Closed in range",
+    "analytics.created": "Created",
+    "analytics.day": "Day",
+    "analytics.from": "From",
+    "analytics.groupBy": "Group by",
+    "analytics.heading": "Trends",
+    "analytics.medianClose": "Median time to close",
+    "analytics.p90Close": "90th percentile",
+    "analytics.period": "Period",
+    "analytics.rangeInvalid": "Choose a start date on or before the end.",
+    "analytics.rangeLabel": "Chart date range",
+    "analytics.rangeTooLong": "Choose a range of at most {max} days.",
+    "analytics.showTable": "Show data table",
+    "analytics.tableNote": "Each chart has a data table below it.",
+    "analytics.tickets": "Tickets",
+    "analytics.to": "To",
+    "analytics.trendSummary":
+      "{created} created and {closed} closed between {from} and {to}.",
+    "analytics.trendTitle":
+      "Created vs closed per {bucket, select, week {week} other {day}}",
+    "analytics.week": "Week",
+    "analytics.weekOf": "Week of {day}",
+    "app.title": "TicketApp Twig",
+    "attachments.addForbidden": "You can only attach files to tickets you own.",
+    "attachments.choose": "choose files",
+    "attachments.dropHint": "Drag files here or",
+    "attachments.fileTooLarge": "{name} is larger than {limit}.",
+    "attachments.heading": "Attachments",
+    "attachments.help": "Up to {perFile} per file and {perTicket} per ticket.",
+    "attachments.listLabel": "Files to attach",
+    "attachments.loadFailed": "Failed to load attachments. Please retry.",
+    "attachments.none": "No attachments.",
+    "attachments.notFound": "That attachment no longer exists.",
+    "attachments.perFileLimit": "Files can be at most {limit} each.",
+    "attachments.ready":
+      "{count, plural, one {# file} other {# files}} ready to attach.",
+    "attachments.remove": "Remove",
+    "attachments.removeFailed":
+      "Failed to remove the attachment. Please retry.",
+    "attachments.removeForbidden":
+      "You can only remove files from tickets you own.",
+    "attachments.removeLabel": "Remove {name}",
+    "attachments.saveFailed": "Failed to save attachments. Please retry.",
+    "attachments.totalLimit":
+      "Attachments on a ticket can total at most {limit}.",
+    "audit.created": "created the ticket",
+    "audit.deleted": "moved the ticket to the trash",
+    "audit.descriptionUpdated": "updated the description",
+    "audit.empty": "empty",
+    "audit.field.assignee": "assignee",
+    "audit.field.descriptionFormat": "description format",
+    "audit.field.dueDate": "due date",
+    "audit.field.labels": "labels",
+    "audit.field.priority": "priority",
+    "audit.field.status": "status",
+    "audit.field.title": "title",
+    "audit.fieldChanged": "changed {field} from {from} to {to}",
+    "audit.fieldSet": "set {field} to {to}",
+    "audit.purged": "permanently deleted the ticket",
+    "audit.quoted": "“{value}”",
+    "audit.restored": "restored the ticket from the trash",
+    "audit.unassigned": "unassigned",
+    "audit.updated": "updated the ticket",
+    "auth.accountCreated": "Account created.",
+    "auth.createOne": "Create one",
+    "auth.credentialsRequired": "Email and password are required.",
+    "auth.email": "Email",
+    "auth.emailInUse": "Already in use",
+    "auth.emailInvalid": "Enter a valid email.",
+    "auth.emailRequired": "Email is required.",
+    "auth.emailTaken": "That email is already registered.",
+    "auth.haveAccount": "Already have an account?",
+    "auth.invalidCredentials": "Invalid credentials",
+    "auth.invalidLogin": "Invalid email or password.",
+    "auth.logIn": "Log in",
+    "auth.loggedIn": "Logged in successfully.",
+    "auth.loginFailed": "Login failed.",
+    "auth.loginSubtitle": "Use your email and password.",
+    "auth.noAccount": "No account?",
+    "auth.password": "Password",
+    "auth.passwordMin": "Minimum {min} characters.",
+    "auth.passwordPlaceholder": "Create a password",
+    "auth.passwordRequired": "Password is required.",
+    "auth.passwordTooShort": "Password must be at least {min} characters.",
+    "auth.rememberMe": "Remember me",
+    "auth.signIn": "Sign in",
+    "auth.signUp": "Sign up",
+    "auth.signedOutElsewhere": "You were signed out in another tab.",
+    "auth.signupFailed": "Could not create your account.",
+    "auth.signupFailedShort": "Signup failed.",
+    "auth.signupSubtitle": "We'll store your account in localStorage.",
+    "auth.signupTitle": "Create account",
+    "auth.storeUnreachable": "Could not reach the account store.",
+    "board.cancelled": "Move cancelled. “{title}” stays in {status}.",
+    "board.conflict": "{error} The board now shows the latest version.",
+    "board.help":
+      "Drag a ticket by its handle to change its status. With a keyboard, focus the handle, press Space, move with the arrow keys and press Space again to drop.",
+    "board.move": "Move",
+    "board.moveConfirm": "Move ticket",
+    "board.moveLabel": "Move ticket {title}",
+    "board.moveMessage": "“{title}” needs a few details for this move.",
+    "board.moveTitle": "Move to {status}?",
+    "board.moved": "Moved “{title}” to {status}.",
+    "board.movedOffline":
+      "Moved “{title}” to {status}; it will sync once you're back online.",
+    "board.over": "Over {status}.",
+    "board.pickedUp":
+      "Picked up “{title}” in {status}. Use the arrow keys to choose a column, Space to drop, Escape to cancel.",
+    "bulk.cantMove": "Some of the selected tickets can't move to {status}.",
+    "bulk.cantMoveCount":
+      "{count, plural, one {# ticket} other {# tickets}} can't move to {status}.",
+    "bulk.chooseStatus": "Choose a valid status.",
+    "bulk.clear": "Clear selection",
+    "bulk.deleteMessage":
+      "{count, plural, one {# ticket} other {# tickets}} will be moved to the trash.",
+    "bulk.deleteTitle":
+      "Delete {count, plural, one {# ticket} other {# tickets}}?",
+    "bulk.deleted":
+      "{count, plural, one {# ticket} other {# tickets}} moved to the trash.",
+    "bulk.editForbidden": "You can't edit some of the selected tickets.",
+    "bulk.label": "Bulk actions",
+    "bulk.missing": "Some of the selected tickets no longer exist.",
+    "bulk.newStatusLabel": "New status for the selected tickets",
+    "bulk.noneChanged": "{error} No tickets were changed.",
+    "bulk.noneDeleted": "{error} No tickets were deleted.",
+    "bulk.noneSelected": "No tickets selected.",
+    "bulk.noneSelectedLabel": "No tickets selected",
+    "bulk.select": "Select",
+    "bulk.selectAll": "Select all visible",
+    "bulk.selectLabel": "Select ticket {title}",
+    "bulk.selectedCount": "{count} of {total} selected",
+    "bulk.statusConfirm": "Change status",
+    "bulk.statusDone":
+      "{count, plural, one {# ticket} other {# tickets}} set to {status}.",
+    "bulk.statusMessage":
+      "{count, plural, one {# ticket} other {# tickets}} will be set to “{status}”.",
+    "bulk.statusTitle": "Change status?",
+    "bulk.updateFailed": "Failed to update the selected tickets. Please retry.",
+    "comments.add": "Add comment",
+    "comments.addLabel": "Add a comment",
+    "comments.added": "Comment added.",
+    "comments.deleteFailed": "Failed to delete comment. Please retry.",
+    "comments.deleteForbidden": "You can only delete your own comments.",
+    "comments.deleted": "Comment deleted.",
+    "comments.editForbidden": "You can only edit your own comments.",
+    "comments.editLabel": "Edit comment by {author}",
+    "comments.edited": "edited",
+    "comments.empty": "Comment cannot be empty.",
+    "comments.heading": "Comments",
+    "comments.loadFailed": "Failed to load comments. Please retry.",
+    "comments.none": "No comments yet.",
+    "comments.notFound": "That comment no longer exists.",
+    "comments.saveFailed": "Failed to save comment. Please retry.",
+    "comments.tooLong": "Comment cannot exceed {max} characters.",
+    "comments.updated": "Comment updated.",
+    "common.actions": "Actions",
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+    "common.delete": "Delete",
+    "common.edit": "Edit",
+    "common.moveToTrash": "Move to trash",
+    "common.none": "None",
+    "common.retry": "Retry",
+    "common.save": "Save",
+    "common.undo": "Undo",
+    "common.view": "View",
+    "dashboard.highPriority": "High priority",
+    "dashboard.highPriorityHint": "Unresolved high or urgent",
+    "dashboard.overdue": "Overdue",
+    "dashboard.overdueHint": "Unresolved past their due date",
+    "dashboard.slaBreached": "SLA breached",
+    "dashboard.slaBreachedHint": "Missed a response or resolution time",
+    "dashboard.snapshot": "Quick snapshot of your tickets.",
+    "dashboard.total": "Total",
+    "dashboard.totalHint": "All tickets",
+    "dashboard.viewTickets": "View Tickets →",
+    "dashboard.welcome": "Welcome back 👋",
+    "delete.discarded": "Unsynced ticket discarded.",
+    "delete.done": "Ticket moved to the trash.",
+    "delete.message": "“{title}” will be moved to the trash.",
+    "delete.queued": "Ticket will move to the trash once it syncs.",
+    "delete.title": "Delete ticket?",
+    "detail.back": "← All tickets",
+    "errors.backupFailed":
+      "Couldn't back up your data before upgrading it, so nothing was changed.",
+    "errors.cancelled": "Request was cancelled.",
+    "errors.corruptData":
+      "Some of your saved data can't be read, so it hasn't been loaded.",
+    "errors.cryptoUnavailable":
+      "Secure password hashing is not available in this browser.",
+    "errors.deleteTicket": "Failed to delete ticket. Please retry.",
+    "errors.idbFailed": "IndexedDB request failed.",
+    "errors.idbMissing": "IndexedDB is not available.",
+    "errors.loadTickets": "Failed to load tickets. Please retry.",
+    "errors.migrationFailed": "Upgrading your saved data failed.",
+    "errors.moveTicket": "Failed to move ticket. Please retry.",
+    "errors.noAccess": "You don't have access to that page.",
+    "errors.noBackup": "There is no backup to restore.",
+    "errors.recordsMissing": "Some records no longer exist.",
+    "errors.resetFailed": "Resetting the damaged data failed.",
+    "errors.restoreFailed": "Restoring the backup failed.",
+    "errors.saveFailed": "Could not save data.",
+    "errors.schemaTooNew":
+      "Your data was saved by a newer version of TicketApp. Reload to get the latest version.",
+    "errors.serverStatus": "Server responded with {status}.",
+    "errors.sessionExpired": "Your session has expired — please log in again.",
+    "errors.sessionUnreadable":
+      "Your saved sign-in couldn't be read, so you've been signed out — please log in again.",
+    "errors.storage": "Storage request failed.",
+    "errors.unreachable": "Could not reach the server.",
+    "errors.unreadable": "Stored data is unreadable.",
+    "export.done":
+      "Exported {count, plural, one {# ticket} other {# tickets}}.",
+    "export.empty": "There are no tickets to export.",
+    "footer.rights": "TicketApp — All rights reserved.",
+    "form.attachmentsFailed":
+      "Ticket saved, but its attachments weren't: {error}",
+    "form.changedElsewhere": "This ticket was just changed in another tab.",
+    "form.conflict": "This ticket changed since you opened it ({when}).",
+    "form.conflictBy":
+      "This ticket changed since you opened it ({when} by {user}).",
+    "form.create": "Create ticket",
+    "form.created": "Ticket created.",
+    "form.descEditor": "Description editor",
+    "form.descPlaceholder": "It keeps jamming when we try to print labels.",
+    "form.editDesc": "Update the details and status.",
+    "form.editTitle": "Edit ticket",
+    "form.labelsPlaceholder": "hardware, office-2",
+    "form.loadTheirs": "Load their version",
+    "form.markdown": "Format with Markdown",
+    "form.markdownHelp":
+      "Markdown supports # headings, - or 1. lists, `code`, ``` code blocks, **bold**, *italics* and [links](https://example.com).",
+    "form.newDesc": "Describe the issue so it can be resolved.",
+    "form.newTitle": "New ticket",
+    "form.optional": "(optional)",
+    "form.optionalCommaSeparated": "(optional, comma-separated)",
+    "form.preview": "Preview",
+    "form.queued":
+      "You seem to be offline. The ticket will sync when you're back.",
+    "form.queuedNoFiles":
+      "You seem to be offline. The ticket will sync when you're back; add or remove its attachments after that.",
+    "form.reloaded": "Loaded the latest version of the ticket.",
+    "form.save": "Save changes",
+    "form.saveMine": "Save mine anyway",
+    "form.saving": "Saving…",
+    "form.statusHelp":
+      "Only the statuses this ticket can move to next are listed.",
+    "form.titlePlaceholder": "Printer not working",
+    "form.updated": "Ticket updated.",
+    "form.write": "Write",
+    "history.created": "Created",
+    "history.createdBy": "Created by {user}",
+    "history.heading": "History",
+    "history.lastUpdated": "Last updated",
+    "history.loadFailed": "Failed to load history. Please retry.",
+    "import.check": "Check",
+    "import.checkFailed": "Failed to check the import. Please retry.",
+    "import.confirm": "Import",
+    "import.confirmCount":
+      "Import {count, plural, one {# ticket} other {# tickets}}",
+    "import.csvEmpty": "The CSV file is empty.",
+    "import.csvNoTitle": 'The CSV file needs a "title" column.',
+    "import.csvUnclosedQuote": "A quoted field is never closed.",
+    "import.csvUnreadable": "The CSV file could not be read: {reason}",
+    "import.duplicateRow":
+      "ID exists, {mode, select, overwrite {will overwrite} reid {will get a new ID} other {will be skipped}}",
+    "import.duplicatesLegend": "When a ticket ID already exists",
+    "import.file": "File",
+    "import.finished":
+      "Import finished: {count, plural, one {# new ticket} other {# new tickets}}.",
+    "import.forbidden": "Only agents can import tickets.",
+    "import.help":
+      "Choose a JSON or CSV file exported from TicketApp, or a spreadsheet with the same column names. Nothing is saved until you confirm.",
+    "import.invalidJson": "The file is not valid JSON.",
+    "import.newId": "Import it with a new ID",
+    "import.noRows": "The file has no ticket rows.",
+    "import.noTitle": "(no title)",
+    "import.notAList": "Expected a list of tickets in the JSON file.",
+    "import.overwriteExisting": "Overwrite the existing ticket",
+    "import.overwriteForbidden": "You can't edit the existing ticket.",
+    "import.previewSummary":
+      "{rows, plural, one {# row} other {# rows}}: {ready} ready, {duplicates} with an existing ID, {invalid} with errors.",
+    "import.ready": "Ready",
+    "import.report":
+      "Imported {imported}, overwrote {overwritten}, skipped {skipped}, rejected {rejected}.",
+    "import.row": "Row",
+    "import.rowErrors": "Row {row}: {errors}",
+    "import.skipRow": "Skip the row",
+    "import.stopped": "The import stopped part-way. Please retry.",
+    "import.title": "Import tickets",
+    "import.unknownDuplicateMode": "Unknown duplicate handling.",
+    "landing.dashboardText":
+      "Visualize open, in-progress, and closed tickets at a glance.",
+    "landing.dashboardTitle": "Dashboard Overview",
+    "landing.heading": "Simplify Your Support Workflow",
+    "landing.manageText":
+      "Create, edit, and close tickets efficiently with built-in validation.",
+    "landing.manageTitle": "Manage Tickets",
+    "landing.secureText":
+      "Protected dashboard and tickets page. Session required.",
+    "landing.secureTitle": "Secure Access",
+    "landing.tagline":
+      "Track, assign, and resolve tickets seamlessly — all in one clean interface.",
+    "landing.testLogin": "Test login: test@ticketapp.test / password123",
+    "locale.label": "Language",
+    "locale.saveFailed": "Couldn't save your language. Please retry.",
+    "locale.unsupported": "That language isn't available.",
+    "nav.board": "Board",
+    "nav.dashboard": "Dashboard",
+    "nav.getStarted": "Get Started",
+    "nav.label": "Main navigation",
+    "nav.login": "Login",
+    "nav.logout": "Logout",
+    "nav.tickets": "Tickets",
+    "nav.trash": "Trash",
+    "nav.users": "Users",
+    "notFound.editMessage":
+      "It may have been deleted, or you may not be allowed to edit it.",
+    "notFound.home": "Go home",
+    "notFound.message": "We couldn't find the page you were looking for.",
+    "notFound.ticketMessage":
+      "It may have been deleted, or you may not have access to it.",
+    "notFound.ticketTitle": "Ticket not found",
+    "notFound.title": "Page not found",
+    "palette.empty": "No matches.",
+    "palette.inputLabel": "Command or ticket title",
+    "palette.label": "Command palette",
+    "palette.login": "Log in",
+    "palette.logout": "Log out",
+    "palette.placeholder": "Type a command or ticket title",
+    "palette.results": "Results",
+    "palette.shortcuts": "Keyboard shortcuts",
+    "palette.signup": "Sign up",
+    "palette.ticket": "Ticket",
+    "palette.trash": "Open the trash",
+    "palette.users": "Manage users",
+    "priority.high": "High",
+    "priority.low": "Low",
+    "priority.medium": "Medium",
+    "priority.urgent": "Urgent",
+    "recovery.backupInfo":
+      "Backup from {when}, taken before upgrading from schema v{version}.",
+    "recovery.download": "Download raw data",
+    "recovery.eyebrow": "Data problem",
+    "recovery.help":
+      "Nothing has been deleted. Download a copy first, then restore the automatic backup or reset only the damaged data.",
+    "recovery.reset": "Reset damaged data",
+    "recovery.resetArmed": "Click again to reset",
+    "recovery.resetWarning":
+      "Resetting empties the damaged data. Click again to confirm.",
+    "recovery.restore": "Restore backup",
+    "recovery.retry": "Try again",
+    "recovery.title": "We couldn't load your saved data",
+    "role.admin": "Admin",
+    "role.agent": "Agent",
+    "role.requester": "Requester",
+    "shortcuts.close": "Close a dialog",
+    "shortcuts.delete": "Delete the focused ticket",
+    "shortcuts.edit": "Edit the focused ticket",
+    "shortcuts.goBoard": "Go to the board",
+    "shortcuts.goDashboard": "Go to the dashboard",
+    "shortcuts.goTickets": "Go to tickets",
+    "shortcuts.help": "Show these shortcuts",
+    "shortcuts.newTicket": "New ticket",
+    "shortcuts.nextPrev": "Next / previous ticket card",
+    "shortcuts.palette": "Open the command palette",
+    "shortcuts.search": "Search tickets",
+    "sla.breachedChip":
+      "{kind, select, response {Response} other {Resolution}} SLA breached",
+    "sla.breachedManyToast": "SLA breached on {count} of your tickets.",
+    "sla.breachedToast":
+      "SLA breached: “{title}” missed its {kind, select, response {response} other {resolution}} time.",
+    "sla.describe":
+      "{kind, select, response {Response} other {Resolution}} {state, select, breached {was due} other {due}} {when} ({policy} policy)",
+    "sla.dueChip":
+      "{kind, select, response {Response} other {Resolution}} due in {duration}",
+    "sla.policyHigh": "High",
+    "sla.policyStandard": "Standard",
+    "sla.policyUrgent": "Urgent",
+    "sort.leastRecentlyUpdated": "Least recently updated",
+    "sort.newest": "Newest first",
+    "sort.oldest": "Oldest first",
+    "sort.recentlyUpdated": "Recently updated",
+    "sort.status": "Status",
+    "sort.statusReversed": "Status (reversed)",
+    "sort.titleAsc": "Title (A–Z)",
+    "sort.titleDesc": "Title (Z–A)",
+    "status.closed": "Closed",
+    "status.closedHint": "Resolved",
+    "status.in_progress": "In Progress",
+    "status.in_progressHint": "Being worked on",
+    "status.open": "Open",
+    "status.openHint": "Needs attention",
+    "sync.done": "All changes synced.",
+    "sync.failed":
+      "Your offline change to “{title}” couldn't be saved: {error}",
+    "sync.pending":
+      "{offline, select, yes {Offline · } other {}}{count, plural, one {# change} other {# changes}} pending sync",
+    "sync.pendingChip": "Pending sync",
+    "sync.retry": "Click to retry now.",
+    "sync.retryAfterError": "{error} Click to retry now.",
+    "sync.syncing": "Syncing…",
+    "ticket.assignedTo": "Assigned to {user}",
+    "ticket.cardLabel": "Ticket: {title}",
+    "ticket.commentCount":
+      "{count, plural, one {# comment} other {# comments}}",
+    "ticket.conflict": "This ticket changed since you opened it.",
+    "ticket.createFailed": "Failed to create ticket. Please retry.",
+    "ticket.createForbidden": "You are not allowed to create tickets.",
+    "ticket.createdOn": "Created {date}",
+    "ticket.deleteForbidden": "Only admins can delete tickets.",
+    "ticket.deleteLabel": "Delete ticket {title}",
+    "ticket.dueChip": "Due {date}",
+    "ticket.editForbidden": "You can only edit tickets you own.",
+    "ticket.editLabel": "Edit ticket {title}",
+    "ticket.field.assignee": "Assignee",
+    "ticket.field.created": "Created",
+    "ticket.field.description": "Description",
+    "ticket.field.dueDate": "Due date",
+    "ticket.field.labels": "Labels",
+    "ticket.field.priority": "Priority",
+    "ticket.field.reporter": "Reporter",
+    "ticket.field.sla": "SLA",
+    "ticket.field.status": "Status",
+    "ticket.field.title": "Title",
+    "ticket.field.updated": "Last updated",
+    "ticket.gone": "That ticket no longer exists.",
+    "ticket.idTaken": "That ticket ID is taken.",
+    "ticket.loadFailed": "Failed to load ticket. Please retry.",
+    "ticket.meta": "Ticket {id}",
+    "ticket.metaPending": "Ticket {id} · changes pending sync",
+    "ticket.missingId": "Missing ticket ID.",
+    "ticket.noDescription": "No description provided.",
+    "ticket.notFound": "Ticket not found.",
+    "ticket.overdueChip": "Overdue {date}",
+    "ticket.priorityChip": "{priority} priority",
+    "ticket.reportedBy": "Reported by {user}",
+    "ticket.startStatusForbidden":
+      "Only agents can open a ticket in another status.",
+    "ticket.statusForbidden": "Only agents can change a ticket's status.",
+    "ticket.unassigned": "Unassigned",
+    "ticket.untitled": "Untitled ticket",
+    "ticket.updateFailed": "Failed to update ticket. Please retry.",
+    "ticket.viewLabel": "View ticket {title}",
+    "tickets.clearFilters": "Clear filters",
+    "tickets.count": "{total, plural, one {# ticket} other {# tickets}}.",
+    "tickets.countFiltered":
+      "Showing {shown} of {total, plural, one {# ticket} other {# tickets}}.",
+    "tickets.createdFrom": "Created from",
+    "tickets.createdTo": "Created to",
+    "tickets.empty": "No tickets yet.",
+    "tickets.exportCsv": "Export CSV",
+    "tickets.exportJson": "Export JSON",
+    "tickets.filterLabel": "Filter tickets",
+    "tickets.import": "Import",
+    "tickets.newButton": "+ New Ticket",
+    "tickets.noMatch": "No tickets match these filters.",
+    "tickets.search": "Search",
+    "tickets.searchPlaceholder": "Title or description",
+    "tickets.sortBy": "Sort by",
+    "tickets.subtitle": "Manage and track all requests.",
+    "tickets.updated": "Updated",
+    "tickets.updatedFrom": "Updated from",
+    "tickets.updatedTo": "Updated to",
+    "toast.signedOut": "Signed out.",
+    "toast.undoAvailable": "{message} Undo is available for a few seconds.",
+    "trash.deletedOn": "Deleted",
+    "trash.empty": "The trash is empty.",
+    "trash.help":
+      "Deleted tickets are kept for {days, plural, one {# day} other {# days}} before they are purged automatically.",
+    "trash.loadFailed": "Failed to load the trash. Please retry.",
+    "trash.notInTrash": "That ticket is not in the trash.",
+    "trash.openForbidden": "Only admins can open the trash.",
+    "trash.purge": "Delete forever",
+    "trash.purgeArmed": "Click again to delete",
+    "trash.purgeToday": "today",
+    "trash.purged": "Ticket permanently deleted.",
+    "trash.purgedOn": "Purged",
+    "trash.restore": "Restore",
+    "trash.restoreForbidden": "Only admins can restore tickets.",
+    "trash.restored": "Ticket restored.",
+    "trash.restoredCount":
+      "{count, plural, one {Ticket restored.} other {# tickets restored.}}",
+    "trash.retentionNote":
+      "{count, plural, one {It} other {They}} can be restored from the trash for {days, plural, one {# day} other {# days}}.",
+    "trash.ticket": "Ticket",
+    "trash.unknownUser": "Unknown",
+    "trash.updateFailed": "Failed to update the trash. Please retry.",
+    "users.adminsOnly": "Only admins can manage users.",
+    "users.help": "Change what each account is allowed to do.",
+    "users.lastAdmin": "There must always be at least one admin.",
+    "users.loadFailed": "Failed to load users. Please retry.",
+    "users.notFound": "That user no longer exists.",
+    "users.role": "Role",
+    "users.roleChanged": "{email} is now {role}.",
+    "users.roleChoices": "Must be requester, agent, or admin.",
+    "users.roleFailed": "Failed to update role. Please retry.",
+    "users.roleFor": "Role for {email}",
+    "users.roleInvalid": "Role is invalid.",
+    "validation.assigneeNoUser": "No registered user with that email.",
+    "validation.assigneeUnknown": "Assignee must be a registered user.",
+    "validation.dateInvalid": "Not a valid date.",
+    "validation.descriptionTooLong":
+      "Description cannot exceed {max} characters.",
+    "validation.dueDateFormat": "Use a valid date (YYYY-MM-DD).",
+    "validation.dueDateInvalid": "Due date is invalid.",
+    "validation.fixFields": "Please fix the highlighted fields.",
+    "validation.formatChoices": "Must be plain or markdown.",
+    "validation.formatInvalid": "Description format is invalid.",
+    "validation.labelTooLong": "Labels cannot exceed {max} characters.",
+    "validation.labelTooLongShort": "Label too long (max {max} chars)",
+    "validation.maxChars": "Max {max} characters allowed.",
+    "validation.mustBeOneOf": "Must be {choices}.",
+    "validation.priorityInvalid": "Priority is invalid.",
+    "validation.required": "{field} is required.",
+    "validation.requiredShort": "Required",
+    "validation.statusInvalid": "Status is invalid.",
+    "validation.titleRequired": "Title is required.",
+    "validation.tooLong": "Too long (max {max} chars)",
+    "validation.tooManyLabels":
+      "{max, plural, one {A ticket can have at most # label.} other {A ticket can have at most # labels.}}",
+    "validation.tooManyLabelsShort": "Too many labels (max {max})",
+    "validation.tooShort": "Too short",
+    "workflow.invalidMove": "A ticket can't move from {from} to {to}.",
+    "workflow.invalidStart": "New tickets can't start as {to}.",
+    "workflow.reopenReason": "Reason for reopening",
+    "workflow.resolution": "Resolution note",
+  },
+};
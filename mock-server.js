@@ -0,0 +1,123 @@
+/********************************************************
+ * Mock REST backend for the "rest" storage adapter
+ *
+ *   node mock-server.js [port]      (default port 8787)
+ *
+ * Keeps every collection in memory and speaks the same JSON
+ * contract as createRestAdapter() in app.js:
+ *   GET    /api/:collection        -> 200 [record, ...] newest first
+ *   GET    /api/:collection/:key   -> 200 record | 404
+ *   POST   /api/:collection        -> 201 record
+ *   PATCH  /api/:collection/:key   -> 200 record | 404
+ *   DELETE /api/:collection/:key   -> 204 | 404
+ * Users are keyed by email (case-insensitive), everything else by id.
+ ********************************************************/
+const http = require("http");
+
+const PORT = Number(process.argv[2]) || 8787;
+const RECORD_KEYS = { users: "email" };
+
+const db = new Map(); // collection -> record[]
+
+function collectionOf(name) {
+  if (!db.has(name)) db.set(name, []);
+  return db.get(name);
+}
+
+function matches(collection, record, key) {
+  const field = RECORD_KEYS[collection] || "id";
+  if (collection === "users") {
+    return String(record[field]).toLowerCase() === String(key).toLowerCase();
+  }
+  return record[field] === key;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET,POST,PATCH,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function sendError(res, status, code, message) {
+  send(res, status, { error: { code, message } });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      if (!raw) return resolve(undefined);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function handle(req, res) {
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const parts = pathname.split("/").filter(Boolean);
+  if (parts[0] !== "api" || parts.length < 2 || parts.length > 3) {
+    return sendError(res, 404, "NOT_FOUND", "Unknown route.");
+  }
+  const name = parts[1];
+  const key = parts[2] === undefined ? undefined : decodeURIComponent(parts[2]);
+  const records = collectionOf(name);
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch {
+    return sendError(res, 400, "BAD_REQUEST", "Body must be valid JSON.");
+  }
+
+  if (key === undefined) {
+    if (req.method === "GET") return send(res, 200, records);
+    if (req.method === "POST") {
+      if (!body || typeof body !== "object") {
+        return sendError(res, 400, "BAD_REQUEST", "Record body required.");
+      }
+      records.unshift(body);
+      return send(res, 201, body);
+    }
+    return sendError(res, 405, "METHOD_NOT_ALLOWED", "Method not allowed.");
+  }
+
+  const idx = records.findIndex((r) => matches(name, r, key));
+  if (req.method === "GET") {
+    return idx === -1 ? send(res, 404) : send(res, 200, records[idx]);
+  }
+  if (req.method === "PATCH") {
+    if (idx === -1) return send(res, 404);
+    records[idx] = { ...records[idx], ...(body || {}) };
+    return send(res, 200, records[idx]);
+  }
+  if (req.method === "DELETE") {
+    if (idx === -1) return send(res, 404);
+    records.splice(idx, 1);
+    return send(res, 204);
+  }
+  return sendError(res, 405, "METHOD_NOT_ALLOWED", "Method not allowed.");
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      sendError(res, 500, "SERVER_ERROR", err.message);
+    });
+  })
+  .listen(PORT, () => {
+    console.log(`TicketApp mock API on http://localhost:${PORT}/api`);
+  });